@@ -0,0 +1,212 @@
+// Accessibility
+// Screen reader and display support: a live region announcing the notes and chords played,
+// spoken values for every slider, and the high-contrast and large-key themes. Settings are
+// remembered in localStorage; until then high contrast follows the system's contrast preference.
+
+import { describeNotes, STAFF_LETTERS, INTERVAL_NAMES } from './notation.js';
+import { noteToMidi, spokenNoteName } from './notes.js';
+
+const ANNOUNCE_GROUP_TIME = 150; // ms within which struck notes are announced together
+const ANNOUNCED_SOURCES = ['local', 'midi']; // Notes the player plays, not the API or playback
+
+const ACCIDENTAL_WORDS = { '-2': ' double flat', '-1': ' flat', 0: '', 1: ' sharp', 2: ' double sharp' };
+
+// How each chord suffix from notation.js is said
+const CHORD_WORDS = {
+    '': 'major', m: 'minor', dim: 'diminished', aug: 'augmented', sus4: 'suspended 4th', sus2: 'suspended 2nd',
+    maj7: 'major 7th', 7: '7th', m7: 'minor 7th', mMaj7: 'minor major 7th', m7b5: 'half diminished',
+    dim7: 'diminished 7th', aug7: 'augmented 7th', '7sus4': '7th suspended 4th', 6: '6th', m6: 'minor 6th',
+    add9: 'add 9', madd9: 'minor add 9', 9: '9th', maj9: 'major 9th', m9: 'minor 9th',
+    '7b9': '7th flat 9', '7#9': '7th sharp 9', 5: 'power chord'
+};
+
+// Units in slider readouts, as they should be said
+const UNIT_WORDS = [
+    [/(\d)\s*kHz\b/g, '$1 kilohertz'],
+    [/(\d)\s*Hz\b/g, '$1 hertz'],
+    [/(\d)\s*ms\b/g, '$1 milliseconds'],
+    [/(\d)\s*s\b/g, '$1 seconds'],
+    [/(\d)\s*st\b/g, '$1 semitones'],
+    [/(\d)\s*oct\b/g, '$1 octaves'],
+    [/(\d)\s*BPM\b/g, '$1 beats per minute'],
+    [/(\d)\s*%/g, '$1 percent']
+];
+
+// What to announce for notes struck together, e.g. "C major: C 4, E 4, G 4". Notes are spelled
+// for the key signature (in fifths) as on the staff.
+export function describePlayed(midis, fifths = 0) {
+    const { notes, chord } = describeNotes(midis, fifths);
+    const spell = spelling => `${STAFF_LETTERS[spelling.letter]}${ACCIDENTAL_WORDS[spelling.accidental]}`;
+    const list = notes.map(note => `${spell(note)} ${note.octave}`).join(', ');
+
+    if (chord) {
+        const root = notes.find(note => note.midi % 12 === chord.root);
+        let name = `${spell(root)} ${CHORD_WORDS[chord.type.suffix]}`;
+        if (chord.bass !== chord.root) name += ` over ${spell(notes[0])}`;
+        return `${name}: ${list}`;
+    }
+    if (notes.length === 2) {
+        const distance = notes[1].midi - notes[0].midi;
+        return `${list}, ${distance % 12 === 0 ? 'octave' : INTERVAL_NAMES[distance % 12]}`;
+    }
+    return list;
+}
+
+// A slider readout as it should be said, e.g. "200ms" -> "200 milliseconds", "C#4" -> "C sharp 4"
+export function speakValue(text) {
+    const note = /^([A-G]#?)(-?\d+)$/.exec(text.trim());
+    if (note) return spokenNoteName(note[1], parseInt(note[2]));
+    return UNIT_WORDS.reduce((spoken, [pattern, words]) => spoken.replace(pattern, words), text.trim());
+}
+
+// Accessibility Panel
+// Display themes and note announcements, plus spoken values for the page's sliders
+export class AccessibilityPanel {
+    constructor(keyboardManager, notationView = null) {
+        this.keyboardManager = keyboardManager;
+        this.notationView = notationView; // Announced notes are spelled in its key signature
+        this.storageKey = 'webkeys.accessibility';
+        this.highContrast = window.matchMedia('(prefers-contrast: more)').matches;
+        this.largeKeys = false;
+        this.announceNotes = true;
+        this.struckNotes = []; // MIDI notes struck since the last announcement
+        this.announceTimer = null;
+
+        this.initControls();
+        this.load();
+        this.update();
+        this.initValueText();
+
+        keyboardManager.addNoteListener((type, { note, octave, source }) => {
+            if (type === 'noteon' && this.announceNotes && ANNOUNCED_SOURCES.includes(source)) {
+                this.queueAnnouncement(noteToMidi(note, octave));
+            }
+        });
+    }
+
+    initControls() {
+        this.highContrastToggle = document.getElementById('high-contrast-toggle');
+        this.largeKeysToggle = document.getElementById('large-keys-toggle');
+        this.announceToggle = document.getElementById('announce-notes-toggle');
+        this.announcer = document.getElementById('announcer');
+
+        this.highContrastToggle.addEventListener('change', (e) => {
+            this.highContrast = e.target.checked;
+            this.update();
+            this.save();
+        });
+        this.largeKeysToggle.addEventListener('change', (e) => {
+            this.largeKeys = e.target.checked;
+            this.update();
+            this.save();
+        });
+        this.announceToggle.addEventListener('change', (e) => {
+            this.announceNotes = e.target.checked;
+            this.save();
+        });
+    }
+
+    // Notes struck within ANNOUNCE_GROUP_TIME of the first are announced as one chord
+    queueAnnouncement(midi) {
+        this.struckNotes.push(midi);
+        if (this.announceTimer !== null) return;
+
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            const fifths = this.notationView ? this.notationView.fifths : 0;
+            this.announce(describePlayed(this.struckNotes, fifths));
+            this.struckNotes = [];
+        }, ANNOUNCE_GROUP_TIME);
+    }
+
+    // Say something through the live region. Screen readers skip text that hasn't changed, so a
+    // repeat gets a trailing no-break space.
+    announce(text) {
+        this.announcer.textContent = text === this.announcer.textContent ? `${text}\u00a0` : text;
+    }
+
+    // Give each slider its readout's text as aria-valuetext, so screen readers say "200
+    // milliseconds" rather than "200". Sliders built later (effects, LFOs) are picked up as they
+    // are added.
+    initValueText() {
+        document.querySelectorAll('input[type="range"]').forEach(slider => this.updateValueText(slider));
+
+        this.valueTextObserver = new MutationObserver((mutations) => {
+            const sliders = new Set();
+            mutations.forEach(({ target, addedNodes }) => {
+                const element = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+                const slider = element && this.getSlider(element);
+                if (slider) sliders.add(slider);
+
+                addedNodes.forEach((node) => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    node.querySelectorAll('input[type="range"]').forEach(added => sliders.add(added));
+                    if (node.matches('input[type="range"]')) sliders.add(node);
+                });
+            });
+            sliders.forEach(slider => this.updateValueText(slider));
+        });
+        this.valueTextObserver.observe(document.body, { childList: true, characterData: true, subtree: true });
+    }
+
+    // A slider's readout: the "<id>-value" element, or else the span right after it
+    getReadout(slider) {
+        const readout = slider.id ? document.getElementById(`${slider.id}-value`) : null;
+        if (readout) return readout;
+        const next = slider.nextElementSibling;
+        return next && next.tagName === 'SPAN' ? next : null;
+    }
+
+    // The slider a readout belongs to, if it is one
+    getSlider(element) {
+        if (element.tagName !== 'SPAN') return null;
+        const slider = element.id.endsWith('-value')
+            ? document.getElementById(element.id.slice(0, -'-value'.length))
+            : element.previousElementSibling;
+        return slider && slider.matches('input[type="range"]') ? slider : null;
+    }
+
+    updateValueText(slider) {
+        const readout = this.getReadout(slider);
+        if (readout && readout.textContent.trim()) {
+            slider.setAttribute('aria-valuetext', speakValue(readout.textContent));
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                if (typeof saved.highContrast === 'boolean') this.highContrast = saved.highContrast;
+                if (typeof saved.largeKeys === 'boolean') this.largeKeys = saved.largeKeys;
+                if (typeof saved.announceNotes === 'boolean') this.announceNotes = saved.announceNotes;
+            }
+        } catch (error) {
+            console.error('Error reading accessibility settings from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                highContrast: this.highContrast,
+                largeKeys: this.largeKeys,
+                announceNotes: this.announceNotes
+            }));
+        } catch (error) {
+            console.error('Error saving accessibility settings to localStorage:', error);
+        }
+    }
+
+    // Apply the themes and show the settings
+    update() {
+        document.body.classList.toggle('high-contrast', this.highContrast);
+        document.body.classList.toggle('large-keys', this.largeKeys);
+        // The large-key theme changes the smallest key width, which the keyboard fits itself to
+        this.keyboardManager.updateKeySizes();
+
+        this.highContrastToggle.checked = this.highContrast;
+        this.largeKeysToggle.checked = this.largeKeys;
+        this.announceToggle.checked = this.announceNotes;
+    }
+}
@@ -0,0 +1,406 @@
+// Arpeggiator and Chord Memory
+// Note processors that sit between the KeyboardManager and the AudioEngine. Each one takes
+// playNote/stopNote calls like the engine does and passes notes on to its output.
+
+import { noteToMidi, midiToNote, parseNoteId } from './notes.js';
+import { Scheduler } from './scheduler.js';
+
+// Arpeggiator step lengths in beats
+const ARP_RATES = {
+    '1/4': 1,
+    '1/4t': 2 / 3,
+    '1/8': 0.5,
+    '1/8t': 1 / 3,
+    '1/16': 0.25,
+    '1/16t': 1 / 6,
+    '1/32': 0.125,
+    '1/32t': 1 / 12
+};
+
+const ARP_MODES = {
+    up: 'Up',
+    down: 'Down',
+    updown: 'Up-Down',
+    random: 'Random',
+    played: 'As Played'
+};
+
+// Chord shapes as semitones above the key that triggers them
+const CHORD_SHAPES = {
+    major: { name: 'Major', intervals: [0, 4, 7] },
+    minor: { name: 'Minor', intervals: [0, 3, 7] },
+    dom7: { name: '7th', intervals: [0, 4, 7, 10] },
+    maj7: { name: 'Major 7th', intervals: [0, 4, 7, 11] },
+    min7: { name: 'Minor 7th', intervals: [0, 3, 7, 10] },
+    sus4: { name: 'Sus 4', intervals: [0, 5, 7] },
+    power: { name: 'Power', intervals: [0, 7, 12] }
+};
+
+export class Arpeggiator {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.output = audioEngine;
+        this.enabled = false;
+        this.mode = 'up';
+        this.rate = '1/16';
+        this.octaves = 1; // Octave range the pattern spans
+        this.gate = 0.5; // Fraction of a step each note sounds for
+        this.swing = 0; // Fraction of a step the off-beat steps are delayed by (0-0.5)
+        this.latch = false;
+        this.pressedNotes = []; // { note, octave, velocity, midi } for keys held down, in press order
+        this.notes = []; // Notes the pattern plays: the pressed notes, or the last set when latched
+
+        // Pattern position
+        this.step = 0;
+        this.nextGridTime = 0; // Unswung audio clock time of the next step
+
+        this.scheduler = new Scheduler(audioEngine, (windowStart, windowEnd) => {
+            this.scheduleSteps(windowEnd);
+        });
+    }
+
+    playNote(note, octave, velocity = 1, time = null) {
+        const midi = noteToMidi(note, octave);
+        this.pressedNotes = this.pressedNotes.filter(held => held.midi !== midi);
+        this.pressedNotes.push({ note, octave, velocity, midi });
+
+        if (!this.enabled) {
+            this.output.playNote(note, octave, velocity, time);
+            return;
+        }
+
+        // With latch on, the first key after letting go of everything starts a new set
+        if (this.latch && this.pressedNotes.length === 1) {
+            this.notes = [];
+        }
+        this.notes = this.notes.filter(held => held.midi !== midi);
+        this.notes.push({ note, octave, velocity, midi });
+        this.start();
+    }
+
+    stopNote(note, octave, time = null) {
+        const midi = noteToMidi(note, octave);
+        this.pressedNotes = this.pressedNotes.filter(held => held.midi !== midi);
+
+        if (!this.enabled) {
+            this.output.stopNote(note, octave, time);
+            return;
+        }
+
+        if (!this.latch) {
+            this.notes = this.notes.filter(held => held.midi !== midi);
+            if (this.notes.length === 0) this.stop();
+        }
+    }
+
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+        this.enabled = enabled;
+
+        // Hand the keys that are held over between the arpeggiator and the output
+        if (enabled) {
+            this.pressedNotes.forEach(held => this.output.stopNote(held.note, held.octave));
+            this.notes = this.pressedNotes.slice();
+            if (this.notes.length > 0) this.start();
+        } else {
+            this.stop();
+            this.notes = [];
+            this.pressedNotes.forEach(held => this.output.playNote(held.note, held.octave, held.velocity));
+        }
+    }
+
+    setLatch(latch) {
+        this.latch = latch;
+        if (!latch && this.enabled) {
+            // Drop latched notes that are no longer held
+            this.notes = this.pressedNotes.slice();
+            if (this.notes.length === 0) this.stop();
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+    }
+
+    setOctaves(octaves) {
+        this.octaves = octaves;
+    }
+
+    setGate(gate) {
+        this.gate = gate;
+    }
+
+    setSwing(swing) {
+        this.swing = swing;
+    }
+
+    start() {
+        if (this.scheduler.isRunning()) return;
+        this.audioEngine.resumeContext();
+        this.step = 0;
+        this.nextGridTime = this.audioEngine.audioContext.currentTime;
+        this.scheduler.start();
+    }
+
+    stop() {
+        this.scheduler.stop();
+    }
+
+    // Step length in seconds at the engine's tempo
+    getStepDuration() {
+        return ARP_RATES[this.rate] * 60 / this.audioEngine.tempo;
+    }
+
+    // Notes in the order the current mode plays them, across the octave range
+    getPattern() {
+        const byPitch = this.mode === 'played' ? this.notes : this.notes.slice().sort((a, b) => a.midi - b.midi);
+        const pattern = [];
+        for (let octave = 0; octave < this.octaves; octave++) {
+            byPitch.forEach(held => pattern.push({ midi: held.midi + octave * 12, velocity: held.velocity }));
+        }
+
+        if (this.mode === 'down') {
+            return pattern.reverse();
+        }
+        if (this.mode === 'updown') {
+            // Don't repeat the top and bottom notes at the turnarounds
+            return pattern.concat(pattern.slice(1, -1).reverse());
+        }
+        return pattern;
+    }
+
+    // Schedule every step that starts before the end of the window
+    scheduleSteps(windowEnd) {
+        while (this.notes.length > 0 && this.nextGridTime < windowEnd) {
+            const duration = this.getStepDuration();
+            const offBeat = this.step % 2 === 1;
+            const time = this.nextGridTime + (offBeat ? this.swing * duration : 0);
+
+            const pattern = this.getPattern();
+            const index = this.mode === 'random' ? Math.floor(Math.random() * pattern.length) : this.step % pattern.length;
+            const { midi, velocity } = pattern[index];
+
+            if (midi <= 127) {
+                const { note, octave } = midiToNote(midi);
+                this.output.playNote(note, octave, velocity, time);
+                this.output.stopNote(note, octave, time + Math.max(0.01, duration * this.gate));
+            }
+
+            this.step++;
+            this.nextGridTime += duration;
+        }
+    }
+}
+
+// Chord Memory
+// Plays a whole chord shape from a single key
+export class ChordMemory {
+    constructor(output) {
+        this.output = output;
+        this.storageKey = 'webkeys.chord';
+        this.enabled = false;
+        this.shape = 'major'; // A key of CHORD_SHAPES, or 'custom'
+        this.customIntervals = null; // Stored with storeChord
+        this.triggered = new Map(); // "note-octave" of each key -> MIDI notes it started
+        this.noteCounts = new Map(); // MIDI note -> number of keys sounding it
+
+        this.load();
+    }
+
+    getIntervals() {
+        if (this.shape === 'custom') {
+            return this.customIntervals || [0];
+        }
+        return CHORD_SHAPES[this.shape].intervals;
+    }
+
+    playNote(note, octave, velocity = 1, time = null) {
+        if (!this.enabled) {
+            this.output.playNote(note, octave, velocity, time);
+            return;
+        }
+
+        const noteId = `${note}-${octave}`;
+        if (this.triggered.has(noteId)) return;
+
+        const root = noteToMidi(note, octave);
+        const notes = this.getIntervals().map(interval => root + interval).filter(midi => midi <= 127);
+        this.triggered.set(noteId, notes);
+
+        // Notes shared between overlapping chords are counted so they stop with the last key
+        notes.forEach((midi) => {
+            const count = this.noteCounts.get(midi) || 0;
+            this.noteCounts.set(midi, count + 1);
+            if (count === 0) {
+                const chordNote = midiToNote(midi);
+                this.output.playNote(chordNote.note, chordNote.octave, velocity, time);
+            }
+        });
+    }
+
+    stopNote(note, octave, time = null) {
+        const noteId = `${note}-${octave}`;
+        const notes = this.triggered.get(noteId);
+
+        // Keys pressed before chord mode was switched on just pass through
+        if (!notes) {
+            this.output.stopNote(note, octave, time);
+            return;
+        }
+
+        this.triggered.delete(noteId);
+        notes.forEach((midi) => {
+            const count = this.noteCounts.get(midi) - 1;
+            if (count > 0) {
+                this.noteCounts.set(midi, count);
+                return;
+            }
+            this.noteCounts.delete(midi);
+            const chordNote = midiToNote(midi);
+            this.output.stopNote(chordNote.note, chordNote.octave, time);
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setShape(shape) {
+        this.shape = shape;
+    }
+
+    // Remember a chord from MIDI note numbers, as intervals above its lowest note
+    storeChord(midiNotes) {
+        const sorted = Array.from(new Set(midiNotes)).sort((a, b) => a - b);
+        if (sorted.length < 2) {
+            throw new Error('Hold at least two notes to store a chord');
+        }
+        this.customIntervals = sorted.map(midi => midi - sorted[0]);
+        this.shape = 'custom';
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && Array.isArray(saved.intervals)) {
+                // Anything but whole semitones would play as NaN notes
+                const intervals = saved.intervals.filter(interval => Number.isInteger(interval));
+                this.customIntervals = intervals.length > 0 ? intervals : null;
+            }
+        } catch (error) {
+            console.error('Error reading stored chord from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ intervals: this.customIntervals }));
+        } catch (error) {
+            console.error('Error saving chord to localStorage:', error);
+        }
+    }
+}
+
+// Arpeggiator Panel
+// Controls for the arpeggiator and chord mode
+export class ArpeggiatorPanel {
+    constructor(arpeggiator, chordMemory, keyboardManager) {
+        this.arpeggiator = arpeggiator;
+        this.chordMemory = chordMemory;
+        this.keyboardManager = keyboardManager;
+        this.initControls();
+        this.updateChordStatus();
+    }
+
+    initControls() {
+        const arpButton = document.getElementById('arp-toggle-button');
+        const latchButton = document.getElementById('arp-latch-button');
+        const modeSelect = document.getElementById('arp-mode');
+        const rateSelect = document.getElementById('arp-rate');
+
+        Object.keys(ARP_MODES).forEach(mode => modeSelect.add(new Option(ARP_MODES[mode], mode)));
+        Object.keys(ARP_RATES).forEach(rate => rateSelect.add(new Option(rate, rate)));
+        modeSelect.value = this.arpeggiator.mode;
+        rateSelect.value = this.arpeggiator.rate;
+
+        arpButton.addEventListener('click', () => {
+            this.arpeggiator.setEnabled(!this.arpeggiator.enabled);
+            arpButton.classList.toggle('active', this.arpeggiator.enabled);
+        });
+
+        latchButton.addEventListener('click', () => {
+            this.arpeggiator.setLatch(!this.arpeggiator.latch);
+            latchButton.classList.toggle('active', this.arpeggiator.latch);
+        });
+
+        modeSelect.addEventListener('change', e => this.arpeggiator.setMode(e.target.value));
+        rateSelect.addEventListener('change', e => this.arpeggiator.setRate(e.target.value));
+
+        const octavesValue = document.getElementById('arp-octaves-value');
+        document.getElementById('arp-octaves').addEventListener('input', (e) => {
+            const octaves = parseInt(e.target.value);
+            this.arpeggiator.setOctaves(octaves);
+            octavesValue.textContent = octaves;
+        });
+
+        const gateValue = document.getElementById('arp-gate-value');
+        document.getElementById('arp-gate').addEventListener('input', (e) => {
+            this.arpeggiator.setGate(e.target.value / 100);
+            gateValue.textContent = `${e.target.value}%`;
+        });
+
+        const swingValue = document.getElementById('arp-swing-value');
+        document.getElementById('arp-swing').addEventListener('input', (e) => {
+            this.arpeggiator.setSwing(e.target.value / 100);
+            swingValue.textContent = `${e.target.value}%`;
+        });
+
+        // Chord mode
+        const chordButton = document.getElementById('chord-toggle-button');
+        this.shapeSelect = document.getElementById('chord-shape');
+        this.chordStatus = document.getElementById('chord-status');
+
+        Object.keys(CHORD_SHAPES).forEach(shape => this.shapeSelect.add(new Option(CHORD_SHAPES[shape].name, shape)));
+        this.shapeSelect.add(new Option('Custom', 'custom'));
+        this.shapeSelect.value = this.chordMemory.shape;
+
+        chordButton.addEventListener('click', () => {
+            this.chordMemory.setEnabled(!this.chordMemory.enabled);
+            chordButton.classList.toggle('active', this.chordMemory.enabled);
+        });
+
+        this.shapeSelect.addEventListener('change', (e) => {
+            this.chordMemory.setShape(e.target.value);
+            this.updateChordStatus();
+        });
+
+        document.getElementById('chord-store-button').addEventListener('click', () => {
+            const held = Array.from(this.keyboardManager.getHeldNoteIds()).map((noteId) => {
+                const { note, octave } = parseNoteId(noteId);
+                return noteToMidi(note, octave);
+            });
+
+            try {
+                this.chordMemory.storeChord(held);
+                this.shapeSelect.value = 'custom';
+                this.updateChordStatus();
+            } catch (error) {
+                this.chordStatus.textContent = error.message;
+            }
+        });
+    }
+
+    // Show the intervals of the selected chord shape
+    updateChordStatus() {
+        if (this.chordMemory.shape === 'custom' && !this.chordMemory.customIntervals) {
+            this.chordStatus.textContent = 'Hold a chord and press Store';
+            return;
+        }
+        this.chordStatus.textContent = `Semitones: ${this.chordMemory.getIntervals().join(' ')}`;
+    }
+}
@@ -0,0 +1,404 @@
+// Controls
+// The page's control panel, and helpers shared by the panels built around it
+
+import { midiToNote, parseNoteName } from './notes.js';
+import { PIANO_RANGE, MIN_ZOOM, MAX_ZOOM } from './keyboard.js';
+
+// Keyboard sizes offered by the range selector, starting where keyboards of that size usually do
+const KEYBOARD_RANGES = [
+    { label: '25 keys', low: 48, high: 72 },
+    { label: '37 keys', low: 48, high: 84 },
+    { label: '49 keys', low: 36, high: 84 },
+    { label: '60 keys', low: 36, high: 95 },
+    { label: '61 keys', low: 36, high: 96 },
+    { label: '76 keys', low: 28, high: 103 },
+    { label: '88 keys', ...PIANO_RANGE }
+];
+
+// Offer a blob to the user as a file download
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Control Panel Manager
+export class ControlPanel {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.panels = []; // Other panels showing engine settings, refreshed by updateControls
+        this.initControls();
+    }
+
+    initControls() {
+        // Waveform selector
+        const waveformSelect = document.getElementById('waveform');
+        waveformSelect.addEventListener('change', (e) => {
+            // Loaded sample instruments are listed alongside the waveforms
+            const instrument = this.audioEngine.instruments.get(e.target.value) || null;
+            this.audioEngine.setInstrument(instrument);
+            if (!instrument) {
+                this.audioEngine.setWaveform(e.target.value);
+            }
+        });
+
+        // Volume slider
+        const volumeSlider = document.getElementById('volume');
+        const volumeValue = document.getElementById('volume-value');
+        volumeSlider.addEventListener('input', (e) => {
+            const volume = e.target.value / 100;
+            this.audioEngine.setVolume(volume);
+            volumeValue.textContent = `${e.target.value}%`;
+        });
+
+        // Octave slider
+        const octaveSlider = document.getElementById('octave');
+        const octaveValue = document.getElementById('octave-value');
+        octaveSlider.addEventListener('input', (e) => {
+            const baseOctave = parseInt(e.target.value);
+            this.audioEngine.setOctave(baseOctave);
+            octaveValue.textContent = `${baseOctave}`;
+        });
+
+        // Attack slider
+        const attackSlider = document.getElementById('attack');
+        const attackValue = document.getElementById('attack-value');
+        attackSlider.addEventListener('input', (e) => {
+            const attack = parseInt(e.target.value);
+            this.audioEngine.setAttack(attack);
+            attackValue.textContent = `${attack}ms`;
+        });
+
+        // Decay slider
+        const decaySlider = document.getElementById('decay');
+        const decayValue = document.getElementById('decay-value');
+        decaySlider.addEventListener('input', (e) => {
+            const decay = parseInt(e.target.value);
+            this.audioEngine.setDecay(decay);
+            decayValue.textContent = `${decay}ms`;
+        });
+
+        // Sustain slider
+        const sustainSlider = document.getElementById('sustain');
+        const sustainValue = document.getElementById('sustain-value');
+        sustainSlider.addEventListener('input', (e) => {
+            this.audioEngine.setSustain(e.target.value / 100);
+            sustainValue.textContent = `${e.target.value}%`;
+        });
+
+        // Release slider
+        const releaseSlider = document.getElementById('release');
+        const releaseValue = document.getElementById('release-value');
+        releaseSlider.addEventListener('input', (e) => {
+            const release = parseInt(e.target.value);
+            this.audioEngine.setRelease(release);
+            releaseValue.textContent = `${release}ms`;
+        });
+
+        // Envelope curve selector
+        const curveSelect = document.getElementById('envelope-curve');
+        curveSelect.addEventListener('change', (e) => {
+            this.audioEngine.setEnvelopeCurve(e.target.value);
+        });
+
+        // Polyphony slider
+        const polyphonySlider = document.getElementById('polyphony');
+        const polyphonyValue = document.getElementById('polyphony-value');
+        polyphonySlider.addEventListener('input', (e) => {
+            const maxPolyphony = parseInt(e.target.value);
+            this.audioEngine.setMaxPolyphony(maxPolyphony);
+            polyphonyValue.textContent = `${maxPolyphony}`;
+        });
+
+        // Voice stealing selector
+        const stealSelect = document.getElementById('steal-mode');
+        stealSelect.addEventListener('change', (e) => {
+            this.audioEngine.setStealMode(e.target.value);
+        });
+
+        // Tempo slider
+        const tempoSlider = document.getElementById('tempo');
+        const tempoValue = document.getElementById('tempo-value');
+        tempoSlider.addEventListener('input', (e) => {
+            const tempo = parseInt(e.target.value);
+            this.audioEngine.setTempo(tempo);
+            tempoValue.textContent = `${tempo} BPM`;
+        });
+
+        this.renderEffectsRack();
+    }
+
+    // Refresh every control from the engine's current settings (e.g. after a preset loads)
+    updateControls() {
+        const engine = this.audioEngine;
+
+        this.setControl('waveform', engine.instrument ? engine.instrument.id : engine.waveform);
+        this.setControl('volume', Math.round(engine.volume * 100), `${Math.round(engine.volume * 100)}%`);
+        this.setControl('octave', engine.octave, `${engine.octave}`);
+        this.setControl('attack', engine.attack, `${engine.attack}ms`);
+        this.setControl('decay', engine.decay, `${engine.decay}ms`);
+        this.setControl('sustain', Math.round(engine.sustain * 100), `${Math.round(engine.sustain * 100)}%`);
+        this.setControl('release', engine.release, `${engine.release}ms`);
+        this.setControl('envelope-curve', engine.envelopeCurve);
+        this.setControl('polyphony', engine.maxPolyphony, `${engine.maxPolyphony}`);
+        this.setControl('steal-mode', engine.stealMode);
+        this.setControl('tempo', engine.tempo, `${engine.tempo} BPM`);
+
+        this.renderEffectsRack();
+        this.panels.forEach(panel => panel.update());
+    }
+
+    // Register a panel with an update() method to refresh alongside the main controls
+    addPanel(panel) {
+        this.panels.push(panel);
+    }
+
+    // Set a control's value and, if given, the text of its `<id>-value` display
+    setControl(id, value, text = null) {
+        document.getElementById(id).value = value;
+        if (text !== null) {
+            document.getElementById(`${id}-value`).textContent = text;
+        }
+    }
+
+    // Build a card of controls for each effect, in chain order
+    renderEffectsRack() {
+        const container = document.getElementById('effects-rack');
+        const rack = this.audioEngine.effectsRack;
+        container.innerHTML = '';
+
+        rack.effects.forEach((effect, index) => {
+            const unit = document.createElement('div');
+            unit.className = 'effect-unit';
+            unit.classList.toggle('bypassed', effect.bypassed);
+
+            // Header: enable toggle, name and reorder buttons
+            const header = document.createElement('div');
+            header.className = 'effect-header';
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.id = `effect-${effect.id}-enabled`;
+            enabled.checked = !effect.bypassed;
+            enabled.addEventListener('change', (e) => {
+                effect.setBypass(!e.target.checked);
+                unit.classList.toggle('bypassed', effect.bypassed);
+            });
+
+            const name = document.createElement('label');
+            name.htmlFor = enabled.id;
+            name.textContent = effect.name;
+
+            const moveUp = document.createElement('button');
+            moveUp.type = 'button';
+            moveUp.textContent = '\u25B2';
+            moveUp.title = 'Move earlier in the chain';
+            moveUp.disabled = index === 0;
+            moveUp.addEventListener('click', () => {
+                rack.moveEffect(effect.id, -1);
+                this.renderEffectsRack();
+            });
+
+            const moveDown = document.createElement('button');
+            moveDown.type = 'button';
+            moveDown.textContent = '\u25BC';
+            moveDown.title = 'Move later in the chain';
+            moveDown.disabled = index === rack.effects.length - 1;
+            moveDown.addEventListener('click', () => {
+                rack.moveEffect(effect.id, 1);
+                this.renderEffectsRack();
+            });
+
+            header.append(enabled, name, moveUp, moveDown);
+            unit.appendChild(header);
+
+            // Wet/dry mix, then the effect's own parameters
+            const mixDef = { id: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, unit: '' };
+            unit.appendChild(this.createEffectControl(effect, mixDef, effect.mix, value => effect.setMix(value)));
+
+            effect.paramDefs.forEach((def) => {
+                unit.appendChild(this.createEffectControl(effect, def, effect.params[def.id], value => effect.setParam(def.id, value)));
+            });
+
+            container.appendChild(unit);
+        });
+    }
+
+    // Create a slider or selector for one effect parameter
+    createEffectControl(effect, def, value, onChange) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `effect-${effect.id}-${def.id}`;
+        label.textContent = `${def.label}:`;
+        group.appendChild(label);
+
+        if (def.options) {
+            const select = document.createElement('select');
+            select.id = label.htmlFor;
+            def.options.forEach(option => select.add(new Option(option.label, option.value)));
+            select.value = value;
+            select.addEventListener('change', e => onChange(e.target.value));
+            group.appendChild(select);
+            return group;
+        }
+
+        // Log-scaled parameters (frequencies) use a 0-1000 slider position
+        const isLog = def.scale === 'log';
+        const toPosition = v => Math.round(Math.log(v / def.min) / Math.log(def.max / def.min) * 1000);
+        const fromPosition = p => Math.round(def.min * Math.pow(def.max / def.min, p / 1000));
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = label.htmlFor;
+        slider.min = isLog ? 0 : def.min;
+        slider.max = isLog ? 1000 : def.max;
+        slider.step = isLog ? 1 : def.step;
+        slider.value = isLog ? toPosition(value) : value;
+
+        const display = document.createElement('span');
+        display.textContent = this.formatEffectValue(def, value);
+
+        slider.addEventListener('input', (e) => {
+            const newValue = isLog ? fromPosition(parseFloat(e.target.value)) : parseFloat(e.target.value);
+            onChange(newValue);
+            display.textContent = this.formatEffectValue(def, newValue);
+        });
+
+        group.append(slider, display);
+        return group;
+    }
+
+    formatEffectValue(def, value) {
+        if (def.unit === 'Hz' && value >= 1000) {
+            return `${(value / 1000).toFixed(1)}kHz`;
+        }
+        if (def.id === 'mix') {
+            return `${Math.round(value * 100)}%`;
+        }
+        const text = def.step < 1 ? value.toFixed(2) : `${Math.round(value)}`;
+        return `${text}${def.unit}`;
+    }
+}
+
+// Keyboard Range Panel
+// Range presets, any lowest/highest key, and zoom; remembers them in localStorage
+export class KeyboardRangePanel {
+    constructor(keyboardManager) {
+        this.keyboardManager = keyboardManager;
+        this.storageKey = 'webkeys.keyboard';
+        this.savedZoom = keyboardManager.zoom;
+
+        this.initControls();
+        this.load();
+        this.update();
+
+        // Octave shifts move the range, and Ctrl+scroll changes the zoom
+        keyboardManager.addLayoutListener(() => {
+            this.update();
+            if (keyboardManager.zoom !== this.savedZoom) this.save();
+        });
+    }
+
+    initControls() {
+        this.rangeSelect = document.getElementById('keyboard-range');
+        this.lowInput = document.getElementById('keyboard-range-low');
+        this.highInput = document.getElementById('keyboard-range-high');
+        this.statusText = document.getElementById('keyboard-range-status');
+        this.zoomSlider = document.getElementById('keyboard-zoom');
+        this.zoomValue = document.getElementById('keyboard-zoom-value');
+
+        KEYBOARD_RANGES.forEach((range, index) => {
+            this.rangeSelect.add(new Option(`${range.label} (${this.formatNote(range.low)}-${this.formatNote(range.high)})`, index));
+        });
+        this.rangeSelect.add(new Option('Custom', 'custom'));
+
+        this.rangeSelect.addEventListener('change', (e) => {
+            const range = KEYBOARD_RANGES[e.target.value];
+            if (range) this.setRange(range.low, range.high);
+        });
+
+        // Typed notes apply when the field is left or Enter is pressed
+        [this.lowInput, this.highInput].forEach((input) => {
+            input.addEventListener('change', () => this.applyTypedRange());
+        });
+
+        this.zoomSlider.min = MIN_ZOOM * 100;
+        this.zoomSlider.max = MAX_ZOOM * 100;
+        this.zoomSlider.addEventListener('input', (e) => {
+            this.keyboardManager.setZoom(parseInt(e.target.value) / 100);
+        });
+    }
+
+    formatNote(midi) {
+        const { note, octave } = midiToNote(midi);
+        return `${note}${octave}`;
+    }
+
+    applyTypedRange() {
+        const low = parseNoteName(this.lowInput.value);
+        const high = parseNoteName(this.highInput.value);
+        if (low === null || high === null) {
+            this.statusText.textContent = 'Use note names like A0 or C#4';
+        } else if (high <= low) {
+            this.statusText.textContent = 'The highest key must be above the lowest';
+        } else {
+            this.setRange(low, high);
+            return;
+        }
+        this.update();
+    }
+
+    setRange(low, high) {
+        this.keyboardManager.setRange(low, high);
+        this.statusText.textContent = `${high - low + 1} keys`;
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                if (Number.isInteger(saved.low) && Number.isInteger(saved.high) && saved.low >= 0 && saved.high <= 127 && saved.low < saved.high) {
+                    this.keyboardManager.setRange(saved.low, saved.high);
+                }
+                if (typeof saved.zoom === 'number') {
+                    this.keyboardManager.setZoom(saved.zoom);
+                }
+                this.savedZoom = this.keyboardManager.zoom;
+            }
+        } catch (error) {
+            console.error('Error reading keyboard range from localStorage:', error);
+        }
+    }
+
+    save() {
+        // The range as set, not as moved by an octave shift, since load sets it at the starting octave
+        const { low, high } = this.keyboardManager.homeRange;
+        this.savedZoom = this.keyboardManager.zoom;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ low, high, zoom: this.savedZoom }));
+        } catch (error) {
+            console.error('Error saving keyboard range to localStorage:', error);
+        }
+    }
+
+    // Show the visible range, the preset it matches (any octave) and the zoom
+    update() {
+        const { low, high } = this.keyboardManager.range;
+        const preset = KEYBOARD_RANGES.findIndex(range => range.high - range.low === high - low && range.low % 12 === low % 12);
+        this.rangeSelect.value = preset === -1 ? 'custom' : preset;
+        this.lowInput.value = this.formatNote(low);
+        this.highInput.value = this.formatNote(high);
+
+        const zoom = Math.round(this.keyboardManager.zoom * 100);
+        this.zoomSlider.value = zoom;
+        this.zoomValue.textContent = `${zoom}%`;
+    }
+}
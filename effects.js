@@ -0,0 +1,462 @@
+// Effects
+// Each effect has an input and output node with a dry path and a wet (processed) path.
+// Parameters are described by `paramDefs` so the control panel can build controls for them.
+class Effect {
+    constructor(context, id, name, paramDefs, mix) {
+        this.context = context;
+        this.id = id;
+        this.name = name;
+        this.paramDefs = paramDefs; // [{ id, label, min, max, step, value, unit, scale, options }]
+        this.params = {};
+        this.mix = mix;
+        this.bypassed = true;
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.dry = context.createGain();
+        this.wet = context.createGain();
+
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+
+        paramDefs.forEach((def) => {
+            this.params[def.id] = def.value;
+        });
+    }
+
+    // Called by subclasses once their nodes exist
+    init() {
+        this.paramDefs.forEach(def => this.setParam(def.id, this.params[def.id]));
+        this.updateMix();
+    }
+
+    setParam(id, value) {
+        this.params[id] = value;
+        this.applyParam(id, value);
+    }
+
+    // Overridden by subclasses to push a parameter into their nodes
+    applyParam(id, value) {}
+
+    // Move an AudioParam to a value; smoothed once the clock is running to avoid zipper noise
+    setAudioParam(param, value) {
+        if (this.context.currentTime === 0) {
+            param.value = value;
+        } else {
+            param.setTargetAtTime(value, this.context.currentTime, 0.01);
+        }
+    }
+
+    setMix(mix) {
+        this.mix = mix;
+        this.updateMix();
+    }
+
+    setBypass(bypassed) {
+        this.bypassed = bypassed;
+        this.updateMix();
+    }
+
+    updateMix() {
+        const wet = this.bypassed ? 0 : this.mix;
+        this.setAudioParam(this.wet.gain, wet);
+        this.setAudioParam(this.dry.gain, 1 - wet);
+    }
+
+    // Called on every note on (used by envelope driven effects)
+    noteOn(time) {}
+
+    // Called when the global tempo changes (used by tempo synced effects)
+    setTempo(tempo) {}
+
+    // Seconds the effect keeps sounding after its input goes silent
+    getTailTime() {
+        return 0;
+    }
+
+    getSettings() {
+        return { bypassed: this.bypassed, mix: this.mix, params: { ...this.params } };
+    }
+
+    applySettings(settings) {
+        Object.keys(settings.params || {}).forEach((id) => {
+            if (id in this.params) {
+                this.setParam(id, settings.params[id]);
+            }
+        });
+        this.mix = settings.mix;
+        this.setBypass(settings.bypassed);
+    }
+}
+
+// Small seeded PRNG so generated impulse responses are identical live and offline
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Convolution reverb with a procedurally generated impulse response
+class ReverbEffect extends Effect {
+    constructor(context) {
+        super(context, 'reverb', 'Reverb', [
+            { id: 'size', label: 'Size', min: 0.2, max: 6, step: 0.1, value: 2, unit: 's' },
+            { id: 'decay', label: 'Decay', min: 1, max: 8, step: 0.1, value: 3, unit: '' },
+            { id: 'predelay', label: 'Pre-delay', min: 0, max: 200, step: 1, value: 10, unit: 'ms' }
+        ], 0.3);
+
+        this.preDelay = context.createDelay(1);
+        this.convolver = context.createConvolver();
+        this.input.connect(this.preDelay);
+        this.preDelay.connect(this.convolver);
+        this.convolver.connect(this.wet);
+
+        this.init();
+    }
+
+    applyParam(id, value) {
+        if (id === 'predelay') {
+            this.setAudioParam(this.preDelay.delayTime, value / 1000);
+        } else {
+            this.generateImpulse();
+        }
+    }
+
+    // Stereo decaying noise burst
+    generateImpulse() {
+        const { size, decay } = this.params;
+        const length = Math.max(1, Math.round(size * this.context.sampleRate));
+        const impulse = this.context.createBuffer(2, length, this.context.sampleRate);
+        const random = createRandom(1);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
+            }
+        }
+
+        this.convolver.buffer = impulse;
+    }
+
+    getTailTime() {
+        return this.params.size + this.params.predelay / 1000;
+    }
+}
+
+// Note values for tempo synced times, in beats
+export const SYNC_DIVISIONS = {
+    '1/2': 2,
+    '1/4': 1,
+    '1/4d': 1.5,
+    '1/8': 0.5,
+    '1/8d': 0.75,
+    '1/8t': 1 / 3,
+    '1/16': 0.25,
+    '1/16t': 1 / 6
+};
+
+// Feedback delay with optional tempo sync and a damping filter in the loop
+class DelayEffect extends Effect {
+    constructor(context) {
+        super(context, 'delay', 'Delay', [
+            { id: 'time', label: 'Time', min: 10, max: 2000, step: 1, value: 350, unit: 'ms' },
+            {
+                id: 'sync', label: 'Sync', value: 'off',
+                options: [{ value: 'off', label: 'Off' }].concat(
+                    Object.keys(SYNC_DIVISIONS).map(division => ({ value: division, label: division })))
+            },
+            { id: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, value: 0.4, unit: '' },
+            { id: 'tone', label: 'Tone', min: 500, max: 20000, step: 1, value: 6000, unit: 'Hz', scale: 'log' }
+        ], 0.3);
+
+        this.tempo = 120;
+        this.delay = context.createDelay(4);
+        this.feedback = context.createGain();
+        this.damping = context.createBiquadFilter();
+        this.damping.type = 'lowpass';
+
+        this.input.connect(this.delay);
+        this.delay.connect(this.damping);
+        this.damping.connect(this.feedback);
+        this.feedback.connect(this.delay);
+        this.damping.connect(this.wet);
+
+        this.init();
+    }
+
+    applyParam(id, value) {
+        if (id === 'time' || id === 'sync') {
+            this.updateDelayTime();
+        } else if (id === 'feedback') {
+            this.setAudioParam(this.feedback.gain, value);
+        } else if (id === 'tone') {
+            this.setAudioParam(this.damping.frequency, value);
+        }
+    }
+
+    getDelaySeconds() {
+        const division = SYNC_DIVISIONS[this.params.sync];
+        if (division) {
+            return Math.min(4, division * 60 / this.tempo);
+        }
+        return this.params.time / 1000;
+    }
+
+    updateDelayTime() {
+        this.setAudioParam(this.delay.delayTime, this.getDelaySeconds());
+    }
+
+    setTempo(tempo) {
+        this.tempo = tempo;
+        this.updateDelayTime();
+    }
+
+    // Time for the repeats to fall below -60dB
+    getTailTime() {
+        const feedback = Math.max(0.01, this.params.feedback);
+        const repeats = Math.ceil(Math.log(0.001) / Math.log(feedback));
+        return Math.min(30, repeats * this.getDelaySeconds());
+    }
+}
+
+// Stereo chorus: two LFO modulated delays panned left and right
+class ChorusEffect extends Effect {
+    constructor(context) {
+        super(context, 'chorus', 'Chorus', [
+            { id: 'rate', label: 'Rate', min: 0.1, max: 5, step: 0.05, value: 0.8, unit: 'Hz' },
+            { id: 'depth', label: 'Depth', min: 0, max: 10, step: 0.1, value: 3, unit: 'ms' },
+            { id: 'delay', label: 'Delay', min: 5, max: 30, step: 0.5, value: 15, unit: 'ms' }
+        ], 0.5);
+
+        this.lfo = context.createOscillator();
+        this.lfo.type = 'sine';
+        this.lfoInverter = context.createGain();
+        this.lfoInverter.gain.value = -1;
+        this.lfo.connect(this.lfoInverter);
+
+        this.lines = [-1, 1].map((pan, index) => {
+            const delay = context.createDelay(0.1);
+            const depth = context.createGain();
+            const panner = context.createStereoPanner();
+            panner.pan.value = pan;
+
+            (index === 0 ? this.lfo : this.lfoInverter).connect(depth);
+            depth.connect(delay.delayTime);
+            this.input.connect(delay);
+            delay.connect(panner);
+            panner.connect(this.wet);
+
+            return { delay, depth };
+        });
+
+        this.lfo.start();
+        this.init();
+    }
+
+    applyParam(id, value) {
+        if (id === 'rate') {
+            this.setAudioParam(this.lfo.frequency, value);
+        } else if (id === 'depth') {
+            this.lines.forEach(line => this.setAudioParam(line.depth.gain, value / 1000));
+        } else if (id === 'delay') {
+            this.lines.forEach(line => this.setAudioParam(line.delay.delayTime, value / 1000));
+        }
+    }
+}
+
+// Waveshaper distortion with a tone control
+class DistortionEffect extends Effect {
+    constructor(context) {
+        super(context, 'distortion', 'Distortion', [
+            { id: 'drive', label: 'Drive', min: 0, max: 100, step: 1, value: 30, unit: '' },
+            { id: 'tone', label: 'Tone', min: 500, max: 20000, step: 1, value: 8000, unit: 'Hz', scale: 'log' },
+            { id: 'level', label: 'Level', min: 0, max: 1, step: 0.01, value: 0.6, unit: '' }
+        ], 1);
+
+        this.shaper = context.createWaveShaper();
+        this.shaper.oversample = '4x';
+        this.toneFilter = context.createBiquadFilter();
+        this.toneFilter.type = 'lowpass';
+        this.level = context.createGain();
+
+        this.input.connect(this.shaper);
+        this.shaper.connect(this.toneFilter);
+        this.toneFilter.connect(this.level);
+        this.level.connect(this.wet);
+
+        this.init();
+    }
+
+    applyParam(id, value) {
+        if (id === 'drive') {
+            this.shaper.curve = this.createCurve(value);
+        } else if (id === 'tone') {
+            this.setAudioParam(this.toneFilter.frequency, value);
+        } else if (id === 'level') {
+            this.setAudioParam(this.level.gain, value);
+        }
+    }
+
+    // Soft clipping curve, harder as drive increases
+    createCurve(drive) {
+        const samples = 2048;
+        const curve = new Float32Array(samples);
+        const k = drive * 2;
+        for (let i = 0; i < samples; i++) {
+            const x = (i * 2) / samples - 1;
+            curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+        }
+        return curve;
+    }
+}
+
+// Resonant multimode filter with its own attack/decay envelope on the cutoff
+class FilterEffect extends Effect {
+    constructor(context) {
+        super(context, 'filter', 'Filter', [
+            {
+                id: 'type', label: 'Type', value: 'lowpass',
+                options: [
+                    { value: 'lowpass', label: 'Low-pass' },
+                    { value: 'highpass', label: 'High-pass' },
+                    { value: 'bandpass', label: 'Band-pass' },
+                    { value: 'notch', label: 'Notch' }
+                ]
+            },
+            { id: 'cutoff', label: 'Cutoff', min: 20, max: 20000, step: 1, value: 2000, unit: 'Hz', scale: 'log' },
+            { id: 'resonance', label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 1, unit: '' },
+            { id: 'envAmount', label: 'Env Amount', min: 0, max: 6, step: 0.1, value: 0, unit: 'oct' },
+            { id: 'envAttack', label: 'Env Attack', min: 0, max: 2000, step: 1, value: 10, unit: 'ms' },
+            { id: 'envDecay', label: 'Env Decay', min: 0, max: 4000, step: 1, value: 400, unit: 'ms' }
+        ], 1);
+
+        this.filter = context.createBiquadFilter();
+        this.input.connect(this.filter);
+        this.filter.connect(this.wet);
+
+        this.init();
+    }
+
+    applyParam(id, value) {
+        if (id === 'type') {
+            this.filter.type = value;
+        } else if (id === 'cutoff') {
+            this.filter.frequency.cancelScheduledValues(this.context.currentTime);
+            this.setAudioParam(this.filter.frequency, value);
+        } else if (id === 'resonance') {
+            this.setAudioParam(this.filter.Q, value);
+        }
+    }
+
+    // Sweep the cutoff up by envAmount octaves and back down
+    noteOn(time) {
+        const { cutoff, envAmount, envAttack, envDecay } = this.params;
+        if (this.bypassed || envAmount === 0) return;
+
+        const frequency = this.filter.frequency;
+        const peak = Math.min(20000, cutoff * Math.pow(2, envAmount));
+        const attackEnd = time + envAttack / 1000;
+
+        frequency.cancelScheduledValues(time);
+        frequency.setValueAtTime(cutoff, time);
+        frequency.exponentialRampToValueAtTime(peak, Math.max(attackEnd, time + 0.001));
+        frequency.exponentialRampToValueAtTime(cutoff, attackEnd + Math.max(envDecay, 1) / 1000);
+    }
+}
+
+// Effects Rack
+// Chains effects in a reorderable series between the voices and the master gain
+export class EffectsRack {
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.effects = [
+            new FilterEffect(context),
+            new DistortionEffect(context),
+            new ChorusEffect(context),
+            new DelayEffect(context),
+            new ReverbEffect(context)
+        ];
+
+        this.connectChain();
+    }
+
+    // (Re)wire input -> effects in order -> output
+    connectChain() {
+        this.input.disconnect();
+        this.effects.forEach(effect => effect.output.disconnect());
+
+        let previous = this.input;
+        this.effects.forEach((effect) => {
+            previous.connect(effect.input);
+            previous = effect.output;
+        });
+        previous.connect(this.output);
+    }
+
+    getEffect(id) {
+        return this.effects.find(effect => effect.id === id);
+    }
+
+    // Move an effect up (-1) or down (+1) the chain
+    moveEffect(id, direction) {
+        const index = this.effects.findIndex(effect => effect.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.effects.length) return;
+
+        const [effect] = this.effects.splice(index, 1);
+        this.effects.splice(target, 0, effect);
+        this.connectChain();
+    }
+
+    setOrder(ids) {
+        // Each effect once: a repeat would wire its output back into its own input
+        const ordered = Array.from(new Set(ids.map(id => this.getEffect(id)).filter(Boolean)));
+        const missing = this.effects.filter(effect => !ordered.includes(effect));
+        this.effects = ordered.concat(missing);
+        this.connectChain();
+    }
+
+    noteOn(time) {
+        this.effects.forEach(effect => effect.noteOn(time));
+    }
+
+    setTempo(tempo) {
+        this.effects.forEach(effect => effect.setTempo(tempo));
+    }
+
+    // Combined tail of the active effects
+    getTailTime() {
+        return this.effects
+            .filter(effect => !effect.bypassed)
+            .reduce((total, effect) => total + effect.getTailTime(), 0);
+    }
+
+    getSettings() {
+        const effects = {};
+        this.effects.forEach((effect) => {
+            effects[effect.id] = effect.getSettings();
+        });
+        return { order: this.effects.map(effect => effect.id), effects };
+    }
+
+    applySettings(settings) {
+        if (settings.order) {
+            this.setOrder(settings.order);
+        }
+        Object.keys(settings.effects || {}).forEach((id) => {
+            const effect = this.getEffect(id);
+            if (effect) {
+                effect.applySettings(settings.effects[id]);
+            }
+        });
+    }
+}
@@ -0,0 +1,624 @@
+// Audio Engine
+// The synth core: voices and the engine that plays them. Nothing here touches the
+// DOM, so it runs in any page it is embedded in, or headlessly against a stand-in AudioContext.
+
+import { EffectsRack } from './effects.js';
+import { Modulation } from './modulation.js';
+import { Tuning } from './tuning.js';
+import { EventEmitter } from './events.js';
+import { NOTE_NAMES, noteToMidi } from './notes.js';
+
+// Smallest gain used as the floor for exponential ramps (-80dB)
+export const MIN_GAIN = 0.0001;
+
+// Ramp an AudioParam to a value using a linear or exponential curve
+export function rampParam(param, value, endTime, curve) {
+    if (curve === 'exponential') {
+        param.exponentialRampToValueAtTime(Math.max(value, MIN_GAIN), endTime);
+    } else {
+        param.linearRampToValueAtTime(value, endTime);
+    }
+}
+
+// Voice
+// A single sounding note: an oscillator or sample through its own ADSR envelope
+export class Voice {
+    constructor(context, destination, frequency, options) {
+        this.context = context;
+        this.options = options; // { waveform, attack, decay, sustain, release, curve, zone, playbackRate, modulation } - times in ms, sustain 0-1
+        this.modulation = options.modulation || null; // Shared LFO, vibrato and pitch bend buses, see modulation.js
+        this.modulated = []; // [target, param] pairs connected to the modulation buses
+        this.frequency = frequency;
+        this.zone = options.zone || null; // Sample zone to play instead of an oscillator, see samples.js
+        this.velocity = 0;
+        this.startTime = 0;
+        this.releaseTime = null; // Set once the release stage has begun
+        this.releaseLevel = 0;
+        this.endTime = Infinity;
+        this.stolen = false;
+        this.onended = null;
+        this.onrelease = null; // Called with the time the note stops being held (released or stolen)
+        this.sources = []; // { node, stopTime } for the oscillator or sample sources this voice started
+
+        // Velocity-controlled lowpass: softer notes are darker as well as quieter
+        this.brightness = context.createBiquadFilter();
+        this.brightness.type = 'lowpass';
+        this.brightness.Q.value = 0.5;
+
+        this.envelope = context.createGain();
+        this.envelope.gain.value = 0;
+
+        // Tremolo sits after the envelope at unity gain, swung down by the amplitude bus
+        this.tremolo = context.createGain();
+        this.tremolo.gain.value = 1;
+
+        this.brightness.connect(this.envelope);
+        this.envelope.connect(this.tremolo);
+        this.tremolo.connect(destination);
+
+        this.modulate('amplitude', this.tremolo.gain);
+        this.modulate('filter', this.brightness.detune);
+
+        if (this.zone) {
+            this.source = this.createSampleSource();
+            if (this.zone.loop) {
+                this.source.loop = true;
+                this.source.loopStart = this.zone.loopStart;
+                this.source.loopEnd = this.zone.loopEnd;
+            }
+        } else {
+            this.source = context.createOscillator();
+            this.source.type = options.waveform;
+            this.source.frequency.value = frequency;
+        }
+    }
+
+    // Buffer source for the zone's sample, pitch-shifted from its root note
+    createSampleSource() {
+        const source = this.context.createBufferSource();
+        source.buffer = this.zone.buffer;
+        source.playbackRate.value = this.options.playbackRate;
+        return source;
+    }
+
+    // Connect one of this voice's AudioParams to a modulation bus
+    modulate(target, param) {
+        if (!this.modulation) return;
+        this.modulation.connect(target, param);
+        this.modulated.push([target, param]);
+    }
+
+    // Start a source now or later; the voice ends once every source has stopped
+    startSource(node, time, offset) {
+        const entry = { node, stopTime: Infinity };
+        this.sources.push(entry);
+        node.connect(this.brightness);
+        this.modulate('pitch', node.detune);
+        node.onended = () => {
+            entry.ended = true;
+            if (this.sources.every(source => source.ended)) {
+                this.tremolo.disconnect();
+                this.modulated.forEach(([target, param]) => this.modulation.disconnect(target, param));
+                this.modulated = [];
+                if (this.onended) this.onended(this);
+            }
+        };
+        node.start(time, offset);
+        return entry;
+    }
+
+    stopSource(entry, time) {
+        if (time < entry.stopTime) {
+            entry.stopTime = time;
+            entry.node.stop(time);
+        }
+    }
+
+    // Start the source and run attack -> decay -> sustain
+    start(time, velocity) {
+        const { attack, decay, sustain, curve } = this.options;
+        const gain = this.envelope.gain;
+        const attackEnd = time + attack / 1000;
+
+        this.velocity = velocity;
+        this.startTime = time;
+
+        // Cutoff from 2 harmonics at velocity 0 up to 128 (effectively open) at full velocity
+        const nyquist = this.context.sampleRate / 2;
+        this.brightness.frequency.value = Math.min(nyquist, this.frequency * Math.pow(2, 1 + velocity * 6));
+
+        gain.setValueAtTime(curve === 'exponential' ? MIN_GAIN : 0, time);
+        rampParam(gain, velocity, attackEnd, curve);
+        rampParam(gain, velocity * sustain, attackEnd + decay / 1000, curve);
+
+        this.startSource(this.source, time, 0);
+
+        // An unlooped sample ends by itself
+        if (this.zone && !this.zone.loop) {
+            this.endTime = time + this.zone.buffer.duration / this.options.playbackRate;
+        }
+    }
+
+    // Begin the release stage from wherever the envelope currently is
+    release(time) {
+        if (this.isReleasing()) return;
+        this.fadeOut(time, this.options.release / 1000);
+        if (this.zone && this.zone.loop) {
+            this.playReleaseTail(time);
+        }
+    }
+
+    // Let a looped sample run on past its loop into the recorded release tail
+    playReleaseTail(time) {
+        const { buffer, loopStart, loopEnd } = this.zone;
+        if (loopEnd >= buffer.duration) return;
+
+        // Buffer position at the release, then the next time playback reaches the loop end
+        const rate = this.options.playbackRate;
+        const played = Math.max(0, time - this.startTime) * rate;
+        const position = played < loopEnd ? played : loopStart + (played - loopEnd) % (loopEnd - loopStart);
+        const switchTime = time + (loopEnd - position) / rate;
+        if (switchTime >= this.endTime) return;
+
+        const loopSource = this.sources[0];
+        const tail = this.startSource(this.createSampleSource(), switchTime, loopEnd);
+        this.stopSource(tail, this.endTime);
+        this.stopSource(loopSource, switchTime);
+    }
+
+    // Cut the voice short with a quick fade (voice stealing / retrigger)
+    steal(time) {
+        if (this.stolen) return;
+        this.stolen = true;
+        this.fadeOut(time, Math.min(0.015, Math.max(0, this.endTime - time)));
+    }
+
+    fadeOut(time, duration) {
+        const gain = this.envelope.gain;
+        const level = this.levelAt(time);
+        const wasHeld = !this.isReleasing();
+
+        this.releaseLevel = level;
+        this.releaseTime = time;
+        this.endTime = Math.min(this.endTime, time + duration);
+
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(this.options.curve === 'exponential' ? Math.max(level, MIN_GAIN) : level, time);
+        rampParam(gain, 0, this.endTime, this.options.curve);
+
+        this.sources.forEach(source => this.stopSource(source, this.endTime));
+
+        if (wasHeld && this.onrelease) this.onrelease(time);
+    }
+
+    isReleasing() {
+        return this.releaseTime !== null;
+    }
+
+    // Whether the voice is still audible (or yet to start) at a given time
+    isSoundingAt(time) {
+        return !this.stolen && this.endTime > time;
+    }
+
+    // Approximate envelope level at a given time (used for release start and voice stealing)
+    levelAt(time) {
+        if (time < this.startTime || time >= this.endTime) return 0;
+
+        if (this.isReleasing() && time >= this.releaseTime) {
+            const duration = this.endTime - this.releaseTime;
+            if (duration <= 0) return 0;
+            return this.releaseLevel * Math.max(0, 1 - (time - this.releaseTime) / duration);
+        }
+
+        const attack = this.options.attack / 1000;
+        const decay = this.options.decay / 1000;
+        const sustainLevel = this.velocity * this.options.sustain;
+        const elapsed = time - this.startTime;
+
+        if (elapsed < attack) {
+            return this.velocity * (elapsed / attack);
+        }
+        if (elapsed < attack + decay) {
+            return this.velocity + (sustainLevel - this.velocity) * ((elapsed - attack) / decay);
+        }
+        return sustainLevel;
+    }
+
+    setWaveform(waveform) {
+        if (!this.zone) {
+            this.source.type = waveform;
+        }
+    }
+}
+
+// Event types an AudioEngine emits:
+// noteon { note, octave, midi, velocity, time } when a voice starts
+// noteoff { note, octave, midi, time } when a note is released, stopped or stolen
+// paramchange { name, value } when a setting named in ENGINE_PARAMS changes (including the wheels)
+export const ENGINE_EVENTS = ['noteon', 'noteoff', 'paramchange'];
+
+// Settings that can be changed by name with setParam, and the setter for each
+export const ENGINE_PARAMS = {
+    waveform: 'setWaveform',
+    volume: 'setVolume',
+    octave: 'setOctave',
+    attack: 'setAttack',
+    decay: 'setDecay',
+    sustain: 'setSustain',
+    release: 'setRelease',
+    envelopeCurve: 'setEnvelopeCurve',
+    maxPolyphony: 'setMaxPolyphony',
+    stealMode: 'setStealMode',
+    tempo: 'setTempo',
+    bendRange: 'setBendRange',
+    pitchBend: 'setPitchBend',
+    modWheel: 'setModWheel'
+};
+
+// Audio Engine
+// Builds its graph on the live AudioContext, or on any BaseAudioContext passed in
+// (e.g. an OfflineAudioContext for rendering, or a shared context when embedding several keyboards)
+export class AudioEngine extends EventEmitter {
+    constructor(context = null, output = null) {
+        super(ENGINE_EVENTS);
+        this.audioContext = null;
+        this.masterGain = null;
+        this.voiceBus = null; // All voices mix here before the effects rack
+        this.effectsRack = null;
+        this.modulation = null; // LFOs, vibrato and pitch bend applied to every voice
+        this.output = output; // Engine whose effects and master this one plays through (keyboard zones), if any
+        this.offline = typeof context?.startRendering === 'function'; // Rendering contexts are never resumed by the engine
+        this.activeNotes = new Map(); // Most recent voice for each note
+        this.voices = new Set(); // Every voice still sounding, including releasing ones
+        this.waveform = 'sine';
+        this.instruments = new Map(); // Loaded sample instruments by id, see samples.js
+        this.instrument = null; // Sample instrument played instead of the waveform, if any
+        this.volume = 0.5;
+        this.octave = 2; // Base octave (will show 5 octaves: 2, 3, 4, 5, 6)
+        this.attack = 0;
+        this.decay = 100;
+        this.sustain = 1;
+        this.release = 200;
+        this.envelopeCurve = 'linear'; // 'linear' or 'exponential'
+        this.maxPolyphony = 16;
+        this.stealMode = 'oldest'; // 'oldest' or 'quietest'
+        this.tempo = 120; // BPM, used for MIDI export and tempo-synced features
+        this.tuning = output ? output.tuning : new Tuning();
+        
+        if (context) {
+            this.buildGraph(context);
+        } else {
+            this.initAudioContext();
+        }
+    }
+
+    initAudioContext() {
+        try {
+            this.buildGraph(new (globalThis.AudioContext || globalThis.webkitAudioContext)());
+        } catch (error) {
+            console.error('Error initializing audio context:', error);
+        }
+    }
+
+    // Create the shared output nodes on a context: voices -> effects rack -> master
+    buildGraph(context) {
+        this.audioContext = context;
+        this.voiceBus = context.createGain();
+        this.masterGain = context.createGain();
+        this.masterGain.gain.value = this.volume;
+
+        if (this.output) {
+            // Zone engines feed the output engine's effects rack, which applies the master volume
+            this.effectsRack = this.output.effectsRack;
+            this.modulation = this.output.modulation;
+            this.masterGain.gain.value = 1;
+            this.voiceBus.connect(this.masterGain);
+            this.masterGain.connect(this.effectsRack.input);
+            return;
+        }
+
+        this.effectsRack = new EffectsRack(context);
+        this.modulation = new Modulation(context);
+        this.voiceBus.connect(this.effectsRack.input);
+        this.effectsRack.output.connect(this.masterGain);
+        this.masterGain.connect(context.destination);
+    }
+
+    // Snapshot of the sound settings, so another engine can be configured to match
+    getSettings() {
+        return {
+            waveform: this.waveform,
+            volume: this.volume,
+            octave: this.octave,
+            attack: this.attack,
+            decay: this.decay,
+            sustain: this.sustain,
+            release: this.release,
+            envelopeCurve: this.envelopeCurve,
+            maxPolyphony: this.maxPolyphony,
+            stealMode: this.stealMode,
+            tempo: this.tempo,
+            bendRange: this.modulation.bendRange,
+            lfos: this.modulation.getLfoSettings(),
+            effects: this.effectsRack.getSettings(),
+            tuning: this.tuning.getSettings()
+        };
+    }
+
+    // Apply settings produced by getSettings
+    applySettings(settings) {
+        this.setWaveform(settings.waveform);
+        this.setVolume(settings.volume);
+        this.setOctave(settings.octave);
+        this.setAttack(settings.attack);
+        this.setDecay(settings.decay);
+        this.setSustain(settings.sustain);
+        this.setRelease(settings.release);
+        this.setEnvelopeCurve(settings.envelopeCurve);
+        this.setMaxPolyphony(settings.maxPolyphony);
+        this.setStealMode(settings.stealMode);
+        this.setTempo(settings.tempo);
+        if (settings.bendRange !== undefined) {
+            this.setBendRange(settings.bendRange);
+        }
+        if (settings.lfos) {
+            this.modulation.applyLfoSettings(settings.lfos);
+        }
+        if (settings.effects) {
+            this.effectsRack.applySettings(settings.effects);
+        }
+        if (settings.tuning) {
+            this.tuning.applySettings(settings.tuning);
+        }
+    }
+
+    // Convert note name to frequency using the current tuning
+    noteToFrequency(note, octave) {
+        if (!NOTE_NAMES.includes(note)) return 0;
+        return this.tuning.frequencyForMidi(noteToMidi(note, octave));
+    }
+
+    // Make sure the audio context exists and is running
+    resumeContext() {
+        if (this.output) {
+            this.output.resumeContext();
+            return;
+        }
+
+        if (!this.audioContext) {
+            this.initAudioContext();
+        }
+
+        // Resume audio context if suspended (required by some browsers)
+        if (!this.offline && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    // Play a note (velocity 0-1), now or at a scheduled audio clock time. Returns the voice it
+    // started, or null if none was (e.g. the note is already held), so a caller can release just
+    // its own voices rather than whatever is sounding at that pitch.
+    playNote(note, octave, velocity = 1, time = null) {
+        this.resumeContext();
+
+        const frequency = this.noteToFrequency(note, octave);
+        if (frequency === 0) return null;
+
+        const noteId = `${note}-${octave}`;
+        const currentTime = time === null ? this.audioContext.currentTime : time;
+        const existing = this.activeNotes.get(noteId);
+
+        // Don't play if already held; a releasing note is retriggered with a fresh voice
+        if (existing && !existing.isReleasing()) {
+            return null;
+        }
+        if (existing && existing.isSoundingAt(currentTime)) {
+            existing.steal(currentTime);
+        }
+
+        // Sample instruments play the zone for this key and velocity, pitched from its root note
+        let zone = null;
+        let playbackRate = 1;
+        if (this.instrument) {
+            zone = this.instrument.findZone(noteToMidi(note, octave), velocity);
+            if (!zone) return null;
+            playbackRate = frequency / this.tuning.frequencyForMidi(zone.rootNote);
+        }
+
+        this.enforcePolyphony(currentTime);
+
+        const voice = new Voice(this.audioContext, this.voiceBus, frequency, {
+            zone,
+            playbackRate,
+            waveform: this.waveform,
+            attack: this.attack,
+            decay: this.decay,
+            sustain: this.sustain,
+            release: this.release,
+            curve: this.envelopeCurve,
+            modulation: this.modulation
+        });
+
+        // Clean up once the oscillator has actually stopped
+        voice.onended = () => {
+            this.voices.delete(voice);
+            if (this.activeNotes.get(noteId) === voice) {
+                this.activeNotes.delete(noteId);
+            }
+        };
+
+        const midi = noteToMidi(note, octave);
+        voice.onrelease = releaseTime => this.emit('noteoff', { note, octave, midi, time: releaseTime });
+
+        voice.start(currentTime, velocity);
+        this.effectsRack.noteOn(currentTime);
+        this.voices.add(voice);
+        this.activeNotes.set(noteId, voice);
+        this.emit('noteon', { note, octave, midi, velocity, time: currentTime });
+        return voice;
+    }
+
+    // Steal voices until there is room for `reserve` more
+    enforcePolyphony(time, reserve = 1) {
+        let sounding = Array.from(this.voices).filter(voice => voice.isSoundingAt(time));
+
+        while (sounding.length > 0 && sounding.length + reserve > this.maxPolyphony) {
+            // Prefer voices that are already releasing
+            const releasing = sounding.filter(voice => voice.isReleasing());
+            const candidates = releasing.length > 0 ? releasing : sounding;
+
+            const victim = candidates.reduce((best, voice) => {
+                if (this.stealMode === 'quietest') {
+                    return voice.levelAt(time) < best.levelAt(time) ? voice : best;
+                }
+                return voice.startTime < best.startTime ? voice : best;
+            });
+
+            victim.steal(time);
+            sounding = sounding.filter(voice => voice !== victim);
+        }
+    }
+
+    // Stop a note, now or at a scheduled audio clock time
+    stopNote(note, octave, time = null) {
+        const noteId = `${note}-${octave}`;
+        const voice = this.activeNotes.get(noteId);
+
+        if (!voice) return;
+
+        voice.release(time === null ? this.audioContext.currentTime : time);
+    }
+
+    // Stop all notes
+    stopAllNotes() {
+        const currentTime = this.audioContext.currentTime;
+        this.activeNotes.forEach(voice => voice.release(currentTime));
+    }
+
+    // Change a setting by its ENGINE_PARAMS name
+    setParam(name, value) {
+        const setter = ENGINE_PARAMS[name];
+        if (!setter) {
+            throw new TypeError(`Unknown parameter "${name}"`);
+        }
+        this[setter](value);
+    }
+
+    notifyParamChange(name, value) {
+        this.emit('paramchange', { name, value });
+    }
+
+    // Update waveform
+    setWaveform(waveform) {
+        this.waveform = waveform;
+        // Update sounding oscillators
+        this.voices.forEach(voice => voice.setWaveform(waveform));
+        this.notifyParamChange('waveform', waveform);
+    }
+
+    // Play a sample instrument instead of the waveform (null for the waveform)
+    setInstrument(instrument) {
+        this.instrument = instrument;
+    }
+
+    addInstrument(instrument) {
+        this.instruments.set(instrument.id, instrument);
+    }
+
+    removeInstrument(instrument) {
+        this.instruments.delete(instrument.id);
+        if (this.instrument === instrument) {
+            this.instrument = null;
+        }
+    }
+
+    // Level of this engine's own voices, before effects and master volume
+    setVoiceLevel(level) {
+        this.voiceBus.gain.value = level;
+    }
+
+    // Update volume
+    setVolume(volume) {
+        this.volume = volume;
+        this.masterGain.gain.value = volume;
+        this.notifyParamChange('volume', volume);
+    }
+
+    // Update octave
+    setOctave(octave) {
+        this.octave = octave;
+        this.notifyParamChange('octave', octave);
+    }
+
+    // Update attack
+    setAttack(attack) {
+        this.attack = attack;
+        this.notifyParamChange('attack', attack);
+    }
+
+    // Update decay
+    setDecay(decay) {
+        this.decay = decay;
+        this.notifyParamChange('decay', decay);
+    }
+
+    // Update sustain level (0-1)
+    setSustain(sustain) {
+        this.sustain = sustain;
+        this.notifyParamChange('sustain', sustain);
+    }
+
+    // Update release
+    setRelease(release) {
+        this.release = release;
+        this.notifyParamChange('release', release);
+    }
+
+    // Update envelope curve ('linear' or 'exponential')
+    setEnvelopeCurve(curve) {
+        this.envelopeCurve = curve;
+        this.notifyParamChange('envelopeCurve', curve);
+    }
+
+    // Update maximum number of simultaneous voices
+    setMaxPolyphony(maxPolyphony) {
+        this.maxPolyphony = maxPolyphony;
+        if (this.audioContext) {
+            // Trim sounding voices down to the new limit
+            this.enforcePolyphony(this.audioContext.currentTime, 0);
+        }
+        this.notifyParamChange('maxPolyphony', maxPolyphony);
+    }
+
+    // Update voice stealing strategy ('oldest' or 'quietest')
+    setStealMode(stealMode) {
+        this.stealMode = stealMode;
+        this.notifyParamChange('stealMode', stealMode);
+    }
+
+    // Update tempo (BPM)
+    setTempo(tempo) {
+        this.tempo = tempo;
+        this.effectsRack.setTempo(tempo);
+        this.modulation.setTempo(tempo);
+        this.notifyParamChange('tempo', tempo);
+    }
+
+    // Update pitch bend range (semitones either way)
+    setBendRange(semitones) {
+        this.modulation.setBendRange(semitones);
+        this.notifyParamChange('bendRange', semitones);
+    }
+
+    // Bend every sounding voice (-1 to 1 of the bend range)
+    setPitchBend(bend) {
+        this.modulation.setPitchBend(bend);
+        this.notifyParamChange('pitchBend', this.modulation.pitchBend);
+    }
+
+    // Update mod wheel (0-1), which sets the vibrato depth
+    setModWheel(amount) {
+        this.modulation.setModWheel(amount);
+        this.notifyParamChange('modWheel', this.modulation.modWheel);
+    }
+}
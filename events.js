@@ -0,0 +1,47 @@
+// Event Emitter
+// Publishes a fixed set of event types. Subscribing to or emitting any other type throws,
+// so a misspelt event name fails straight away instead of silently never firing.
+
+export class EventEmitter {
+    constructor(eventTypes) {
+        this.listeners = new Map(eventTypes.map(type => [type, new Set()]));
+    }
+
+    // Register a listener; returns a function that removes it again
+    on(type, listener) {
+        this.getListeners(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.getListeners(type).delete(listener);
+    }
+
+    // Register a listener for the next event of a type only
+    once(type, listener) {
+        const remove = this.on(type, (event) => {
+            remove();
+            listener(event);
+        });
+        return remove;
+    }
+
+    // Call every listener for a type; one failing listener doesn't stop the others
+    emit(type, event) {
+        Array.from(this.getListeners(type)).forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+
+    getListeners(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new TypeError(`Unknown event type "${type}", expected one of: ${Array.from(this.listeners.keys()).join(', ')}`);
+        }
+        return listeners;
+    }
+}
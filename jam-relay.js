@@ -0,0 +1,138 @@
+// Jam Relay
+// Rooms of players on the local network: each note a player sends is passed on to everyone else
+// in the room, along with who joined, who left and which patch each player is using.
+// Nothing here knows about sockets - server.js feeds it messages from each connection.
+
+import { NOTE_NAMES } from './notes.js';
+
+export const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+export const PLAYER_COLORS = ['#e74c3c', '#27ae60', '#f39c12', '#8e44ad', '#16a085', '#d35400', '#2980b9', '#c0392b'];
+const MAX_NAME_LENGTH = 24;
+
+export class JamRelay {
+    constructor({ now = () => performance.now() } = {}) {
+        this.now = now; // Relay clock in ms; players sync to it to stamp their notes
+        this.rooms = new Map(); // Room code -> Set of players
+        this.nextId = 1;
+    }
+
+    // A new connection; `connection.send(text)` delivers a message to that player
+    addPlayer(connection) {
+        return { id: this.nextId++, connection, room: null, name: '', color: null, patch: null };
+    }
+
+    removePlayer(player) {
+        if (!player.room) return;
+
+        const players = this.rooms.get(player.room);
+        players.delete(player);
+        if (players.size === 0) {
+            this.rooms.delete(player.room);
+        } else {
+            this.broadcast(player, { type: 'leave', id: player.id });
+        }
+        player.room = null;
+    }
+
+    handleMessage(player, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object') {
+            this.send(player, { type: 'error', message: 'Messages must be JSON objects' });
+            return;
+        }
+
+        if (message.type === 'ping') {
+            this.send(player, { type: 'pong', time: message.time, serverTime: this.now() });
+        } else if (message.type === 'join') {
+            this.join(player, message);
+        } else if (message.type === 'leave') {
+            this.removePlayer(player);
+        } else if (!player.room) {
+            this.send(player, { type: 'error', message: 'Join a room first' });
+        } else if (message.type === 'note') {
+            this.relayNote(player, message);
+        } else if (message.type === 'patch') {
+            player.patch = this.getPatch(message.patch);
+            this.broadcast(player, { type: 'patch', from: player.id, patch: player.patch });
+        }
+    }
+
+    join(player, message) {
+        const room = typeof message.room === 'string' ? message.room.toUpperCase() : '';
+        if (!ROOM_CODE_PATTERN.test(room)) {
+            this.send(player, { type: 'error', message: 'Room codes are 4-8 letters or digits' });
+            return;
+        }
+
+        // Check for space before leaving the current room, so a refused move leaves the player where they were
+        const occupants = Array.from(this.rooms.get(room) || []).filter(other => other !== player);
+        const usedColors = new Set(occupants.map(other => other.color));
+        const color = PLAYER_COLORS.find(candidate => !usedColors.has(candidate));
+        if (!color) {
+            this.send(player, { type: 'error', message: `Room ${room} is full` });
+            return;
+        }
+
+        this.removePlayer(player);
+        const players = this.rooms.get(room) || new Set();
+
+        player.room = room;
+        player.name = typeof message.name === 'string' && message.name.trim()
+            ? message.name.trim().slice(0, MAX_NAME_LENGTH)
+            : `Player ${player.id}`;
+        player.color = color;
+        player.patch = this.getPatch(message.patch);
+
+        const others = Array.from(players).map(other => this.describe(other));
+        players.add(player);
+        this.rooms.set(room, players);
+
+        this.send(player, { type: 'welcome', id: player.id, room, color, players: others });
+        this.broadcast(player, { type: 'join', player: this.describe(player) });
+    }
+
+    // Pass a note on with only the fields players expect
+    relayNote(player, message) {
+        const isValid = (message.event === 'noteon' || message.event === 'noteoff') &&
+            NOTE_NAMES.includes(message.note) && Number.isInteger(message.octave) &&
+            typeof message.time === 'number' && Number.isFinite(message.time);
+        if (!isValid) return;
+
+        const velocity = typeof message.velocity === 'number' ? Math.max(0, Math.min(1, message.velocity)) : 1;
+        this.broadcast(player, {
+            type: 'note',
+            from: player.id,
+            event: message.event,
+            note: message.note,
+            octave: message.octave,
+            velocity,
+            time: message.time
+        });
+    }
+
+    // Players check patches against the preset schema themselves; the relay only needs an object
+    getPatch(patch) {
+        return patch && typeof patch === 'object' && !Array.isArray(patch) ? patch : null;
+    }
+
+    describe(player) {
+        return { id: player.id, name: player.name, color: player.color, patch: player.patch };
+    }
+
+    send(player, message) {
+        player.connection.send(JSON.stringify(message));
+    }
+
+    // Send to everyone else in the player's room
+    broadcast(player, message) {
+        const text = JSON.stringify(message);
+        this.rooms.get(player.room).forEach((other) => {
+            if (other !== player) other.connection.send(text);
+        });
+    }
+}
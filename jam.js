@@ -0,0 +1,428 @@
+// Jam
+// Playing together through the relay in server.js. JamSession speaks the relay's protocol and keeps
+// a clock in step with it; JamPanel sends the notes played here and plays everyone else's.
+
+import { EventEmitter } from './events.js';
+import { AudioEngine } from './engine.js';
+import { ROOM_CODE_PATTERN } from './jam-relay.js';
+import { FACTORY_PRESETS } from './presets.js';
+
+// Event types a JamSession emits:
+// status { connected, room, latency } on joining or leaving, and after each clock sync
+// welcome { id, room, color, players } once a room is joined, listing who was already there
+// join { player }, leave { id }, patch { from, patch } as players come, go and change sound
+// note { from, event, note, octave, velocity, time } for each note another player strikes or lets go
+// error { message } when the relay refuses something or can't be reached
+export const JAM_EVENTS = ['status', 'welcome', 'join', 'leave', 'note', 'patch', 'error'];
+
+// Other players' notes sound this long after they were struck, on the shared clock, so network
+// jitter doesn't smear their timing; anything that arrives later than that plays straight away
+export const JAM_PLAYBACK_DELAY = 40; // ms
+
+const PING_INTERVAL = 2000; // ms
+const CLOCK_SAMPLES = 8; // Recent pings kept; the fastest round trip gives the truest clock offset
+const SOCKET_OPEN = 1; // WebSocket.OPEN
+
+// Engine settings that make up a player's sound; effects, tuning and modulation belong to the page
+const PLAYER_PATCH_SETTINGS = ['waveform', 'volume', 'attack', 'decay', 'sustain', 'release', 'envelopeCurve'];
+
+// Room codes avoid letters and digits that are easy to mix up
+const ROOM_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Jam Session
+// One player's connection to the relay
+export class JamSession extends EventEmitter {
+    constructor(url, { WebSocket: SocketClass = globalThis.WebSocket } = {}) {
+        super(JAM_EVENTS);
+        this.url = url;
+        this.SocketClass = SocketClass;
+        this.socket = null;
+        this.id = null;
+        this.room = null;
+        this.color = null;
+        this.clockOffset = 0; // Relay clock minus performance.now(), in ms
+        this.latency = null; // Estimated one-way trip to the relay, in ms
+        this.clockSamples = []; // { roundTrip, offset } from recent pings
+        this.pingTimer = null;
+    }
+
+    // Connect if needed, then join (or move to) a room
+    join(room, name, patch) {
+        const message = { type: 'join', room, name, patch };
+        if (this.socket && this.socket.readyState === SOCKET_OPEN) {
+            this.send(message);
+            return;
+        }
+
+        this.disconnect();
+        const socket = new this.SocketClass(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.send(message);
+            this.ping();
+            this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+        });
+        socket.addEventListener('message', e => this.handleMessage(e.data));
+        socket.addEventListener('error', () => {
+            this.emit('error', { message: `Can't reach the jam server at ${this.url}` });
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket === socket) this.handleClose();
+        });
+    }
+
+    // Leaving closes the connection; the relay tells the room
+    leave() {
+        this.disconnect();
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.handleClose();
+    }
+
+    handleClose() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        this.socket = null;
+        this.id = null;
+        this.room = null;
+        this.color = null;
+        this.latency = null;
+        this.clockSamples = [];
+        this.emitStatus();
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.error('Error reading jam message:', error);
+            return;
+        }
+
+        if (message.type === 'pong') {
+            this.handlePong(message);
+        } else if (message.type === 'welcome') {
+            this.id = message.id;
+            this.room = message.room;
+            this.color = message.color;
+            this.emit('welcome', message);
+            this.emitStatus();
+        } else if (message.type === 'join') {
+            this.emit('join', { player: message.player });
+        } else if (message.type === 'leave') {
+            this.emit('leave', { id: message.id });
+        } else if (message.type === 'patch') {
+            this.emit('patch', { from: message.from, patch: message.patch });
+        } else if (message.type === 'note') {
+            const { from, event, note, octave, velocity, time } = message;
+            this.emit('note', { from, event, note, octave, velocity, time });
+        } else if (message.type === 'error') {
+            this.emit('error', { message: message.message });
+        }
+    }
+
+    ping() {
+        this.send({ type: 'ping', time: performance.now() });
+    }
+
+    // Assume the reply took half the round trip, and trust the fastest recent round trip most
+    handlePong({ time, serverTime }) {
+        const now = performance.now();
+        const roundTrip = now - time;
+        this.clockSamples.push({ roundTrip, offset: serverTime + roundTrip / 2 - now });
+        if (this.clockSamples.length > CLOCK_SAMPLES) {
+            this.clockSamples.shift();
+        }
+
+        const best = this.clockSamples.reduce((fastest, sample) => (sample.roundTrip < fastest.roundTrip ? sample : fastest));
+        this.clockOffset = best.offset;
+        this.latency = best.roundTrip / 2;
+        this.emitStatus();
+    }
+
+    // Current time on the relay's clock, in ms
+    serverNow() {
+        return performance.now() + this.clockOffset;
+    }
+
+    // Send a note, stamped with when it was played on the shared clock
+    sendNote(event, note, octave, velocity) {
+        if (!this.room) return;
+        this.send({ type: 'note', event, note, octave, velocity, time: this.serverNow() });
+    }
+
+    sendPatch(patch) {
+        if (!this.room) return;
+        this.send({ type: 'patch', patch });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === SOCKET_OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    emitStatus() {
+        this.emit('status', { connected: this.room !== null, room: this.room, latency: this.latency });
+    }
+}
+
+// Jam Panel
+// Room controls and the player list; each other player is heard through an engine of their own,
+// playing through this page's effects and master volume like a keyboard zone
+export class JamPanel {
+    constructor(audioEngine, keyboardManager, presetManager) {
+        this.audioEngine = audioEngine;
+        this.keyboardManager = keyboardManager;
+        this.presetManager = presetManager;
+        this.storageKey = 'webkeys.jam';
+        this.players = new Map(); // id -> { id, name, color, patch, patchChoice, engine, heldNotes }
+        this.patchTimer = null;
+        this.inSession = false;
+
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.session = new JamSession(`${protocol}//${location.host}/jam`);
+
+        this.initControls();
+        this.initSession();
+        this.load();
+        this.updateStatus();
+
+        // Share what is played here, after the pedals have had their say
+        keyboardManager.addNoteListener((type, event) => {
+            this.session.sendNote(type, event.note, event.octave, event.velocity);
+        });
+
+        // Let the others hear sound changes, at most a few times a second while a slider moves
+        audioEngine.on('paramchange', ({ name }) => {
+            if (!PLAYER_PATCH_SETTINGS.includes(name) || this.patchTimer) return;
+            this.patchTimer = setTimeout(() => {
+                this.patchTimer = null;
+                this.session.sendPatch(this.getOwnPatch());
+            }, 250);
+        });
+    }
+
+    initControls() {
+        this.nameInput = document.getElementById('jam-name');
+        this.roomInput = document.getElementById('jam-room');
+        this.leaveButton = document.getElementById('jam-leave-button');
+        this.statusText = document.getElementById('jam-status');
+        this.playerList = document.getElementById('jam-players');
+
+        document.getElementById('jam-create-button').addEventListener('click', () => {
+            this.roomInput.value = this.createRoomCode();
+            this.join();
+        });
+        document.getElementById('jam-join-button').addEventListener('click', () => this.join());
+        this.leaveButton.addEventListener('click', () => this.session.leave());
+        this.nameInput.addEventListener('change', () => this.save());
+    }
+
+    initSession() {
+        const session = this.session;
+
+        session.on('welcome', ({ players }) => {
+            this.removeAllPlayers();
+            players.forEach(player => this.addPlayer(player));
+            this.renderPlayers();
+        });
+        session.on('join', ({ player }) => {
+            this.addPlayer(player);
+            this.renderPlayers();
+            this.setStatus(`${player.name} joined`);
+        });
+        session.on('leave', ({ id }) => {
+            const player = this.players.get(id);
+            if (!player) return;
+            this.removePlayer(player);
+            this.renderPlayers();
+            this.setStatus(`${player.name} left`);
+        });
+        session.on('patch', ({ from, patch }) => {
+            const player = this.players.get(from);
+            if (!player) return;
+            player.patch = patch;
+            if (player.patchChoice === 'theirs') this.applyPlayerPatch(player);
+        });
+        session.on('note', event => this.playRemoteNote(event));
+        session.on('error', ({ message }) => this.setStatus(message));
+        session.on('status', ({ connected }) => {
+            if (!connected) {
+                this.removeAllPlayers();
+                if (this.inSession) this.setStatus('Disconnected from the session');
+            }
+            this.inSession = connected;
+            this.updateStatus();
+        });
+    }
+
+    createRoomCode() {
+        return Array.from({ length: 5 }, () => ROOM_CODE_CHARACTERS[Math.floor(Math.random() * ROOM_CODE_CHARACTERS.length)]).join('');
+    }
+
+    join() {
+        const room = this.roomInput.value.trim().toUpperCase();
+        if (!ROOM_CODE_PATTERN.test(room)) {
+            this.setStatus('Room codes are 4-8 letters or digits');
+            this.roomInput.focus();
+            return;
+        }
+
+        this.roomInput.value = room;
+        this.save();
+        this.setStatus('Connecting...');
+        this.session.join(room, this.nameInput.value.trim(), this.getOwnPatch());
+    }
+
+    // The part of this page's settings the other players hear us with
+    getOwnPatch() {
+        const settings = this.audioEngine.getSettings();
+        const patch = {};
+        PLAYER_PATCH_SETTINGS.forEach((name) => {
+            patch[name] = settings[name];
+        });
+        return patch;
+    }
+
+    addPlayer({ id, name, color, patch }) {
+        const player = {
+            id,
+            name,
+            color: /^#[0-9a-f]{6}$/i.test(color) ? color : '#888888',
+            patch,
+            patchChoice: 'theirs', // 'theirs' or the name of a factory preset to hear them with instead
+            engine: new AudioEngine(this.audioEngine.audioContext, this.audioEngine),
+            heldNotes: new Map() // "note-octave" -> { note, octave } lit on the keyboard
+        };
+        this.players.set(id, player);
+        this.applyPlayerPatch(player);
+    }
+
+    removePlayer(player) {
+        player.engine.stopAllNotes();
+        player.heldNotes.forEach(({ note, octave }) => this.keyboardManager.setRemoteNote(note, octave, player.id, null, false));
+        this.players.delete(player.id);
+
+        // Let the release tails finish before unplugging the engine
+        setTimeout(() => player.engine.masterGain.disconnect(), player.engine.release + 100);
+    }
+
+    removeAllPlayers() {
+        this.players.forEach(player => this.removePlayer(player));
+        this.renderPlayers();
+    }
+
+    // Set a player's engine to their own patch, or the preset chosen for them here
+    applyPlayerPatch(player) {
+        const settings = player.patchChoice === 'theirs'
+            ? player.patch || {}
+            : this.presetManager.getFactoryPatch(player.patchChoice).settings;
+
+        try {
+            const patch = this.presetManager.normalizePatch({ name: player.name, settings });
+            PLAYER_PATCH_SETTINGS.forEach(name => player.engine.setParam(name, patch.settings[name]));
+        } catch (error) {
+            console.error(`Ignoring invalid patch from ${player.name}:`, error);
+        }
+    }
+
+    playRemoteNote({ from, event, note, octave, velocity, time }) {
+        const player = this.players.get(from);
+        if (!player) return;
+
+        const delay = Math.max(0, Math.min(JAM_PLAYBACK_DELAY, time + JAM_PLAYBACK_DELAY - this.session.serverNow()));
+        const startTime = this.audioEngine.audioContext.currentTime + delay / 1000;
+        if (event === 'noteon') {
+            player.engine.playNote(note, octave, velocity, startTime);
+        } else {
+            player.engine.stopNote(note, octave, startTime);
+        }
+
+        // Light the key when the note is heard
+        setTimeout(() => {
+            if (this.players.get(from) !== player) return;
+            const noteId = `${note}-${octave}`;
+            if (event === 'noteon') {
+                player.heldNotes.set(noteId, { note, octave });
+            } else {
+                player.heldNotes.delete(noteId);
+            }
+            this.keyboardManager.setRemoteNote(note, octave, player.id, player.color, event === 'noteon');
+        }, delay);
+    }
+
+    renderPlayers() {
+        this.playerList.innerHTML = '';
+        if (!this.session.room) return;
+
+        this.playerList.appendChild(this.createPlayerItem(this.session.color, `${this.nameInput.value.trim() || 'You'} (you)`));
+        this.players.forEach((player) => {
+            const item = this.createPlayerItem(player.color, player.name);
+
+            const select = document.createElement('select');
+            select.title = `Patch to hear ${player.name} with`;
+            select.add(new Option('Their patch', 'theirs'));
+            FACTORY_PRESETS.forEach(preset => select.add(new Option(preset.name, preset.name)));
+            select.value = player.patchChoice;
+            select.addEventListener('change', (e) => {
+                player.patchChoice = e.target.value;
+                this.applyPlayerPatch(player);
+            });
+
+            item.appendChild(select);
+            this.playerList.appendChild(item);
+        });
+    }
+
+    createPlayerItem(color, name) {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'jam-swatch';
+        swatch.style.background = color;
+        const label = document.createElement('span');
+        label.textContent = name;
+        item.append(swatch, label);
+        return item;
+    }
+
+    setStatus(text) {
+        this.statusText.textContent = text;
+    }
+
+    updateStatus() {
+        const { room, latency } = this.session;
+        this.leaveButton.disabled = !room;
+        if (!room) return;
+
+        const players = this.players.size + 1;
+        const timing = latency === null ? '' : ` - ${Math.round(latency)} ms to the server`;
+        this.setStatus(`Room ${room} - ${players} ${players === 1 ? 'player' : 'players'}${timing}`);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.nameInput.value = typeof saved.name === 'string' ? saved.name : '';
+                this.roomInput.value = typeof saved.room === 'string' ? saved.room : '';
+            }
+        } catch (error) {
+            console.error('Error reading jam settings from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ name: this.nameInput.value.trim(), room: this.roomInput.value }));
+        } catch (error) {
+            console.error('Error saving jam settings to localStorage:', error);
+        }
+    }
+}
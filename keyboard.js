@@ -0,0 +1,674 @@
+// Keyboard Manager
+// The on-screen keyboard inside one element, played by pointer, computer keyboard or pressNote.
+// Everything it touches is inside that element, so several can share a page. Options:
+// computerKeyboard - play from the computer keyboard (default true; leave it on for one keyboard per page)
+// pedalButtons - { sustain, sostenuto } toggle buttons to keep in step with the pedals, if any
+// range - { low, high } MIDI notes shown at the engine's current octave (default C2-B6 at octave 2)
+// zoom - key width relative to the width that fits the container (default 1)
+
+import { noteToMidi, midiToNote, spokenNoteName } from './notes.js';
+import { labelForCode, createLayoutMapping } from './keymaps.js';
+
+export const DEFAULT_KEYBOARD_RANGE = { low: 36, high: 95, octave: 2 }; // C2-B6 at octave 2, moving with the octave
+export const PIANO_RANGE = { low: 21, high: 108 }; // A0-C8
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 3;
+
+// White key widths (px) the fitted size stays within, before zoom
+const MIN_WHITE_KEY_WIDTH = 20;
+const MAX_WHITE_KEY_WIDTH = 60;
+
+// Where each black key's centre sits relative to the line between its white neighbours, in white
+// key widths. As on a piano, the black keys split the C-E and F-B groups into equal slots, so
+// C# and D# lean apart, F# and A# lean apart and G# sits in the middle.
+const BLACK_KEY_OFFSETS = { 'C#': -0.1, 'D#': 0.1, 'F#': -1 / 7, 'G#': 0, 'A#': 1 / 7 };
+
+// Where a range set at one octave sits at another: moved by whole octaves, as far as it stays
+// within the MIDI notes 0-127
+export function placeRange(range, fromOctave, toOctave) {
+    const lowestShift = -Math.floor(range.low / 12);
+    const highestShift = Math.floor((127 - range.high) / 12);
+    const shift = Math.min(highestShift, Math.max(lowestShift, toOctave - fromOctave)) * 12;
+    return { low: range.low + shift, high: range.high + shift };
+}
+
+export class KeyboardManager {
+    constructor(audioEngine, element, options = {}) {
+        this.audioEngine = audioEngine;
+        this.element = element;
+        this.options = { computerKeyboard: true, pedalButtons: null, ...options };
+        this.homeRange = options.range ? { ...options.range, octave: audioEngine.octave } : { ...DEFAULT_KEYBOARD_RANGE }; // Range as set, and the octave it was set at
+        this.range = null; // { low, high } MIDI notes of the keys currently built
+        this.whiteKeyCount = 0;
+        this.zoom = options.zoom || 1;
+        this.litNotes = new Set(); // "note-octave" ids highlighted as playing, kept across octave shifts
+        this.remoteNotes = new Map(); // "note-octave" -> Map of player id -> colour, for notes other players hold
+        this.listenerScope = new AbortController(); // Aborted by destroy to remove every page-level listener
+        this.keyMapping = createLayoutMapping('piano'); // KeyboardEvent.code -> note, see keymaps.js
+        this.layoutMap = null; // Browser keyboard layout map for key labels, when available
+        this.heldComputerKeys = new Map(); // code -> { note, octave } for computer keys held down
+        this.keyAssignHandler = null; // Set by the mapping editor to capture clicked keys
+        this.noteOutput = audioEngine; // Where played notes go: the engine, or a note processor in front of it
+        this.splitPoint = null; // MIDI note where the upper keyboard zone starts, when split
+        this.activeKeys = new Set();
+        this.pointerKeys = new Map(); // pointerId -> { key, note, octave } pressed by each pointer (null when off the keys)
+        this.noteListeners = []; // Notified of note on/off from any source
+        this.pedalListeners = []; // Notified when the sustain or sostenuto pedal changes
+        this.sustainPedal = false;
+        this.sostenutoPedal = false;
+        this.sostenutoNotes = new Set(); // "note-octave" ids latched when sostenuto went down
+        this.sustainedNotes = new Map(); // "note-octave" -> { note, octave, source } released but held by a pedal
+        this.spaceHeld = false; // Spacebar acts as the sustain pedal
+        this.layoutListeners = []; // Notified when keys are rebuilt, relabelled or resized
+        this.focusedKeyNote = null; // { note, octave } held by Enter or Space on the focused key
+
+        this.element.classList.add('keyboard');
+        this.element.setAttribute('role', 'group');
+        if (!this.element.hasAttribute('aria-label')) {
+            this.element.setAttribute('aria-label', 'Piano keyboard');
+        }
+        this.initKeyboard();
+        this.initEventListeners();
+        if (this.options.computerKeyboard) {
+            this.initComputerKeyboard();
+        }
+        if (this.options.pedalButtons) {
+            this.initPedalControls(this.options.pedalButtons);
+        }
+
+        // The visible range follows the engine's octave
+        this.removeOctaveListener = audioEngine.on('paramchange', ({ name }) => {
+            if (name === 'octave') this.updateRange();
+        });
+
+        // Refit the keys whenever the space around the keyboard changes size
+        if (typeof ResizeObserver !== 'undefined' && this.getFitElement()) {
+            this.resizeObserver = new ResizeObserver(() => this.updateKeySizes());
+            this.resizeObserver.observe(this.getFitElement());
+        }
+    }
+
+    // Build a key for every note in the visible range
+    initKeyboard() {
+        const keyboard = this.element;
+        keyboard.innerHTML = '';
+
+        this.range = this.getVisibleRange();
+        let whiteKeyIndex = 0;
+
+        for (let midi = this.range.low; midi <= this.range.high; midi++) {
+            const { note, octave } = midiToNote(midi);
+            const isBlack = note.includes('#');
+
+            const key = document.createElement('div');
+            key.className = `key ${isBlack ? 'black' : 'white'}`;
+            key.dataset.note = note;
+            key.dataset.isBlack = isBlack.toString();
+            key.dataset.octave = octave.toString();
+
+            // A button for screen readers, named in refreshKeys; one key at a time is in the tab order
+            key.setAttribute('role', 'button');
+            key.tabIndex = -1;
+
+            // Add label with keyboard shortcut (filled in by updateKeyLabels)
+            const label = document.createElement('div');
+            label.className = 'key-label';
+            key.appendChild(label);
+
+            // Black keys are placed over the white ones, in white key widths (see styles.css)
+            if (isBlack) {
+                key.style.setProperty('--key-position', whiteKeyIndex + BLACK_KEY_OFFSETS[note]);
+            } else {
+                whiteKeyIndex++;
+            }
+
+            keyboard.appendChild(key);
+        }
+
+        this.whiteKeyCount = whiteKeyIndex;
+        this.updateKeySizes();
+        this.refreshKeys();
+    }
+
+    // Range shown at the engine's current octave
+    getVisibleRange() {
+        return placeRange(this.homeRange, this.homeRange.octave, this.audioEngine.octave);
+    }
+
+    // Show a range of MIDI notes, e.g. PIANO_RANGE for all 88 keys
+    setRange(low, high) {
+        this.homeRange = { low, high, octave: this.audioEngine.octave };
+        this.initKeyboard();
+    }
+
+    // Follow an octave change. The key pattern repeats every octave, so the keys already on the
+    // page are renumbered rather than rebuilt, and pointers holding them keep their notes.
+    updateRange() {
+        const range = this.getVisibleRange();
+        const shift = range.low - this.range.low;
+        if (shift === 0) {
+            this.refreshKeys();
+            return;
+        }
+
+        this.range = range;
+        this.getKeyElements().forEach((key) => {
+            key.dataset.octave = (parseInt(key.dataset.octave) + shift / 12).toString();
+        });
+        this.refreshKeys();
+    }
+
+    // Element whose width the keys are fitted to: the enclosing .keyboard-container, or else the parent
+    getFitElement() {
+        return this.element.closest('.keyboard-container') || this.element.parentElement;
+    }
+
+    // Key widths from the space available and the zoom, with black keys in proportion
+    updateKeySizes() {
+        const container = this.getFitElement();
+        if (!container || this.whiteKeyCount === 0) return;
+
+        const keyboardStyle = getComputedStyle(this.element);
+        const containerStyle = getComputedStyle(container);
+        const gap = parseFloat(keyboardStyle.getPropertyValue('--key-gap')) || 0;
+        const available = container.clientWidth -
+            parseFloat(containerStyle.paddingLeft) - parseFloat(containerStyle.paddingRight) -
+            parseFloat(keyboardStyle.paddingLeft) - parseFloat(keyboardStyle.paddingRight) -
+            parseFloat(keyboardStyle.borderLeftWidth) - parseFloat(keyboardStyle.borderRightWidth);
+
+        // Themes can raise the smallest fitted width, e.g. the large-key theme in styles.css
+        const minWidth = parseFloat(keyboardStyle.getPropertyValue('--min-white-key-width')) || MIN_WHITE_KEY_WIDTH;
+        const fitted = Math.min(Math.max(MAX_WHITE_KEY_WIDTH, minWidth), Math.max(minWidth, available / this.whiteKeyCount - gap));
+        const width = fitted * this.zoom;
+        this.element.style.setProperty('--white-key-width', `${width.toFixed(2)}px`);
+        this.element.classList.toggle('narrow-keys', width < 28);
+        this.notifyLayoutListeners();
+    }
+
+    // Key width relative to the fitted width (MIN_ZOOM-MAX_ZOOM)
+    setZoom(zoom) {
+        this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        this.updateKeySizes();
+    }
+
+    // Bring every key's labels, highlights and markers in line with the note it now plays
+    refreshKeys() {
+        this.getKeyElements().forEach((key) => {
+            const noteId = `${key.dataset.note}-${key.dataset.octave}`;
+            key.classList.toggle('active', this.litNotes.has(noteId));
+            key.classList.toggle('sustained', this.sustainedNotes.has(noteId));
+            this.updateRemoteHighlight(key, noteId);
+            key.setAttribute('aria-label', spokenNoteName(key.dataset.note, parseInt(key.dataset.octave)));
+        });
+        this.updateTabStop();
+        this.updateKeyLabels();
+        this.updateZoneMarkers();
+        this.notifyLayoutListeners();
+    }
+
+    // Keep one key in the tab order: the one last focused, or else the C nearest the middle
+    updateTabStop() {
+        const keys = Array.from(this.getKeyElements());
+        if (keys.length === 0 || keys.some(key => key.tabIndex === 0)) return;
+
+        const center = this.getKeyboardCenterOctave();
+        const middleC = keys.find(key => key.dataset.note === 'C' && key.dataset.octave === center.toString());
+        (middleC || keys[0]).tabIndex = 0;
+    }
+
+    // Move keyboard focus to a key, taking the tab stop with it
+    focusKey(key) {
+        this.getKeyElements().forEach(other => { other.tabIndex = other === key ? 0 : -1; });
+        key.focus();
+    }
+
+    // Register a listener called after the keys are rebuilt, renumbered or resized
+    addLayoutListener(listener) {
+        this.layoutListeners.push(listener);
+    }
+
+    notifyLayoutListeners() {
+        this.layoutListeners.forEach(listener => listener());
+    }
+
+    // Octave that layout offsets are relative to: the middle of the visible range
+    getKeyboardCenterOctave() {
+        const range = this.range || this.getVisibleRange();
+        return midiToNote(Math.floor((range.low + range.high) / 2)).octave;
+    }
+
+    // Show the computer key bound to each piano key
+    updateKeyLabels() {
+        const labels = new Map(); // "note-octave" -> label
+        const centerOctave = this.getKeyboardCenterOctave();
+
+        Object.keys(this.keyMapping).forEach((code) => {
+            const mapping = this.keyMapping[code];
+            const noteId = `${mapping.note}-${centerOctave + mapping.octaveOffset}`;
+            if (!labels.has(noteId)) {
+                labels.set(noteId, labelForCode(code, this.layoutMap));
+            }
+        });
+
+        this.getKeyElements().forEach((key) => {
+            const label = key.querySelector('.key-label');
+            label.textContent = labels.get(`${key.dataset.note}-${key.dataset.octave}`) || '';
+        });
+    }
+
+    // Show where the keyboard is split (null for no split)
+    setSplitPoint(splitPoint) {
+        this.splitPoint = splitPoint;
+        this.updateZoneMarkers();
+    }
+
+    // Shade the keys of the lower zone and mark the first key of the upper one
+    updateZoneMarkers() {
+        this.getKeyElements().forEach((key) => {
+            const midi = noteToMidi(key.dataset.note, parseInt(key.dataset.octave));
+            key.classList.toggle('lower-zone', this.splitPoint !== null && midi < this.splitPoint);
+            key.classList.toggle('split-point', midi === this.splitPoint);
+        });
+    }
+
+    // Key elements on this keyboard: all of them, or those for one note
+    getKeyElements(note = null, octave = null) {
+        const selector = note === null ? '.key' : `.key[data-note="${note}"][data-octave="${octave}"]`;
+        return this.element.querySelectorAll(selector);
+    }
+
+    // Switch to a new code -> note mapping
+    setKeyMapping(keyMapping) {
+        // Release held computer keys so nothing is left hanging on the old mapping
+        Array.from(this.heldComputerKeys.keys()).forEach(code => this.handleKeyRelease(code));
+        this.keyMapping = keyMapping;
+        this.updateKeyLabels();
+    }
+
+    // Initialize pointer listeners
+    initEventListeners() {
+        const keyboard = this.element;
+        const { signal } = this.listenerScope;
+
+        // Pointer events: mouse, pen and every touch point are tracked separately by pointerId
+        keyboard.addEventListener('pointerdown', (e) => {
+            const key = e.target.closest('.key');
+            if (!key || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            e.preventDefault();
+
+            // The mapping editor takes clicks instead of playing them
+            if (this.keyAssignHandler) {
+                this.keyAssignHandler(key);
+                return;
+            }
+
+            // Touch pointers are implicitly captured by the first key; glide is handled by hit-testing instead
+            if (key.hasPointerCapture(e.pointerId)) {
+                key.releasePointerCapture(e.pointerId);
+            }
+            this.pressPointerKey(e.pointerId, key, this.getPointerVelocity(e, key));
+        });
+
+        // Glide between keys while a pointer is down
+        document.addEventListener('pointermove', (e) => {
+            if (!this.pointerKeys.has(e.pointerId)) return;
+
+            const hit = document.elementFromPoint(e.clientX, e.clientY)?.closest('.key') || null;
+            const key = hit && keyboard.contains(hit) ? hit : null;
+            if (key === (this.pointerKeys.get(e.pointerId)?.key || null)) return;
+
+            this.releasePointerKey(e.pointerId);
+            if (key) {
+                this.pressPointerKey(e.pointerId, key, this.getPointerVelocity(e, key));
+            } else {
+                // Off the keys but still down; keep tracking so sliding back on plays again
+                this.pointerKeys.set(e.pointerId, null);
+            }
+        }, { signal });
+
+        const endPointer = (e) => {
+            if (!this.pointerKeys.has(e.pointerId)) return;
+            this.releasePointerKey(e.pointerId);
+            this.pointerKeys.delete(e.pointerId);
+        };
+        document.addEventListener('pointerup', endPointer, { signal });
+        document.addEventListener('pointercancel', endPointer, { signal });
+
+        // With a key focused, the arrow keys move along the keyboard (up and down by octaves) and
+        // Enter or Space plays it. Handled here so the page-level Space sustain leaves them alone.
+        keyboard.addEventListener('keydown', (e) => {
+            const key = e.target.closest('.key');
+            if (!key || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const keys = Array.from(this.getKeyElements());
+            const index = keys.indexOf(key);
+            const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowDown: -12, ArrowUp: 12, Home: -keys.length, End: keys.length };
+            if (e.key in moves) {
+                e.preventDefault();
+                this.focusKey(keys[Math.min(keys.length - 1, Math.max(0, index + moves[e.key]))]);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (e.repeat || this.focusedKeyNote) return;
+                if (this.keyAssignHandler) {
+                    this.keyAssignHandler(key);
+                    return;
+                }
+                this.focusedKeyNote = { note: key.dataset.note, octave: parseInt(key.dataset.octave) };
+                this.pressNote(this.focusedKeyNote.note, this.focusedKeyNote.octave);
+            }
+        });
+
+        keyboard.addEventListener('keyup', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.releaseFocusedKey();
+            }
+        });
+        keyboard.addEventListener('focusout', () => this.releaseFocusedKey());
+
+        // Long presses shouldn't open the context menu on touch screens
+        keyboard.addEventListener('contextmenu', e => e.preventDefault());
+
+        // Ctrl+wheel (and trackpad pinch, which browsers report the same way) zooms the keys
+        keyboard.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            this.setZoom(this.zoom * Math.exp(-e.deltaY / 200));
+        }, { passive: false });
+    }
+
+    // Computer keyboard events (by physical key position, see keymaps.js)
+    initComputerKeyboard() {
+        const { signal } = this.listenerScope;
+
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || this.isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const code = e.code;
+            if (code === 'Space' && !this.keyMapping[code]) {
+                // Spacebar is the sustain pedal unless it has been mapped to a note
+                e.preventDefault();
+                if (!this.spaceHeld) {
+                    this.spaceHeld = true;
+                    this.setSustain(true);
+                }
+            } else if (this.keyMapping[code]) {
+                e.preventDefault();
+                if (this.heldComputerKeys.has(code)) return; // Auto-repeat
+                const mapping = this.keyMapping[code];
+                const octave = this.getKeyboardCenterOctave() + mapping.octaveOffset;
+                this.heldComputerKeys.set(code, { note: mapping.note, octave });
+                this.handleKeyPress(mapping.note, mapping.isBlack, code, octave);
+            }
+        }, { signal });
+
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space' && this.spaceHeld) {
+                e.preventDefault();
+                this.spaceHeld = false;
+                this.setSustain(false);
+            } else if (this.heldComputerKeys.has(e.code)) {
+                e.preventDefault();
+                this.handleKeyRelease(e.code);
+            }
+        }, { signal });
+
+        // Don't leave notes hanging when the window loses focus mid-press
+        window.addEventListener('blur', () => {
+            Array.from(this.heldComputerKeys.keys()).forEach(code => this.handleKeyRelease(code));
+            if (this.spaceHeld) {
+                this.spaceHeld = false;
+                this.setSustain(false);
+            }
+        }, { signal });
+    }
+
+    // On-screen pedal toggles, kept in step with the spacebar and MIDI pedals
+    initPedalControls(buttons) {
+        buttons.sustain.addEventListener('click', () => this.setSustain(!this.sustainPedal));
+        buttons.sostenuto.addEventListener('click', () => this.setSostenuto(!this.sostenutoPedal));
+
+        this.addPedalListener((pedal, isDown) => {
+            buttons[pedal].classList.toggle('active', isDown);
+        });
+    }
+
+    // Register a listener called with ('noteon' | 'noteoff', { note, octave, velocity, source })
+    addNoteListener(listener) {
+        this.noteListeners.push(listener);
+    }
+
+    notifyNoteListeners(type, event) {
+        this.noteListeners.forEach(listener => listener(type, event));
+    }
+
+    // Register a listener called with ('sustain' | 'sostenuto', isDown)
+    addPedalListener(listener) {
+        this.pedalListeners.push(listener);
+    }
+
+    // Sustain pedal: while down, released notes keep sounding until it is lifted
+    setSustain(isDown) {
+        if (this.sustainPedal === isDown) return;
+        this.sustainPedal = isDown;
+        if (!isDown) this.releaseSustainedNotes();
+        this.pedalListeners.forEach(listener => listener('sustain', isDown));
+    }
+
+    // Sostenuto pedal: latches only the notes held at the moment it goes down
+    setSostenuto(isDown) {
+        if (this.sostenutoPedal === isDown) return;
+        this.sostenutoPedal = isDown;
+        if (isDown) {
+            this.sostenutoNotes = this.getHeldNoteIds();
+        } else {
+            this.sostenutoNotes.clear();
+            this.releaseSustainedNotes();
+        }
+        this.pedalListeners.forEach(listener => listener('sostenuto', isDown));
+    }
+
+    // "note-octave" ids of every note currently held down by any source
+    getHeldNoteIds() {
+        const held = new Set();
+        this.activeKeys.forEach((id) => {
+            const computerKey = this.heldComputerKeys.get(id);
+            held.add(computerKey ? `${computerKey.note}-${computerKey.octave}` : id);
+        });
+        return held;
+    }
+
+    isHeldByPedal(noteId) {
+        return this.sustainPedal || this.sostenutoNotes.has(noteId);
+    }
+
+    // Stop a released note, or keep it sounding if a pedal is holding it
+    endNote(note, octave, source) {
+        const noteId = `${note}-${octave}`;
+        if (this.isHeldByPedal(noteId)) {
+            this.sustainedNotes.set(noteId, { note, octave, source });
+            this.setKeyHighlight(note, octave, false);
+            this.setKeySustained(note, octave, true);
+            return;
+        }
+
+        this.noteOutput.stopNote(note, octave);
+        this.notifyNoteListeners('noteoff', { note, octave, velocity: 0, source });
+        this.setKeyHighlight(note, octave, false);
+    }
+
+    // Stop the pedal-held notes that no pedal is holding any more
+    releaseSustainedNotes() {
+        this.sustainedNotes.forEach(({ note, octave, source }, noteId) => {
+            if (this.isHeldByPedal(noteId)) return;
+            this.sustainedNotes.delete(noteId);
+            this.setKeySustained(note, octave, false);
+            this.noteOutput.stopNote(note, octave);
+            this.notifyNoteListeners('noteoff', { note, octave, velocity: 0, source });
+        });
+    }
+
+    // Mark the key(s) for a note as sounding only because of a pedal
+    setKeySustained(note, octave, sustained) {
+        this.getKeyElements(note, octave).forEach(key => key.classList.toggle('sustained', sustained));
+    }
+
+    // Toggle the active highlight on the key(s) for a note
+    setKeyHighlight(note, octave, active) {
+        const noteId = `${note}-${octave}`;
+        if (active) {
+            this.litNotes.add(noteId);
+        } else {
+            this.litNotes.delete(noteId);
+        }
+        this.getKeyElements(note, octave).forEach(key => key.classList.toggle('active', active));
+    }
+
+    // Light a note's key(s) in a player's colour while another player (e.g. in a jam session) holds it
+    setRemoteNote(note, octave, playerId, color, active) {
+        const noteId = `${note}-${octave}`;
+        const players = this.remoteNotes.get(noteId) || new Map();
+        if (active) {
+            players.set(playerId, color);
+        } else {
+            players.delete(playerId);
+        }
+
+        if (players.size > 0) {
+            this.remoteNotes.set(noteId, players);
+        } else {
+            this.remoteNotes.delete(noteId);
+        }
+        this.getKeyElements(note, octave).forEach(key => this.updateRemoteHighlight(key, noteId));
+    }
+
+    // Show the colour of the player who most recently struck the key
+    updateRemoteHighlight(key, noteId) {
+        const players = this.remoteNotes.get(noteId);
+        key.classList.toggle('remote', Boolean(players));
+        if (players) {
+            key.style.setProperty('--player-color', Array.from(players.values()).pop());
+        } else {
+            key.style.removeProperty('--player-color');
+        }
+    }
+
+    // Handle key press
+    handleKeyPress(note, isBlack, keyChar = null, octave = null, velocity = 1, source = 'local') {
+        if (octave === null) {
+            octave = this.audioEngine.octave;
+        }
+        const noteId = keyChar ? keyChar : `${note}-${octave}`;
+        
+        if (this.activeKeys.has(noteId)) return;
+
+        // Re-striking a pedal-held note ends it so the new press retriggers a fresh voice
+        const sustained = this.sustainedNotes.get(`${note}-${octave}`);
+        if (sustained) {
+            this.sustainedNotes.delete(`${note}-${octave}`);
+            this.setKeySustained(note, octave, false);
+            this.noteOutput.stopNote(note, octave);
+            this.notifyNoteListeners('noteoff', { note, octave, velocity: 0, source: sustained.source });
+        }
+
+        this.activeKeys.add(noteId);
+        this.noteOutput.playNote(note, octave, velocity);
+        this.notifyNoteListeners('noteon', { note, octave, velocity, source });
+        this.setKeyHighlight(note, octave, true);
+    }
+
+    // Typing in a form field shouldn't play notes
+    isTypingTarget(target) {
+        return target instanceof HTMLElement &&
+            (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) &&
+            target.type !== 'range' && target.type !== 'checkbox';
+    }
+
+    // Handle computer key release
+    handleKeyRelease(code) {
+        const held = this.heldComputerKeys.get(code);
+        if (!held) return;
+
+        // Release the note the key started, even if the octave or mapping changed since
+        const { note, octave } = held;
+        this.heldComputerKeys.delete(code);
+        if (this.activeKeys.has(code)) {
+            this.activeKeys.delete(code);
+            this.endNote(note, octave, 'local');
+        }
+    }
+
+    // Press a note from an external source (e.g. MIDI input)
+    pressNote(note, octave, velocity = 1, source = 'local') {
+        this.handleKeyPress(note, note.includes('#'), null, octave, velocity, source);
+    }
+
+    // Release a note pressed with pressNote
+    releaseNote(note, octave, source = 'local') {
+        const noteId = `${note}-${octave}`;
+        if (!this.activeKeys.has(noteId)) return;
+
+        this.activeKeys.delete(noteId);
+        this.endNote(note, octave, source);
+    }
+
+    // Release the note started with Enter or Space on a focused key
+    releaseFocusedKey() {
+        if (!this.focusedKeyNote) return;
+        const { note, octave } = this.focusedKeyNote;
+        this.focusedKeyNote = null;
+        this.releaseNote(note, octave);
+    }
+
+    // Velocity (0-1) for a pointer: pen/touch pressure where the device reports it,
+    // otherwise how far down the key it was hit (towards the front edge is louder)
+    getPointerVelocity(e, key) {
+        // Devices without pressure support report a constant 0.5 while pressed
+        if (e.pointerType !== 'mouse' && e.pressure > 0 && e.pressure !== 0.5) {
+            return Math.min(1, 0.1 + e.pressure * 0.9);
+        }
+
+        const rect = key.getBoundingClientRect();
+        const position = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+        return 0.3 + position * 0.7;
+    }
+
+    // Start the note for a key under a pointer, remembering the note in case the key is renumbered
+    pressPointerKey(pointerId, keyElement, velocity) {
+        const { note } = keyElement.dataset;
+        const octave = parseInt(keyElement.dataset.octave);
+        this.pointerKeys.set(pointerId, { key: keyElement, note, octave });
+        this.handleKeyPress(note, keyElement.dataset.isBlack === 'true', null, octave, velocity);
+    }
+
+    // Stop the note under a pointer, unless another pointer is still holding the same note
+    releasePointerKey(pointerId) {
+        const held = this.pointerKeys.get(pointerId);
+        if (!held) return;
+
+        this.pointerKeys.set(pointerId, null);
+        const { note, octave } = held;
+        const noteId = `${note}-${octave}`;
+        const stillHeld = Array.from(this.pointerKeys.values()).some(other => other && `${other.note}-${other.octave}` === noteId);
+        if (stillHeld) return;
+
+        if (this.activeKeys.has(noteId)) {
+            this.activeKeys.delete(noteId);
+            this.endNote(note, octave, 'local');
+        }
+    }
+
+    // Release everything still held and remove the keyboard and its listeners from the page
+    destroy() {
+        this.listenerScope.abort();
+        this.removeOctaveListener();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        Array.from(this.heldComputerKeys.keys()).forEach(code => this.handleKeyRelease(code));
+        Array.from(this.pointerKeys.keys()).forEach(pointerId => this.releasePointerKey(pointerId));
+        this.pointerKeys.clear();
+        this.releaseFocusedKey();
+        this.setSustain(false);
+        this.setSostenuto(false);
+        this.element.innerHTML = '';
+    }
+}
@@ -0,0 +1,254 @@
+// Key Layouts
+// Computer keyboard layouts keyed by KeyboardEvent.code, so they follow the physical key
+// position whatever the user's QWERTY/AZERTY/QWERTZ/Dvorak setting.
+// Each entry is [code, note, octaveOffset] with offsets relative to the middle visible octave.
+
+import { NOTE_NAMES } from './notes.js';
+
+const KEY_LAYOUTS = {
+    piano: {
+        name: 'Piano (two rows)',
+        keys: [
+            // Lower octave: bottom letter row for white keys, home row for black keys
+            ['KeyZ', 'C', -1], ['KeyS', 'C#', -1], ['KeyX', 'D', -1], ['KeyD', 'D#', -1],
+            ['KeyC', 'E', -1], ['KeyV', 'F', -1], ['KeyG', 'F#', -1], ['KeyB', 'G', -1],
+            ['KeyH', 'G#', -1], ['KeyN', 'A', -1], ['KeyJ', 'A#', -1], ['KeyM', 'B', -1],
+            // Upper octave: top letter row for white keys, number row for black keys
+            ['KeyQ', 'C', 0], ['Digit2', 'C#', 0], ['KeyW', 'D', 0], ['Digit3', 'D#', 0],
+            ['KeyE', 'E', 0], ['KeyR', 'F', 0], ['Digit5', 'F#', 0], ['KeyT', 'G', 0],
+            ['Digit6', 'G#', 0], ['KeyY', 'A', 0], ['Digit7', 'A#', 0], ['KeyU', 'B', 0],
+            ['KeyI', 'C', 1], ['Digit9', 'C#', 1], ['KeyO', 'D', 1], ['Digit0', 'D#', 1],
+            ['KeyP', 'E', 1], ['BracketLeft', 'F', 1], ['Equal', 'F#', 1], ['BracketRight', 'G', 1]
+        ]
+    },
+    home: {
+        name: 'Home row',
+        keys: [
+            ['KeyA', 'C', 0], ['KeyW', 'C#', 0], ['KeyS', 'D', 0], ['KeyE', 'D#', 0],
+            ['KeyD', 'E', 0], ['KeyF', 'F', 0], ['KeyT', 'F#', 0], ['KeyG', 'G', 0],
+            ['KeyY', 'G#', 0], ['KeyH', 'A', 0], ['KeyU', 'A#', 0], ['KeyJ', 'B', 0],
+            ['KeyK', 'C', 1], ['KeyO', 'C#', 1], ['KeyL', 'D', 1], ['KeyP', 'D#', 1],
+            ['Semicolon', 'E', 1], ['Quote', 'F', 1]
+        ]
+    },
+    classic: {
+        name: 'Classic (three rows)',
+        keys: [
+            // One octave of white keys per letter row, black keys on the number row
+            ['KeyQ', 'C', -1], ['KeyW', 'D', -1], ['KeyE', 'E', -1], ['KeyR', 'F', -1],
+            ['KeyT', 'G', -1], ['KeyY', 'A', -1], ['KeyU', 'B', -1],
+            ['Digit1', 'C#', -1], ['Digit2', 'D#', -1], ['Digit4', 'F#', -1], ['Digit5', 'G#', -1], ['Digit6', 'A#', -1],
+            ['Digit8', 'C#', 0], ['Digit9', 'D#', 0], ['Digit0', 'F#', 0], ['Minus', 'G#', 0], ['Equal', 'A#', 0],
+            ['KeyA', 'C', 0], ['KeyS', 'D', 0], ['KeyD', 'E', 0], ['KeyF', 'F', 0],
+            ['KeyG', 'G', 0], ['KeyH', 'A', 0], ['KeyJ', 'B', 0],
+            ['KeyZ', 'C', 1], ['KeyX', 'D', 1], ['KeyC', 'E', 1], ['KeyV', 'F', 1],
+            ['KeyB', 'G', 1], ['KeyN', 'A', 1], ['KeyM', 'B', 1],
+            ['Comma', 'C', 2], ['Period', 'D', 2], ['Slash', 'E', 2]
+        ]
+    }
+};
+
+// Labels for punctuation codes when the browser can't tell us the layout
+const CODE_LABELS = {
+    Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+    Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', IntlBackslash: '<', Space: 'Space'
+};
+
+// Label to show on a piano key for a KeyboardEvent.code, using the browser's layout map if known
+export function labelForCode(code, layoutMap = null) {
+    if (layoutMap && layoutMap.has(code)) {
+        return layoutMap.get(code).toUpperCase();
+    }
+    if (code.startsWith('Key') || code.startsWith('Digit')) {
+        return code.replace(/^(Key|Digit)/, '');
+    }
+    if (code.startsWith('Numpad')) {
+        return `Num ${code.slice('Numpad'.length)}`;
+    }
+    return CODE_LABELS[code] || code;
+}
+
+// Build a code -> { note, isBlack, octaveOffset } mapping from a layout profile
+export function createLayoutMapping(layoutId) {
+    const mapping = {};
+    KEY_LAYOUTS[layoutId].keys.forEach(([code, note, octaveOffset]) => {
+        mapping[code] = { note, isBlack: note.includes('#'), octaveOffset };
+    });
+    return mapping;
+}
+
+// A stored custom mapping with malformed entries dropped, or null if none are left
+export function cleanKeyMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return null;
+
+    const cleaned = {};
+    Object.keys(mapping).forEach((code) => {
+        const entry = mapping[code];
+        if (code && entry && NOTE_NAMES.includes(entry.note) && Number.isInteger(entry.octaveOffset)) {
+            cleaned[code] = { note: entry.note, isBlack: entry.note.includes('#'), octaveOffset: entry.octaveOffset };
+        }
+    });
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+// Key Mapping Editor
+// Chooses the active layout, and lets the user click a piano key then press a computer key to assign it
+export class KeyMappingEditor {
+    constructor(keyboardManager) {
+        this.keyboardManager = keyboardManager;
+        this.storageKey = 'webkeys.keymap';
+        this.layoutId = 'piano';
+        this.customMapping = null;
+        this.isEditing = false;
+        this.selectedKey = null; // Piano key waiting for a computer key
+
+        this.handleAssignKey = this.handleAssignKey.bind(this);
+
+        this.initControls();
+        this.load();
+        this.loadLayoutMap();
+    }
+
+    initControls() {
+        this.layoutSelect = document.getElementById('key-layout');
+        this.editButton = document.getElementById('keymap-edit-button');
+        this.statusText = document.getElementById('keymap-status');
+
+        Object.keys(KEY_LAYOUTS).forEach((id) => {
+            this.layoutSelect.add(new Option(KEY_LAYOUTS[id].name, id));
+        });
+        this.layoutSelect.add(new Option('Custom', 'custom'));
+
+        this.layoutSelect.addEventListener('change', (e) => {
+            this.selectLayout(e.target.value);
+        });
+
+        this.editButton.addEventListener('click', () => {
+            this.setEditing(!this.isEditing);
+        });
+
+        document.getElementById('keymap-reset-button').addEventListener('click', () => {
+            this.customMapping = null;
+            this.selectLayout('piano');
+        });
+    }
+
+    // Use the user's actual keyboard layout for labels where the browser supports it
+    async loadLayoutMap() {
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+
+        try {
+            this.keyboardManager.layoutMap = await navigator.keyboard.getLayoutMap();
+            this.keyboardManager.updateKeyLabels();
+        } catch (error) {
+            console.error('Error reading keyboard layout:', error);
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.customMapping = cleanKeyMapping(saved.custom);
+                if (saved.layout === 'custom' ? this.customMapping : KEY_LAYOUTS[saved.layout]) {
+                    this.layoutId = saved.layout;
+                }
+            }
+        } catch (error) {
+            console.error('Error reading key mapping from localStorage:', error);
+        }
+        this.selectLayout(this.layoutId);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ layout: this.layoutId, custom: this.customMapping }));
+        } catch (error) {
+            console.error('Error saving key mapping to localStorage:', error);
+        }
+    }
+
+    selectLayout(layoutId) {
+        if (layoutId === 'custom' && !this.customMapping) {
+            // Start a custom map from whatever is active now
+            this.customMapping = { ...this.keyboardManager.keyMapping };
+        }
+
+        this.layoutId = layoutId;
+        this.layoutSelect.value = layoutId;
+        this.keyboardManager.setKeyMapping(
+            layoutId === 'custom' ? { ...this.customMapping } : createLayoutMapping(layoutId)
+        );
+        this.save();
+    }
+
+    setEditing(isEditing) {
+        this.isEditing = isEditing;
+        this.editButton.classList.toggle('active', isEditing);
+        this.selectKey(null);
+
+        if (isEditing) {
+            this.keyboardManager.keyAssignHandler = key => this.selectKey(key);
+            window.addEventListener('keydown', this.handleAssignKey, true);
+            this.statusText.textContent = 'Click a piano key to assign';
+        } else {
+            this.keyboardManager.keyAssignHandler = null;
+            window.removeEventListener('keydown', this.handleAssignKey, true);
+            this.statusText.textContent = '';
+        }
+    }
+
+    selectKey(key) {
+        if (this.selectedKey) {
+            this.selectedKey.classList.remove('assigning');
+        }
+        this.selectedKey = key;
+
+        if (key) {
+            key.classList.add('assigning');
+            this.statusText.textContent = `Press a key for ${key.dataset.note}${key.dataset.octave} (Esc cancels, Backspace clears)`;
+        }
+    }
+
+    // Capture-phase keydown while editing, so the keyboard manager doesn't also play the key
+    handleAssignKey(e) {
+        if (!this.selectedKey) {
+            if (e.code === 'Escape') {
+                e.preventDefault();
+                this.setEditing(false);
+            }
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const { note } = this.selectedKey.dataset;
+        const octaveOffset = parseInt(this.selectedKey.dataset.octave) - this.keyboardManager.getKeyboardCenterOctave();
+
+        if (e.code === 'Escape') {
+            this.selectKey(null);
+            this.statusText.textContent = 'Click a piano key to assign';
+            return;
+        }
+
+        const mapping = this.layoutId === 'custom' ? this.customMapping : { ...this.keyboardManager.keyMapping };
+
+        if (e.code === 'Backspace' || e.code === 'Delete') {
+            // Clear every computer key bound to this piano key
+            Object.keys(mapping).forEach((code) => {
+                if (mapping[code].note === note && mapping[code].octaveOffset === octaveOffset) {
+                    delete mapping[code];
+                }
+            });
+            this.statusText.textContent = `Cleared ${note}${this.selectedKey.dataset.octave}`;
+        } else {
+            mapping[e.code] = { note, isBlack: note.includes('#'), octaveOffset };
+            this.statusText.textContent = `${labelForCode(e.code, this.keyboardManager.layoutMap)} plays ${note}${this.selectedKey.dataset.octave}`;
+        }
+
+        this.customMapping = mapping;
+        this.selectKey(null);
+        this.selectLayout('custom');
+    }
+}
@@ -0,0 +1,671 @@
+// Learning Mode
+// Practice a song as note bars falling onto the keyboard. Key presses are scored against the
+// song for the right note, timing and how long each note is held; the hand not being
+// practised plays along automatically.
+
+import { noteToMidi, midiToNote, parseNoteId } from './notes.js';
+import { MidiFile } from './midifile.js';
+
+const LEARNING_LOOKAHEAD = 3; // Seconds of song shown above the keys
+const LEARNING_LEAD_IN = 2; // Seconds of song before the first note of each pass
+const LEARNING_HIT_WINDOW = 0.25; // Seconds early or late a press still hits a note
+const LEARNING_HAND_SPLIT = 60; // Notes below middle C are left hand when a song has one part
+
+// Built-in songs: each hand is "note:beats" tokens, with R for a rest and | between bars
+const LEARNING_SONGS = [
+    {
+        name: 'Ode to Joy',
+        tempo: 100,
+        beatsPerBar: 4,
+        right: 'E4:1 E4:1 F4:1 G4:1 | G4:1 F4:1 E4:1 D4:1 | C4:1 C4:1 D4:1 E4:1 | E4:1.5 D4:0.5 D4:2 | ' +
+            'E4:1 E4:1 F4:1 G4:1 | G4:1 F4:1 E4:1 D4:1 | C4:1 C4:1 D4:1 E4:1 | D4:1.5 C4:0.5 C4:2',
+        left: 'C3:4 | G2:4 | C3:4 | G2:4 | C3:4 | G2:4 | C3:4 | G2:2 C3:2'
+    },
+    {
+        name: 'Twinkle Twinkle Little Star',
+        tempo: 90,
+        beatsPerBar: 4,
+        right: 'C4:1 C4:1 G4:1 G4:1 | A4:1 A4:1 G4:2 | F4:1 F4:1 E4:1 E4:1 | D4:1 D4:1 C4:2 | ' +
+            'G4:1 G4:1 F4:1 F4:1 | E4:1 E4:1 D4:2 | G4:1 G4:1 F4:1 F4:1 | E4:1 E4:1 D4:2 | ' +
+            'C4:1 C4:1 G4:1 G4:1 | A4:1 A4:1 G4:2 | F4:1 F4:1 E4:1 E4:1 | D4:1 D4:1 C4:2',
+        left: 'C3:4 | F3:2 C3:2 | F3:2 C3:2 | G2:2 C3:2 | C3:2 F3:2 | C3:2 G2:2 | ' +
+            'C3:2 F3:2 | C3:2 G2:2 | C3:4 | F3:2 C3:2 | F3:2 C3:2 | G2:2 C3:2'
+    },
+    {
+        name: 'Scale Exercise',
+        tempo: 80,
+        beatsPerBar: 4,
+        right: 'C4:1 D4:1 E4:1 F4:1 | G4:1 A4:1 B4:1 C5:1 | C5:1 B4:1 A4:1 G4:1 | F4:1 E4:1 D4:1 C4:1',
+        left: 'C3:1 D3:1 E3:1 F3:1 | G3:1 A3:1 B3:1 C4:1 | C4:1 B3:1 A3:1 G3:1 | F3:1 E3:1 D3:1 C3:1'
+    }
+];
+
+export class LearningMode {
+    constructor(audioEngine, keyboardManager) {
+        this.audioEngine = audioEngine;
+        this.keyboardManager = keyboardManager;
+        // Songs: { name, barLength, duration, notes: [{ midi, start, duration, hand, velocity }] }
+        // with times in seconds at full tempo
+        this.songs = LEARNING_SONGS.map(song => LearningMode.songFromText(song));
+        this.song = this.songs[0];
+        this.hands = 'both'; // Hand(s) the player practises: 'both', 'right' or 'left'
+        this.tempoScale = 1;
+        this.waitMode = false; // Hold the song at each note until it's played
+        this.loop = false;
+        this.loopBars = [1, 4]; // First and last bar of the looped section
+
+        // Run state
+        this.isEnabled = false;
+        this.isPlaying = false;
+        this.songTime = 0; // Position in song seconds; negative during the lead-in
+        this.lastFrameTime = 0;
+        this.frameRequest = null;
+        this.pass = 0;
+        this.section = { start: 0, end: 0 }; // Song time covered by the current pass
+        this.states = new Map(); // Song note -> { state, timing, held, pressedAt } for this pass
+        this.heldNotes = new Map(); // MIDI note -> song note the player is holding
+        this.autoNotes = new Set(); // Song notes sounding from the automatic hand
+        this.targetKeys = new Set(); // "note-octave" of keys marked to be played now
+        this.wrongNotes = 0;
+
+        this.keyboardManager.addNoteListener((type, event) => this.handleNote(type, event));
+
+        // Keys renumbered by an octave shift still carry their old targets; mark them afresh
+        this.keyboardManager.addLayoutListener(() => {
+            this.keyboardManager.getKeyElements().forEach(key => key.classList.remove('learn-target'));
+            this.targetKeys = new Set();
+            this.updateTargetKeys();
+        });
+
+        this.initControls();
+        this.updateSongList();
+        this.updateStatus();
+    }
+
+    initControls() {
+        this.canvas = document.getElementById('learn-canvas');
+        this.toggleButton = document.getElementById('learn-toggle-button');
+        this.startButton = document.getElementById('learn-start-button');
+        this.statusText = document.getElementById('learn-status');
+        this.songSelect = document.getElementById('learn-song');
+        this.loopStartInput = document.getElementById('learn-loop-start');
+        this.loopEndInput = document.getElementById('learn-loop-end');
+        this.summaryText = document.getElementById('learn-summary');
+        this.resultsTable = document.getElementById('learn-results');
+
+        this.toggleButton.addEventListener('click', () => this.setEnabled(!this.isEnabled));
+        this.startButton.addEventListener('click', () => this.start());
+        document.getElementById('learn-stop-button').addEventListener('click', () => this.stop());
+
+        this.songSelect.addEventListener('change', (e) => {
+            this.stop();
+            this.song = this.songs[parseInt(e.target.value)];
+            this.updateSongList();
+            this.clearResults();
+            this.draw();
+        });
+
+        const fileInput = document.getElementById('learn-file-input');
+        document.getElementById('learn-import-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importFile(e.target.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        document.getElementById('learn-hands').addEventListener('change', (e) => {
+            this.hands = e.target.value;
+            if (this.isPlaying) this.startPass();
+        });
+
+        document.getElementById('learn-tempo').addEventListener('input', (e) => {
+            const tempo = parseInt(e.target.value);
+            this.tempoScale = tempo / 100;
+            document.getElementById('learn-tempo-value').textContent = `${tempo}%`;
+        });
+
+        document.getElementById('learn-wait').addEventListener('change', (e) => {
+            this.waitMode = e.target.checked;
+        });
+
+        document.getElementById('learn-loop').addEventListener('change', (e) => {
+            this.loop = e.target.checked;
+            if (this.isPlaying) this.startPass();
+        });
+
+        [this.loopStartInput, this.loopEndInput].forEach((input) => {
+            input.addEventListener('change', () => {
+                this.setLoopBars(parseInt(this.loopStartInput.value), parseInt(this.loopEndInput.value));
+                if (this.isPlaying && this.loop) this.startPass();
+            });
+        });
+    }
+
+    // Parse a built-in song's hand parts
+    static songFromText({ name, tempo, beatsPerBar, right, left }) {
+        const secondsPerBeat = 60 / tempo;
+        const notes = LearningMode.parsePart(right, 'right', secondsPerBeat)
+            .concat(LearningMode.parsePart(left, 'left', secondsPerBeat));
+        return LearningMode.createSong(name, notes, beatsPerBar * secondsPerBeat);
+    }
+
+    static parsePart(text, hand, secondsPerBeat) {
+        const notes = [];
+        let beat = 0;
+
+        text.split(/\s+/).forEach((token) => {
+            const match = token.match(/^(R|[A-G]#?-?\d):(\d*\.?\d+)$/);
+            if (!match) return; // Bar lines and stray text
+
+            const beats = parseFloat(match[2]);
+            if (match[1] !== 'R') {
+                const [, note, octave] = match[1].match(/^([A-G]#?)(-?\d)$/);
+                notes.push({
+                    midi: noteToMidi(note, parseInt(octave)),
+                    start: beat * secondsPerBeat,
+                    duration: beats * secondsPerBeat,
+                    hand,
+                    velocity: 0.8
+                });
+            }
+            beat += beats;
+        });
+
+        return notes;
+    }
+
+    // Song from an imported MIDI file. With several note tracks the highest-pitched is the
+    // right hand and the rest the left; a single track is split at middle C.
+    static songFromMidi(name, midi) {
+        const timing = midi.tracks.flat().filter(event => event.type === 'tempo' || event.type === 'timesig');
+        const parts = midi.tracks
+            .filter(track => track.some(event => event.type === 'noteon'))
+            .map(track => LearningMode.notesFromEvents(MidiFile.toSequence({ ...midi, tracks: [timing, track] }).events))
+            .filter(notes => notes.length > 0);
+
+        const averagePitch = notes => notes.reduce((sum, note) => sum + note.midi, 0) / notes.length;
+        parts.sort((a, b) => averagePitch(b) - averagePitch(a));
+
+        const notes = [];
+        parts.forEach((part, index) => {
+            part.forEach((note) => {
+                if (parts.length > 1) {
+                    note.hand = index === 0 ? 'right' : 'left';
+                } else {
+                    note.hand = note.midi < LEARNING_HAND_SPLIT ? 'left' : 'right';
+                }
+                notes.push(note);
+            });
+        });
+
+        const sequence = MidiFile.toSequence(midi);
+        const [numerator, denominator] = sequence.timeSignature;
+        const barLength = numerator * (4 / denominator) * (60 / sequence.tempo);
+        return LearningMode.createSong(name, notes, barLength);
+    }
+
+    // Pair note on/off events into notes with a start and duration
+    static notesFromEvents(events) {
+        const notes = [];
+        const open = new Map();
+
+        events.forEach((event) => {
+            const midi = noteToMidi(event.note, event.octave);
+            if (event.type === 'noteon') {
+                open.set(midi, event);
+                return;
+            }
+
+            const noteOn = open.get(midi);
+            if (!noteOn) return;
+            open.delete(midi);
+            notes.push({
+                midi,
+                start: noteOn.time,
+                duration: Math.max(0.05, event.time - noteOn.time),
+                hand: 'right',
+                velocity: noteOn.velocity
+            });
+        });
+
+        return notes;
+    }
+
+    static createSong(name, notes, barLength) {
+        notes.sort((a, b) => a.start - b.start || a.midi - b.midi);
+        const duration = notes.reduce((end, note) => Math.max(end, note.start + note.duration), 0);
+        return { name, barLength, duration, notes };
+    }
+
+    async importFile(file) {
+        try {
+            const midi = MidiFile.parse(await file.arrayBuffer());
+            const song = LearningMode.songFromMidi(file.name.replace(/\.[^.]*$/, ''), midi);
+            if (song.notes.length === 0) {
+                throw new Error('No notes in the file');
+            }
+
+            this.stop();
+            this.songs.push(song);
+            this.song = song;
+            this.updateSongList();
+            this.clearResults();
+            this.draw();
+        } catch (error) {
+            console.error('Error importing MIDI file for learning:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    updateSongList() {
+        this.songSelect.innerHTML = '';
+        this.songs.forEach((song, index) => this.songSelect.add(new Option(song.name, index)));
+        this.songSelect.value = this.songs.indexOf(this.song);
+
+        const bars = this.getBarCount();
+        this.loopStartInput.max = bars;
+        this.loopEndInput.max = bars;
+        this.setLoopBars(this.loopBars[0], this.loopBars[1]);
+    }
+
+    getBarCount() {
+        return Math.max(1, Math.ceil(this.song.duration / this.song.barLength - 0.001));
+    }
+
+    setLoopBars(first, last) {
+        const bars = this.getBarCount();
+        first = Math.min(bars, Math.max(1, first || 1));
+        last = Math.min(bars, Math.max(first, last || first));
+        this.loopBars = [first, last];
+        this.loopStartInput.value = first;
+        this.loopEndInput.value = last;
+    }
+
+    // Show or hide the falling notes over the keyboard
+    setEnabled(isEnabled) {
+        this.isEnabled = isEnabled;
+        this.toggleButton.classList.toggle('active', isEnabled);
+        this.canvas.hidden = !isEnabled;
+        if (isEnabled) {
+            this.draw();
+        } else {
+            this.stop();
+        }
+    }
+
+    // Whether the player is meant to play a song note (the other hand plays itself)
+    isPlayerNote(note) {
+        const state = this.states.get(note);
+        return state !== undefined && state.state !== 'auto';
+    }
+
+    start() {
+        if (this.isPlaying) return;
+        if (!this.isEnabled) this.setEnabled(true);
+
+        this.audioEngine.resumeContext();
+        this.isPlaying = true;
+        this.pass = 0;
+        this.startPass();
+
+        this.lastFrameTime = performance.now();
+        this.frameRequest = requestAnimationFrame(time => this.drawFrame(time));
+        this.updateStatus();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        // Score what was reached so far
+        this.finishPass(this.songTime);
+        this.isPlaying = false;
+        this.updateStatus();
+        this.draw();
+    }
+
+    // Reset scoring and rewind to the start of the song or looped section
+    startPass() {
+        this.stopAutoNotes();
+        this.heldNotes.clear();
+        this.wrongNotes = 0;
+        this.pass++;
+
+        const { barLength } = this.song;
+        this.section = this.loop
+            ? { start: (this.loopBars[0] - 1) * barLength, end: this.loopBars[1] * barLength }
+            : { start: 0, end: this.song.duration };
+
+        // Notes whose key isn't on the keyboard play automatically, like the other hand
+        const keys = this.getKeyRects();
+        this.states.clear();
+        this.song.notes.forEach((note) => {
+            if (note.start < this.section.start - 0.001 || note.start >= this.section.end - 0.001) return;
+            const { note: name, octave } = midiToNote(note.midi);
+            const practised = (this.hands === 'both' || note.hand === this.hands) && keys.has(`${name}-${octave}`);
+            this.states.set(note, { state: practised ? 'pending' : 'auto', timing: 0, held: 0, pressedAt: 0 });
+        });
+
+        // A pass ends once every note in it has finished
+        this.states.forEach((state, note) => {
+            this.section.end = Math.max(this.section.end, note.start + note.duration);
+        });
+
+        this.songTime = this.section.start - LEARNING_LEAD_IN;
+    }
+
+    drawFrame(time) {
+        const elapsed = Math.min(0.1, (time - this.lastFrameTime) / 1000);
+        this.lastFrameTime = time;
+
+        let target = this.songTime + elapsed * this.tempoScale;
+        if (this.waitMode) {
+            // Hold at the first note that hasn't been played yet
+            this.states.forEach((state, note) => {
+                if (state.state === 'pending' && note.start < target) {
+                    target = Math.max(this.songTime, Math.min(target, note.start));
+                }
+            });
+        }
+        this.advance(target);
+
+        if (this.isPlaying) {
+            this.draw();
+            this.frameRequest = requestAnimationFrame(next => this.drawFrame(next));
+        }
+    }
+
+    // Move the song position forward, playing the automatic hand and marking missed notes
+    advance(target) {
+        this.songTime = target;
+        const hitWindow = LEARNING_HIT_WINDOW * this.tempoScale;
+
+        this.states.forEach((state, note) => {
+            const end = note.start + note.duration;
+            if (state.state === 'auto') {
+                const { note: name, octave } = midiToNote(note.midi);
+                if (!this.autoNotes.has(note) && note.start <= target && end > target) {
+                    this.autoNotes.add(note);
+                    this.audioEngine.playNote(name, octave, note.velocity);
+                    this.keyboardManager.setKeyHighlight(name, octave, true);
+                } else if (this.autoNotes.has(note) && end <= target) {
+                    this.autoNotes.delete(note);
+                    this.audioEngine.stopNote(name, octave);
+                    this.keyboardManager.setKeyHighlight(name, octave, false);
+                }
+            } else if (state.state === 'pending' && !this.waitMode && target > note.start + hitWindow) {
+                state.state = 'missed';
+            }
+        });
+
+        this.updateTargetKeys();
+        this.updateStatus();
+
+        if (target >= this.section.end) {
+            if (this.loop) {
+                this.finishPass(this.section.end);
+                this.startPass();
+            } else {
+                this.stop();
+            }
+        }
+    }
+
+    stopAutoNotes() {
+        this.autoNotes.forEach((note) => {
+            const { note: name, octave } = midiToNote(note.midi);
+            this.audioEngine.stopNote(name, octave);
+            this.keyboardManager.setKeyHighlight(name, octave, false);
+        });
+        this.autoNotes.clear();
+    }
+
+    // Mark the keys the player should be holding right now
+    updateTargetKeys() {
+        const targets = new Set();
+        if (this.isPlaying) {
+            this.states.forEach((state, note) => {
+                if (state.state === 'auto' || state.state === 'missed') return;
+                if (note.start <= this.songTime + 0.001 && note.start + note.duration > this.songTime) {
+                    const { note: name, octave } = midiToNote(note.midi);
+                    targets.add(`${name}-${octave}`);
+                }
+            });
+        }
+
+        const changed = new Set([...targets, ...this.targetKeys]);
+        changed.forEach((noteId) => {
+            const { note: name, octave } = parseNoteId(noteId);
+            this.keyboardManager.getKeyElements(name, octave)
+                .forEach(key => key.classList.toggle('learn-target', targets.has(noteId)));
+        });
+        this.targetKeys = targets;
+    }
+
+    // Score the player's key presses against the song
+    handleNote(type, event) {
+        if (!this.isPlaying) return;
+
+        const midi = noteToMidi(event.note, event.octave);
+        if (type === 'noteoff') {
+            const note = this.heldNotes.get(midi);
+            if (note) {
+                this.heldNotes.delete(midi);
+                this.finishHold(note, this.songTime);
+            }
+            return;
+        }
+
+        // Closest unplayed note of this pitch within the hit window
+        const hitWindow = LEARNING_HIT_WINDOW * this.tempoScale;
+        let match = null;
+        this.states.forEach((state, note) => {
+            if (state.state !== 'pending' || note.midi !== midi) return;
+            const distance = Math.abs(note.start - this.songTime);
+            if (distance <= hitWindow && (!match || distance < Math.abs(match.start - this.songTime))) {
+                match = note;
+            }
+        });
+
+        if (!match) {
+            this.wrongNotes++;
+            this.updateStatus();
+            return;
+        }
+
+        const state = this.states.get(match);
+        state.state = 'held';
+        state.timing = (this.songTime - match.start) / this.tempoScale; // Real seconds, positive when late
+        state.pressedAt = this.songTime;
+        this.heldNotes.set(midi, match);
+    }
+
+    // How closely the held length matched the note's length, 0-1
+    finishHold(note, releaseTime) {
+        const state = this.states.get(note);
+        const held = Math.max(0, releaseTime - state.pressedAt);
+        state.held = Math.max(0, 1 - Math.abs(held - note.duration) / note.duration);
+        state.state = 'hit';
+    }
+
+    // Close out the pass: release held notes, count unplayed ones as missed and show the results
+    finishPass(endTime) {
+        this.heldNotes.forEach(note => this.finishHold(note, Math.min(endTime, note.start + note.duration)));
+        this.heldNotes.clear();
+        this.stopAutoNotes();
+        this.updateTargetKeys();
+
+        // Notes that could still have been played in time are left out
+        const hitWindow = LEARNING_HIT_WINDOW * this.tempoScale;
+        const reached = [];
+        this.states.forEach((state, note) => {
+            if (state.state === 'auto' || note.start > endTime) return;
+            if (state.state === 'pending' && note.start + hitWindow > endTime && endTime < this.section.end) return;
+            if (state.state === 'pending') state.state = 'missed';
+            reached.push({ note, state });
+        });
+        this.showResults(reached);
+    }
+
+    // Per-note score: half timing, half held length; missed notes score nothing
+    static scoreNote(state) {
+        if (state.state !== 'hit') return 0;
+        const timing = Math.max(0, 1 - Math.abs(state.timing) / LEARNING_HIT_WINDOW);
+        return (timing + state.held) / 2;
+    }
+
+    clearResults() {
+        this.summaryText.textContent = '';
+        this.resultsTable.innerHTML = '';
+        this.resultsTable.hidden = true;
+    }
+
+    showResults(results) {
+        this.clearResults();
+        if (results.length === 0) return;
+
+        const hits = results.filter(({ state }) => state.state === 'hit');
+        const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+        const score = average(results.map(({ state }) => LearningMode.scoreNote(state)));
+        const timing = average(hits.map(({ state }) => state.timing));
+        const held = average(hits.map(({ state }) => state.held));
+
+        const passText = this.loop ? `Pass ${this.pass}: ` : '';
+        let summary = `${passText}${Math.round(score * 100)}% - ${hits.length}/${results.length} notes hit, ${this.wrongNotes} wrong`;
+        if (hits.length > 0) {
+            summary += `, timing ${LearningMode.formatTiming(timing)} on average, held length ${Math.round(held * 100)}%`;
+        }
+        this.summaryText.textContent = summary;
+
+        this.resultsTable.hidden = false;
+        const header = this.resultsTable.insertRow();
+        ['Bar', 'Note', 'Hand', 'Result', 'Timing', 'Held', 'Score'].forEach((text) => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        results.forEach(({ note, state }) => {
+            const row = this.resultsTable.insertRow();
+            const { note: name, octave } = midiToNote(note.midi);
+            const isHit = state.state === 'hit';
+            row.className = isHit ? 'learn-hit' : 'learn-missed';
+            [
+                Math.floor(note.start / this.song.barLength + 0.001) + 1,
+                `${name}${octave}`,
+                note.hand,
+                isHit ? 'Hit' : 'Missed',
+                isHit ? LearningMode.formatTiming(state.timing) : '-',
+                isHit ? `${Math.round(state.held * 100)}%` : '-',
+                `${Math.round(LearningMode.scoreNote(state) * 100)}%`
+            ].forEach(text => (row.insertCell().textContent = text));
+        });
+    }
+
+    static formatTiming(seconds) {
+        const ms = Math.round(seconds * 1000);
+        if (ms === 0) return 'on time';
+        return ms < 0 ? `${-ms}ms early` : `${ms}ms late`;
+    }
+
+    updateStatus() {
+        if (!this.isPlaying) {
+            this.statusText.textContent = `${this.song.name}: ${this.getBarCount()} bars`;
+            return;
+        }
+
+        const bar = Math.max(1, Math.floor(this.songTime / this.song.barLength) + 1);
+        let hits = 0;
+        let total = 0;
+        this.states.forEach((state) => {
+            if (state.state === 'auto') return;
+            total++;
+            if (state.state === 'hit' || state.state === 'held') hits++;
+        });
+        this.statusText.textContent = `Bar ${bar} - ${hits}/${total} notes, ${this.wrongNotes} wrong`;
+    }
+
+    // Horizontal position of each key relative to the canvas, by "note-octave"
+    getKeyRects() {
+        const canvasLeft = this.canvas.getBoundingClientRect().left;
+        const rects = new Map();
+        this.keyboardManager.getKeyElements().forEach((key) => {
+            const rect = key.getBoundingClientRect();
+            rects.set(`${key.dataset.note}-${key.dataset.octave}`, {
+                x: rect.left - canvasLeft,
+                width: rect.width,
+                isBlack: key.dataset.isBlack === 'true'
+            });
+        });
+        return rects;
+    }
+
+    // Falling note bars: the bottom edge of the canvas is "now", where notes meet the keys
+    draw() {
+        if (this.canvas.hidden) return;
+
+        const canvas = this.canvas;
+        const scale = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * scale);
+        const height = Math.round(canvas.clientHeight * scale);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#222';
+        context.fillRect(0, 0, width, height);
+
+        const now = this.isPlaying ? this.songTime : this.section.start;
+        const toY = time => height - ((time - now) / LEARNING_LOOKAHEAD) * height;
+
+        // Bar lines
+        context.fillStyle = '#3a3a3a';
+        const firstBar = Math.max(0, Math.ceil(now / this.song.barLength));
+        for (let bar = firstBar; bar * this.song.barLength < now + LEARNING_LOOKAHEAD; bar++) {
+            context.fillRect(0, toY(bar * this.song.barLength), width, scale);
+        }
+
+        // Looped section boundaries
+        if (this.loop) {
+            context.fillStyle = '#e67e22';
+            this.loopBars.forEach((bar, index) => {
+                const y = toY((bar - 1 + index) * this.song.barLength);
+                if (y >= 0 && y <= height) context.fillRect(0, y, width, 2 * scale);
+            });
+        }
+
+        const keys = this.getKeyRects();
+        // White keys first so black key bars are drawn on top
+        const notes = this.song.notes
+            .filter(note => note.start < now + LEARNING_LOOKAHEAD && note.start + note.duration > now)
+            .map((note) => {
+                const { note: name, octave } = midiToNote(note.midi);
+                return { note, key: keys.get(`${name}-${octave}`) };
+            })
+            .filter(({ key }) => key)
+            .sort((a, b) => a.key.isBlack - b.key.isBlack);
+
+        notes.forEach(({ note, key }) => {
+            const state = this.states.has(note) ? this.states.get(note).state : 'pending';
+            const top = Math.max(0, toY(note.start + note.duration));
+            const bottom = Math.min(height, toY(note.start));
+
+            if (state === 'auto') {
+                context.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            } else if (state === 'hit' || state === 'held') {
+                context.fillStyle = '#2ecc71';
+            } else if (state === 'missed') {
+                context.fillStyle = '#e74c3c';
+            } else {
+                context.fillStyle = note.hand === 'left' ? '#f39c12' : '#667eea';
+            }
+            context.fillRect((key.x + 2) * scale, top + scale, (key.width - 4) * scale, Math.max(scale, bottom - top - 2 * scale));
+        });
+    }
+}
@@ -0,0 +1,218 @@
+// MIDI Manager
+// Routes Web MIDI input into the keyboard and mirrors played notes to a MIDI output
+
+import { noteToMidi, midiToNote } from './notes.js';
+
+export class MidiManager {
+    constructor(keyboardManager) {
+        this.keyboardManager = keyboardManager;
+        this.midiAccess = null;
+        this.input = null;
+        this.output = null;
+        this.inputChannel = 'all'; // 'all' or 0-15
+        this.outputChannel = 0;
+        this.heldNotes = new Set(); // MIDI note numbers held on the current input
+
+        this.handleMidiMessage = this.handleMidiMessage.bind(this);
+
+        this.initControls();
+        this.initMidiAccess();
+
+        // Send locally played notes to the selected output
+        this.keyboardManager.addNoteListener((type, event) => {
+            if (event.source === 'midi') return; // Don't echo incoming MIDI back out
+            this.sendNote(type, event);
+        });
+    }
+
+    async initMidiAccess() {
+        if (!navigator.requestMIDIAccess) {
+            this.setStatus('Web MIDI not supported');
+            this.inputSelect.disabled = true;
+            this.outputSelect.disabled = true;
+            return;
+        }
+
+        try {
+            this.midiAccess = await navigator.requestMIDIAccess();
+            this.midiAccess.addEventListener('statechange', () => this.refreshDevices());
+            this.refreshDevices();
+        } catch (error) {
+            console.error('Error requesting MIDI access:', error);
+            this.setStatus('MIDI access denied');
+        }
+    }
+
+    initControls() {
+        this.inputSelect = document.getElementById('midi-input');
+        this.outputSelect = document.getElementById('midi-output');
+        this.statusText = document.getElementById('midi-status');
+
+        this.inputSelect.addEventListener('change', (e) => {
+            this.selectInput(e.target.value);
+        });
+
+        this.outputSelect.addEventListener('change', (e) => {
+            this.selectOutput(e.target.value);
+        });
+
+        const inputChannelSelect = document.getElementById('midi-input-channel');
+        const outputChannelSelect = document.getElementById('midi-output-channel');
+        for (let channel = 0; channel < 16; channel++) {
+            inputChannelSelect.add(new Option(`Ch ${channel + 1}`, channel));
+            outputChannelSelect.add(new Option(`Ch ${channel + 1}`, channel));
+        }
+
+        inputChannelSelect.addEventListener('change', (e) => {
+            this.releaseHeldNotes();
+            this.inputChannel = e.target.value === 'all' ? 'all' : parseInt(e.target.value);
+        });
+
+        outputChannelSelect.addEventListener('change', (e) => {
+            this.outputChannel = parseInt(e.target.value);
+        });
+    }
+
+    setStatus(text) {
+        this.statusText.textContent = text;
+    }
+
+    // Rebuild the device lists (called on start and whenever a device is plugged/unplugged)
+    refreshDevices() {
+        const inputs = Array.from(this.midiAccess.inputs.values());
+        const outputs = Array.from(this.midiAccess.outputs.values());
+
+        this.fillSelect(this.inputSelect, inputs, this.input);
+        this.fillSelect(this.outputSelect, outputs, this.output);
+
+        // Drop devices that have been disconnected
+        if (this.input && this.input.state === 'disconnected') {
+            this.selectInput('');
+        }
+        if (this.output && this.output.state === 'disconnected') {
+            this.selectOutput('');
+        }
+
+        // Pick the first input automatically so a controller works out of the box
+        if (!this.input && inputs.length > 0) {
+            this.selectInput(inputs[0].id);
+            this.inputSelect.value = inputs[0].id;
+        }
+
+        this.setStatus(`${inputs.length} in / ${outputs.length} out`);
+    }
+
+    fillSelect(select, ports, selectedPort) {
+        select.innerHTML = '';
+
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'None';
+        select.appendChild(noneOption);
+
+        ports.forEach((port) => {
+            if (port.state === 'disconnected') return;
+            const option = document.createElement('option');
+            option.value = port.id;
+            option.textContent = port.name;
+            select.appendChild(option);
+        });
+
+        select.value = selectedPort && selectedPort.state !== 'disconnected' ? selectedPort.id : '';
+    }
+
+    selectInput(id) {
+        if (this.input) {
+            this.input.removeEventListener('midimessage', this.handleMidiMessage);
+            this.releaseHeldNotes();
+        }
+
+        this.input = id ? this.midiAccess.inputs.get(id) || null : null;
+
+        if (this.input) {
+            this.input.addEventListener('midimessage', this.handleMidiMessage);
+        }
+    }
+
+    selectOutput(id) {
+        if (this.output) {
+            this.sendAllNotesOff();
+        }
+        this.output = id ? this.midiAccess.outputs.get(id) || null : null;
+    }
+
+    // Handle an incoming MIDI message
+    handleMidiMessage(e) {
+        const [status, data1, data2] = e.data;
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+
+        if (this.inputChannel !== 'all' && channel !== this.inputChannel) return;
+
+        if (command === 0x90 && data2 > 0) {
+            this.noteOn(data1, data2 / 127);
+        } else if (command === 0x80 || command === 0x90) {
+            // Note on with velocity 0 is a note off
+            this.noteOff(data1);
+        } else if (command === 0xe0) {
+            // 14-bit pitch bend centred on 8192
+            const value = (data2 << 7 | data1) - 8192;
+            this.keyboardManager.audioEngine.setPitchBend(value / (value > 0 ? 8191 : 8192));
+        } else if (command === 0xb0 && data1 === 1) {
+            this.keyboardManager.audioEngine.setModWheel(data2 / 127);
+        } else if (command === 0xb0 && data1 === 64) {
+            this.keyboardManager.setSustain(data2 >= 64);
+        } else if (command === 0xb0 && data1 === 66) {
+            this.keyboardManager.setSostenuto(data2 >= 64);
+        } else if (command === 0xb0 && data1 === 121) {
+            // Reset all controllers lifts the pedals and centres the wheels
+            this.keyboardManager.setSustain(false);
+            this.keyboardManager.setSostenuto(false);
+            this.keyboardManager.audioEngine.setPitchBend(0);
+            this.keyboardManager.audioEngine.setModWheel(0);
+        } else if (command === 0xb0 && (data1 === 120 || data1 === 123)) {
+            // All sound off / all notes off
+            this.releaseHeldNotes();
+        }
+    }
+
+    noteOn(midi, velocity) {
+        const { note, octave } = midiToNote(midi);
+        this.heldNotes.add(midi);
+        this.keyboardManager.pressNote(note, octave, velocity, 'midi');
+    }
+
+    noteOff(midi) {
+        const { note, octave } = midiToNote(midi);
+        this.heldNotes.delete(midi);
+        this.keyboardManager.releaseNote(note, octave, 'midi');
+    }
+
+    // Release everything held on the current input (device change or removal)
+    releaseHeldNotes() {
+        this.heldNotes.forEach(midi => this.noteOff(midi));
+    }
+
+    // Send a note on/off to the selected output
+    sendNote(type, event) {
+        if (!this.output) return;
+
+        const midi = noteToMidi(event.note, event.octave);
+        if (midi < 0 || midi > 127) return;
+
+        if (type === 'noteon') {
+            const velocity = Math.max(1, Math.round(event.velocity * 127));
+            this.output.send([0x90 | this.outputChannel, midi, velocity]);
+        } else {
+            this.output.send([0x80 | this.outputChannel, midi, 0]);
+        }
+    }
+
+    sendAllNotesOff() {
+        try {
+            this.output.send([0xb0 | this.outputChannel, 123, 0]);
+        } catch (error) {
+            console.error('Error sending MIDI all notes off:', error);
+        }
+    }
+}
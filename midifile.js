@@ -0,0 +1,376 @@
+// MIDI File
+// Standard MIDI File (SMF) reader and writer
+
+import { noteToMidi, midiToNote } from './notes.js';
+import { downloadBlob } from './controls.js';
+
+export class MidiFile {
+    // Parse an SMF into { format, division, tracks } where each track is a list of
+    // events with absolute ticks
+    static parse(arrayBuffer) {
+        const reader = new MidiFileReader(new Uint8Array(arrayBuffer));
+
+        if (reader.readString(4) !== 'MThd') {
+            throw new Error('Not a Standard MIDI File');
+        }
+        const headerLength = reader.readUint32();
+        const format = reader.readUint16();
+        const trackCount = reader.readUint16();
+        const division = reader.readUint16();
+        reader.skip(headerLength - 6);
+
+        const tracks = [];
+        while (tracks.length < trackCount && reader.hasMore()) {
+            const chunkType = reader.readString(4);
+            const chunkLength = reader.readUint32();
+            const chunkEnd = reader.position + chunkLength;
+
+            if (chunkType === 'MTrk') {
+                tracks.push(MidiFile.parseTrack(reader, chunkEnd, tracks.length));
+            }
+            // Unknown chunks are skipped
+            reader.position = chunkEnd;
+        }
+
+        return { format, division, tracks };
+    }
+
+    static parseTrack(reader, chunkEnd, trackIndex) {
+        const events = [];
+        let tick = 0;
+        let runningStatus = null;
+
+        while (reader.position < chunkEnd) {
+            tick += reader.readVarLength();
+
+            let status = reader.peek();
+            if (status < 0x80) {
+                // Running status: reuse the previous channel status byte
+                if (runningStatus === null) {
+                    throw new Error(`Running status without a previous status in track ${trackIndex}`);
+                }
+                status = runningStatus;
+            } else {
+                reader.skip(1);
+            }
+
+            if (status === 0xff) {
+                const metaType = reader.readUint8();
+                const data = reader.readBytes(reader.readVarLength());
+                runningStatus = null;
+
+                if (metaType === 0x51) {
+                    events.push({ tick, track: trackIndex, type: 'tempo', microsecondsPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] });
+                } else if (metaType === 0x58) {
+                    events.push({ tick, track: trackIndex, type: 'timesig', numerator: data[0], denominator: Math.pow(2, data[1]) });
+                } else if (metaType === 0x2f) {
+                    break; // End of track
+                }
+            } else if (status === 0xf0 || status === 0xf7) {
+                // SysEx: skip the payload
+                reader.skip(reader.readVarLength());
+                runningStatus = null;
+            } else {
+                const command = status & 0xf0;
+                const channel = status & 0x0f;
+                const data1 = reader.readUint8();
+                const data2 = (command === 0xc0 || command === 0xd0) ? 0 : reader.readUint8();
+                runningStatus = status;
+
+                if (command === 0x90 && data2 > 0) {
+                    events.push({ tick, track: trackIndex, type: 'noteon', channel, midi: data1, velocity: data2 });
+                } else if (command === 0x80 || command === 0x90) {
+                    events.push({ tick, track: trackIndex, type: 'noteoff', channel, midi: data1, velocity: data2 });
+                }
+            }
+        }
+
+        return events;
+    }
+
+    // Convert a parsed file into note events timed in seconds, honouring tempo changes
+    static toSequence(midi) {
+        const allEvents = midi.tracks
+            .flat()
+            .sort((a, b) => a.tick - b.tick);
+
+        // SMPTE divisions have a fixed tick rate; otherwise ticks are per quarter note
+        const smpte = (midi.division & 0x8000) !== 0;
+        const ticksPerSecond = smpte
+            ? (256 - (midi.division >> 8)) * (midi.division & 0xff)
+            : null;
+        const ppq = midi.division & 0x7fff;
+
+        let microsecondsPerQuarter = 500000; // 120 BPM until told otherwise
+        let tempo = null;
+        let timeSignature = null;
+        let lastTick = 0;
+        let lastTime = 0;
+        const noteDepth = new Map(); // Overlapping note ons across channels/tracks
+        const events = [];
+
+        allEvents.forEach((event) => {
+            const elapsedTicks = event.tick - lastTick;
+            lastTime += smpte
+                ? elapsedTicks / ticksPerSecond
+                : (elapsedTicks / ppq) * (microsecondsPerQuarter / 1000000);
+            lastTick = event.tick;
+
+            if (event.type === 'tempo') {
+                microsecondsPerQuarter = event.microsecondsPerQuarter;
+                if (tempo === null) tempo = 60000000 / microsecondsPerQuarter;
+                return;
+            }
+            if (event.type === 'timesig') {
+                if (timeSignature === null) timeSignature = [event.numerator, event.denominator];
+                return;
+            }
+
+            const { note, octave } = midiToNote(event.midi);
+            const depth = noteDepth.get(event.midi) || 0;
+
+            if (event.type === 'noteon') {
+                noteDepth.set(event.midi, depth + 1);
+                if (depth > 0) return;
+                events.push({ time: lastTime, type: 'noteon', note, octave, velocity: event.velocity / 127 });
+            } else if (depth > 0) {
+                noteDepth.set(event.midi, depth - 1);
+                if (depth > 1) return;
+                events.push({ time: lastTime, type: 'noteoff', note, octave, velocity: 0 });
+            }
+        });
+
+        return {
+            events,
+            duration: lastTime,
+            tempo: tempo || 120,
+            timeSignature: timeSignature || [4, 4]
+        };
+    }
+
+    // Write note tracks (lists of { time, type, note, octave, velocity } in seconds) as an SMF
+    static write(noteTracks, { format = 1, ppq = 480, tempo = 120, timeSignature = [4, 4] } = {}) {
+        const secondsToTicks = seconds => Math.round(seconds * (tempo / 60) * ppq);
+        const microsecondsPerQuarter = Math.round(60000000 / tempo);
+
+        const conductor = [
+            { tick: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff] },
+            { tick: 0, bytes: [0xff, 0x58, 0x04, timeSignature[0], Math.log2(timeSignature[1]), 24, 8] }
+        ];
+
+        const toTrackEvents = events => events
+            .map((event) => {
+                const midi = noteToMidi(event.note, event.octave);
+                if (midi < 0 || midi > 127) return null;
+                const status = event.type === 'noteon' ? 0x90 : 0x80;
+                const velocity = event.type === 'noteon' ? Math.max(1, Math.round(event.velocity * 127)) : 64;
+                return { tick: secondsToTicks(event.time), bytes: [status, midi, velocity] };
+            })
+            .filter(Boolean);
+
+        let tracks;
+        if (format === 0) {
+            const merged = noteTracks.flatMap(toTrackEvents);
+            tracks = [conductor.concat(merged)];
+        } else {
+            tracks = [conductor].concat(noteTracks.map(toTrackEvents));
+        }
+
+        const bytes = [];
+        MidiFile.pushString(bytes, 'MThd');
+        MidiFile.pushUint32(bytes, 6);
+        MidiFile.pushUint16(bytes, format);
+        MidiFile.pushUint16(bytes, tracks.length);
+        MidiFile.pushUint16(bytes, ppq);
+
+        tracks.forEach((track) => {
+            const trackBytes = MidiFile.encodeTrack(track);
+            MidiFile.pushString(bytes, 'MTrk');
+            MidiFile.pushUint32(bytes, trackBytes.length);
+            trackBytes.forEach(byte => bytes.push(byte));
+        });
+
+        return new Uint8Array(bytes);
+    }
+
+    static encodeTrack(track) {
+        const bytes = [];
+        let lastTick = 0;
+        let runningStatus = null;
+
+        // Stable sort keeps note offs ahead of note ons recorded at the same tick
+        const sorted = track
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+        sorted.forEach((event) => {
+            MidiFile.pushVarLength(bytes, event.tick - lastTick);
+            lastTick = event.tick;
+
+            const [status, ...data] = event.bytes;
+            if (status < 0xf0 && status === runningStatus) {
+                data.forEach(byte => bytes.push(byte));
+            } else {
+                event.bytes.forEach(byte => bytes.push(byte));
+                runningStatus = status < 0xf0 ? status : null;
+            }
+        });
+
+        // End of track
+        MidiFile.pushVarLength(bytes, 0);
+        bytes.push(0xff, 0x2f, 0x00);
+        return bytes;
+    }
+
+    // Variable-length quantity: 7 bits per byte, high bit set on all but the last
+    static pushVarLength(bytes, value) {
+        const groups = [value & 0x7f];
+        value >>>= 7;
+        while (value > 0) {
+            groups.unshift((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        groups.forEach(byte => bytes.push(byte));
+    }
+
+    static pushString(bytes, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i));
+        }
+    }
+
+    static pushUint32(bytes, value) {
+        bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    }
+
+    static pushUint16(bytes, value) {
+        bytes.push((value >> 8) & 0xff, value & 0xff);
+    }
+}
+
+// Sequential big-endian reader over SMF bytes
+class MidiFileReader {
+    constructor(data) {
+        this.data = data;
+        this.position = 0;
+    }
+
+    hasMore() {
+        return this.position < this.data.length;
+    }
+
+    ensureAvailable(count) {
+        if (this.position + count > this.data.length) {
+            throw new Error('Unexpected end of MIDI file');
+        }
+    }
+
+    peek() {
+        this.ensureAvailable(1);
+        return this.data[this.position];
+    }
+
+    skip(count) {
+        this.position += count;
+    }
+
+    readUint8() {
+        this.ensureAvailable(1);
+        return this.data[this.position++];
+    }
+
+    readUint16() {
+        return (this.readUint8() << 8) | this.readUint8();
+    }
+
+    readUint32() {
+        return ((this.readUint16() << 16) | this.readUint16()) >>> 0;
+    }
+
+    readBytes(count) {
+        this.ensureAvailable(count);
+        const bytes = this.data.subarray(this.position, this.position + count);
+        this.position += count;
+        return bytes;
+    }
+
+    readString(count) {
+        return String.fromCharCode(...this.readBytes(count));
+    }
+
+    readVarLength() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.readUint8();
+            value = (value << 7) | (byte & 0x7f);
+            if ((byte & 0x80) === 0) return value;
+        }
+        throw new Error('Invalid variable-length quantity');
+    }
+}
+
+// MIDI File Manager
+// Import by drag-and-drop or file picker, export the recorder's takes
+export class MidiFileManager {
+    constructor(recorder, audioEngine) {
+        this.recorder = recorder;
+        this.audioEngine = audioEngine;
+        this.initControls();
+    }
+
+    initControls() {
+        const fileInput = document.getElementById('midi-file-input');
+        document.getElementById('midi-import-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importFile(e.target.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        document.getElementById('midi-export-button').addEventListener('click', () => {
+            this.exportFile(parseInt(document.getElementById('midi-export-format').value));
+        });
+
+        // Accept .mid files dropped anywhere on the page. Any other dropped file is ignored
+        // here (the sample library takes audio) but never opened by the browser, which would
+        // navigate away and lose unsaved recordings.
+        document.addEventListener('dragover', (e) => {
+            if (Array.from(e.dataTransfer.items).some(item => item.kind === 'file')) {
+                e.preventDefault();
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            if (e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+            }
+            const file = Array.from(e.dataTransfer.files).find(f => /\.midi?$/i.test(f.name));
+            if (file) {
+                this.importFile(file);
+            }
+        });
+    }
+
+    async importFile(file) {
+        try {
+            const midi = MidiFile.parse(await file.arrayBuffer());
+            const sequence = MidiFile.toSequence(midi);
+            this.recorder.loadSequence(sequence.events, sequence.duration);
+            this.recorder.play();
+        } catch (error) {
+            console.error('Error importing MIDI file:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    exportFile(format) {
+        const tracks = this.recorder.getTracks();
+        if (tracks.length === 0) {
+            alert('Nothing recorded to export yet');
+            return;
+        }
+
+        const data = MidiFile.write(tracks, { format, tempo: this.audioEngine.tempo });
+        downloadBlob(new Blob([data], { type: 'audio/midi' }), 'webkeys-performance.mid');
+    }
+}
@@ -0,0 +1,466 @@
+// Modulation
+// LFOs, vibrato and pitch bend shared by every voice an engine plays. Each source feeds a bus that
+// sounding voices connect their AudioParams to - pitch and filter buses in cents, the amplitude bus
+// as a gain offset - so a change reaches every voice at once, as automation rather than value jumps.
+
+import { SYNC_DIVISIONS } from './effects.js';
+
+export const LFO_WAVEFORMS = ['sine', 'triangle', 'square', 'random']; // 'random' is sample & hold
+export const LFO_TARGETS = ['pitch', 'amplitude', 'filter'];
+export const LFO_COUNT = 2;
+export const MAX_BEND_RANGE = 24; // Semitones
+export const MAX_VIBRATO_DEPTH = 50; // Cents of vibrato at full mod wheel
+const VIBRATO_RATE = 5.5; // Hz
+
+// Settings for an LFO a patch doesn't mention: running, but routed nowhere
+export const LFO_DEFAULTS = { waveform: 'sine', rate: 5, sync: 'off', depths: { pitch: 0, amplitude: 0, filter: 0 } };
+
+// Sample & hold loops a buffer of random steps; its playback rate sets how often the value changes
+const RANDOM_STEPS = 64;
+const RANDOM_SAMPLE_RATE = 3000;
+const RANDOM_STEP_LENGTH = 100; // Samples per step, so 30 steps a second at playback rate 1
+
+// Move an AudioParam to a value; smoothed once the clock is running so changes glide
+function smoothParam(context, param, value) {
+    if (context.currentTime === 0) {
+        param.value = value;
+    } else {
+        param.setTargetAtTime(value, context.currentTime, 0.01);
+    }
+}
+
+// LFO
+// A free-running low frequency oscillator with its own depth for each bus
+export class LFO {
+    constructor(context, buses) {
+        this.context = context;
+        this.waveform = LFO_DEFAULTS.waveform;
+        this.rate = LFO_DEFAULTS.rate; // Hz, used while not synced
+        this.sync = LFO_DEFAULTS.sync; // 'off' or a note value from SYNC_DIVISIONS
+        this.tempo = 120;
+        this.depths = { ...LFO_DEFAULTS.depths }; // Cents, 0-1 and cents
+
+        this.output = context.createGain();
+        this.depthGains = {};
+        LFO_TARGETS.forEach((target) => {
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            this.output.connect(gain);
+            gain.connect(buses[target]);
+            this.depthGains[target] = gain;
+        });
+
+        // Tremolo swings the level between 1 - depth and 1, so it is offset down by half the depth
+        this.amplitudeOffset = context.createConstantSource();
+        this.amplitudeOffset.offset.value = 0;
+        this.amplitudeOffset.connect(buses.amplitude);
+        this.amplitudeOffset.start();
+
+        this.source = null;
+        this.startSource();
+    }
+
+    // (Re)start the source for the waveform: an oscillator, or a looped buffer of random steps
+    startSource() {
+        if (this.source) {
+            this.source.stop();
+            this.source.disconnect();
+        }
+
+        if (this.waveform === 'random') {
+            this.source = this.context.createBufferSource();
+            this.source.buffer = this.createRandomBuffer();
+            this.source.loop = true;
+        } else {
+            this.source = this.context.createOscillator();
+            this.source.type = this.waveform;
+        }
+
+        const { param, value } = this.getRateTarget();
+        param.value = value;
+        this.source.connect(this.output);
+        this.source.start();
+    }
+
+    createRandomBuffer() {
+        const buffer = this.context.createBuffer(1, RANDOM_STEPS * RANDOM_STEP_LENGTH, RANDOM_SAMPLE_RATE);
+        const data = buffer.getChannelData(0);
+        for (let step = 0; step < RANDOM_STEPS; step++) {
+            data.fill(Math.random() * 2 - 1, step * RANDOM_STEP_LENGTH, (step + 1) * RANDOM_STEP_LENGTH);
+        }
+        return buffer;
+    }
+
+    // Cycles per second, following the tempo when synced
+    getFrequency() {
+        const division = SYNC_DIVISIONS[this.sync];
+        return division ? this.tempo / (60 * division) : this.rate;
+    }
+
+    // The source's AudioParam that sets the rate, and its value for the current frequency
+    getRateTarget() {
+        const frequency = this.getFrequency();
+        if (this.waveform === 'random') {
+            return { param: this.source.playbackRate, value: frequency * RANDOM_STEP_LENGTH / RANDOM_SAMPLE_RATE };
+        }
+        return { param: this.source.frequency, value: frequency };
+    }
+
+    updateRate() {
+        const { param, value } = this.getRateTarget();
+        smoothParam(this.context, param, value);
+    }
+
+    setWaveform(waveform) {
+        const wasRandom = this.waveform === 'random';
+        this.waveform = waveform;
+        if (wasRandom || waveform === 'random') {
+            this.startSource();
+        } else {
+            this.source.type = waveform;
+        }
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        this.updateRate();
+    }
+
+    setSync(sync) {
+        this.sync = sync;
+        this.updateRate();
+    }
+
+    setTempo(tempo) {
+        this.tempo = tempo;
+        this.updateRate();
+    }
+
+    setDepth(target, depth) {
+        this.depths[target] = depth;
+        if (target === 'amplitude') {
+            smoothParam(this.context, this.depthGains.amplitude.gain, depth / 2);
+            smoothParam(this.context, this.amplitudeOffset.offset, -depth / 2);
+        } else {
+            smoothParam(this.context, this.depthGains[target].gain, depth);
+        }
+    }
+
+    getSettings() {
+        return { waveform: this.waveform, rate: this.rate, sync: this.sync, depths: { ...this.depths } };
+    }
+
+    applySettings(settings) {
+        if (settings.waveform !== this.waveform) {
+            this.setWaveform(settings.waveform);
+        }
+        this.rate = settings.rate;
+        this.setSync(settings.sync);
+        LFO_TARGETS.forEach(target => this.setDepth(target, settings.depths[target]));
+    }
+}
+
+// Modulation
+// The buses voices connect to, and the LFOs, vibrato and pitch bend feeding them
+export class Modulation {
+    constructor(context) {
+        this.context = context;
+        this.bendRange = 2; // Semitones either way at full bend
+        this.pitchBend = 0; // -1 to 1
+        this.modWheel = 0; // 0-1, sets the vibrato depth
+
+        this.buses = {};
+        LFO_TARGETS.forEach((target) => {
+            this.buses[target] = context.createGain();
+        });
+
+        this.bend = context.createConstantSource();
+        this.bend.offset.value = 0;
+        this.bend.connect(this.buses.pitch);
+        this.bend.start();
+
+        this.vibrato = context.createOscillator();
+        this.vibrato.frequency.value = VIBRATO_RATE;
+        this.vibratoDepth = context.createGain();
+        this.vibratoDepth.gain.value = 0;
+        this.vibrato.connect(this.vibratoDepth);
+        this.vibratoDepth.connect(this.buses.pitch);
+        this.vibrato.start();
+
+        this.lfos = Array.from({ length: LFO_COUNT }, () => new LFO(context, this.buses));
+    }
+
+    // Modulate a voice's AudioParam from a bus: source detune for pitch,
+    // filter detune for filter, and a gain after the envelope for amplitude
+    connect(target, param) {
+        this.buses[target].connect(param);
+    }
+
+    // Called once the voice has ended, so the bus no longer holds on to it
+    disconnect(target, param) {
+        this.buses[target].disconnect(param);
+    }
+
+    // Bend every sounding voice, -1 (down) to 1 (up) times the bend range
+    setPitchBend(bend) {
+        this.pitchBend = Math.max(-1, Math.min(1, bend));
+        this.updateBend();
+    }
+
+    setBendRange(semitones) {
+        this.bendRange = semitones;
+        this.updateBend();
+    }
+
+    updateBend() {
+        smoothParam(this.context, this.bend.offset, this.pitchBend * this.bendRange * 100);
+    }
+
+    setModWheel(amount) {
+        this.modWheel = Math.max(0, Math.min(1, amount));
+        smoothParam(this.context, this.vibratoDepth.gain, this.modWheel * MAX_VIBRATO_DEPTH);
+    }
+
+    setTempo(tempo) {
+        this.lfos.forEach(lfo => lfo.setTempo(tempo));
+    }
+
+    getLfoSettings() {
+        return this.lfos.map(lfo => lfo.getSettings());
+    }
+
+    // LFOs missing from the list go back to their defaults
+    applyLfoSettings(settings) {
+        this.lfos.forEach((lfo, index) => lfo.applySettings(settings[index] || LFO_DEFAULTS));
+    }
+}
+
+// Modulation Panel
+// Pitch bend and mod wheels, the bend range, and controls for each LFO
+export class ModulationPanel {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.modulation = audioEngine.modulation;
+        this.storageKey = 'webkeys.wheels';
+        this.springBack = true; // Pitch bend wheel returns to the centre when let go
+        this.lfoControls = [];
+
+        this.initControls();
+        this.load();
+        this.update();
+
+        // Follow the wheels when MIDI or the API moves them
+        audioEngine.on('paramchange', ({ name }) => {
+            if (name === 'pitchBend' || name === 'modWheel' || name === 'bendRange') {
+                this.updateWheels();
+            }
+        });
+    }
+
+    initControls() {
+        this.bendWheel = document.getElementById('pitch-bend-wheel');
+        this.modWheel = document.getElementById('mod-wheel');
+        this.bendRangeSelect = document.getElementById('bend-range');
+        this.springBackToggle = document.getElementById('bend-spring-back');
+
+        [1, 2, 3, 5, 7, 12, MAX_BEND_RANGE].forEach((semitones) => {
+            this.bendRangeSelect.add(new Option(`±${semitones} st`, semitones));
+        });
+        this.bendRangeSelect.addEventListener('change', (e) => {
+            this.audioEngine.setBendRange(parseInt(e.target.value));
+        });
+
+        this.springBackToggle.addEventListener('change', (e) => {
+            this.springBack = e.target.checked;
+            if (this.springBack) this.audioEngine.setPitchBend(0);
+            this.save();
+        });
+
+        this.bindWheel(this.bendWheel, () => (this.modulation.pitchBend + 1) / 2,
+            position => this.audioEngine.setPitchBend(position * 2 - 1), () => {
+                if (this.springBack) this.audioEngine.setPitchBend(0);
+            });
+        this.bindWheel(this.modWheel, () => this.modulation.modWheel, position => this.audioEngine.setModWheel(position), () => {});
+
+        const panel = document.getElementById('modulation-panel');
+        this.modulation.lfos.forEach((lfo, index) => {
+            panel.appendChild(this.createLfoUnit(lfo, index));
+        });
+    }
+
+    // Drag a wheel up and down, or move it with the arrow keys when focused; `onMove` gets the
+    // position from 0 (bottom) to 1 (top) and `getPosition` returns the current one
+    bindWheel(wheel, getPosition, onMove, onLetGo) {
+        const move = (e) => {
+            const rect = wheel.getBoundingClientRect();
+            onMove(Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height)));
+        };
+
+        wheel.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            wheel.setPointerCapture(e.pointerId);
+            wheel.classList.add('active');
+            move(e);
+        });
+        wheel.addEventListener('pointermove', (e) => {
+            if (wheel.hasPointerCapture(e.pointerId)) move(e);
+        });
+        const letGo = () => {
+            wheel.classList.remove('active');
+            onLetGo();
+        };
+        wheel.addEventListener('pointerup', letGo);
+        wheel.addEventListener('pointercancel', letGo);
+
+        // Letting go of the key lets go of the wheel, so the bend wheel springs back as it would
+        const steps = { ArrowUp: 0.05, ArrowRight: 0.05, ArrowDown: -0.05, ArrowLeft: -0.05, PageUp: 0.25, PageDown: -0.25, Home: -1, End: 1 };
+        wheel.addEventListener('keydown', (e) => {
+            if (!(e.key in steps)) return;
+            e.preventDefault();
+            wheel.classList.add('active');
+            onMove(Math.max(0, Math.min(1, getPosition() + steps[e.key])));
+        });
+        wheel.addEventListener('keyup', (e) => {
+            if (e.key in steps) letGo();
+        });
+    }
+
+    // A card of controls for one LFO
+    createLfoUnit(lfo, index) {
+        const prefix = `lfo-${index + 1}`;
+        const unit = document.createElement('div');
+        unit.className = 'lfo-unit';
+
+        const header = document.createElement('div');
+        header.className = 'lfo-header';
+        header.textContent = `LFO ${index + 1}`;
+        unit.appendChild(header);
+
+        const controls = {};
+        controls.waveform = this.createSelect(unit, `${prefix}-waveform`, 'Shape',
+            LFO_WAVEFORMS.map(waveform => [waveform === 'random' ? 'Sample & Hold' : waveform[0].toUpperCase() + waveform.slice(1), waveform]),
+            value => lfo.setWaveform(value));
+        controls.rate = this.createSlider(unit, `${prefix}-rate`, 'Rate', { min: 0.1, max: 20, step: 0.1 },
+            value => `${value.toFixed(1)} Hz`, value => lfo.setRate(value));
+        controls.sync = this.createSelect(unit, `${prefix}-sync`, 'Sync',
+            [['Off', 'off']].concat(Object.keys(SYNC_DIVISIONS).map(division => [division, division])),
+            (value) => {
+                lfo.setSync(value);
+                this.updateLfo(index);
+            });
+        controls.pitch = this.createSlider(unit, `${prefix}-pitch`, 'Pitch', { min: 0, max: 1200, step: 1 },
+            value => `${value} cents`, value => lfo.setDepth('pitch', value));
+        controls.amplitude = this.createSlider(unit, `${prefix}-amplitude`, 'Amplitude', { min: 0, max: 1, step: 0.01 },
+            value => `${Math.round(value * 100)}%`, value => lfo.setDepth('amplitude', value));
+        controls.filter = this.createSlider(unit, `${prefix}-filter`, 'Filter', { min: 0, max: 4800, step: 10 },
+            value => `${value} cents`, value => lfo.setDepth('filter', value));
+
+        this.lfoControls[index] = controls;
+        return unit;
+    }
+
+    createSelect(unit, id, labelText, options, onChange) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = `${labelText}:`;
+
+        const select = document.createElement('select');
+        select.id = id;
+        options.forEach(([text, value]) => select.add(new Option(text, value)));
+        select.addEventListener('change', e => onChange(e.target.value));
+
+        group.append(label, select);
+        unit.appendChild(group);
+        return { input: select };
+    }
+
+    createSlider(unit, id, labelText, range, format, onChange) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = `${labelText}:`;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = id;
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = range.step;
+
+        const display = document.createElement('span');
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            onChange(value);
+            display.textContent = format(value);
+        });
+
+        group.append(label, slider, display);
+        unit.appendChild(group);
+        return { input: slider, display, format };
+    }
+
+    setControl(control, value) {
+        control.input.value = value;
+        if (control.display) control.display.textContent = control.format(value);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && typeof saved.springBack === 'boolean') {
+                this.springBack = saved.springBack;
+            }
+        } catch (error) {
+            console.error('Error reading wheel settings from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ springBack: this.springBack }));
+        } catch (error) {
+            console.error('Error saving wheel settings to localStorage:', error);
+        }
+    }
+
+    updateWheels() {
+        this.bendWheel.style.setProperty('--wheel-position', (this.modulation.pitchBend + 1) / 2);
+        this.modWheel.style.setProperty('--wheel-position', this.modulation.modWheel);
+
+        const { pitchBend, modWheel, bendRange } = this.modulation;
+        const bend = pitchBend * bendRange;
+        this.bendWheel.setAttribute('aria-valuenow', pitchBend);
+        this.bendWheel.setAttribute('aria-valuetext', bend === 0 ? 'centre' : `${bend > 0 ? 'up' : 'down'} ${Math.abs(bend).toFixed(1)} semitones`);
+        this.modWheel.setAttribute('aria-valuenow', modWheel);
+        this.modWheel.setAttribute('aria-valuetext', `${Math.round(modWheel * 100)} percent`);
+
+        // Patches and the API can pick a range the list doesn't offer
+        const range = `${this.modulation.bendRange}`;
+        if (!Array.from(this.bendRangeSelect.options).some(option => option.value === range)) {
+            this.bendRangeSelect.add(new Option(`±${range} st`, range));
+        }
+        this.bendRangeSelect.value = range;
+    }
+
+    updateLfo(index) {
+        const settings = this.modulation.lfos[index].getSettings();
+        const controls = this.lfoControls[index];
+        this.setControl(controls.waveform, settings.waveform);
+        this.setControl(controls.rate, settings.rate);
+        this.setControl(controls.sync, settings.sync);
+        LFO_TARGETS.forEach(target => this.setControl(controls[target], settings.depths[target]));
+        controls.rate.input.disabled = settings.sync !== 'off';
+    }
+
+    // Refresh the wheels and LFO controls from the engine (e.g. after a preset loads)
+    update() {
+        this.springBackToggle.checked = this.springBack;
+        this.updateWheels();
+        this.modulation.lfos.forEach((lfo, index) => this.updateLfo(index));
+    }
+}
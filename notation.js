@@ -0,0 +1,467 @@
+// Notation
+// Shows the held notes on a grand staff with the chord they make, and a transcript of the last
+// few bars. Notes are spelled for the selected key signature and for the chord they belong to.
+
+import { noteToMidi } from './notes.js';
+
+export const STAFF_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+const LETTER_FIFTHS = [0, 2, 4, -1, 1, 3, 5]; // Each natural's place on the line of fifths, from C
+const ACCIDENTAL_GLYPHS = { '-2': '\u{1D12B}', '-1': '♭', 0: '♮', 1: '♯', 2: '\u{1D12A}' };
+const STAFF_SPACE = 8; // Pixels between staff lines
+const TREBLE_TOP = 40; // y of the treble staff's top line (F5)
+const BASS_TOP = TREBLE_TOP + 8 * STAFF_SPACE; // y of the bass staff's top line (A3)
+const STAFF_HEIGHT = BASS_TOP + 4 * STAFF_SPACE + 40;
+const CHORD_GROUP_TIME = 0.08; // Seconds within which note ons are written as one chord
+
+// Major keys by number of sharps (positive) or flats (negative)
+const KEY_SIGNATURES = [
+    { fifths: -7, name: 'Cb major / Ab minor' },
+    { fifths: -6, name: 'Gb major / Eb minor' },
+    { fifths: -5, name: 'Db major / Bb minor' },
+    { fifths: -4, name: 'Ab major / F minor' },
+    { fifths: -3, name: 'Eb major / C minor' },
+    { fifths: -2, name: 'Bb major / G minor' },
+    { fifths: -1, name: 'F major / D minor' },
+    { fifths: 0, name: 'C major / A minor' },
+    { fifths: 1, name: 'G major / E minor' },
+    { fifths: 2, name: 'D major / B minor' },
+    { fifths: 3, name: 'A major / F# minor' },
+    { fifths: 4, name: 'E major / C# minor' },
+    { fifths: 5, name: 'B major / G# minor' },
+    { fifths: 6, name: 'F# major / D# minor' },
+    { fifths: 7, name: 'C# major / A# minor' }
+];
+
+// Chord qualities: semitones above the root and how many letters above the root each is
+// spelled, in order of preference when a set of notes fits more than one
+const CHORD_TYPES = [
+    { suffix: '', intervals: [0, 4, 7], steps: [0, 2, 4] },
+    { suffix: 'm', intervals: [0, 3, 7], steps: [0, 2, 4] },
+    { suffix: 'dim', intervals: [0, 3, 6], steps: [0, 2, 4] },
+    { suffix: 'aug', intervals: [0, 4, 8], steps: [0, 2, 4] },
+    { suffix: 'sus4', intervals: [0, 5, 7], steps: [0, 3, 4] },
+    { suffix: 'sus2', intervals: [0, 2, 7], steps: [0, 1, 4] },
+    { suffix: 'maj7', intervals: [0, 4, 7, 11], steps: [0, 2, 4, 6] },
+    { suffix: '7', intervals: [0, 4, 7, 10], steps: [0, 2, 4, 6] },
+    { suffix: 'm7', intervals: [0, 3, 7, 10], steps: [0, 2, 4, 6] },
+    { suffix: 'mMaj7', intervals: [0, 3, 7, 11], steps: [0, 2, 4, 6] },
+    { suffix: 'm7b5', intervals: [0, 3, 6, 10], steps: [0, 2, 4, 6] },
+    { suffix: 'dim7', intervals: [0, 3, 6, 9], steps: [0, 2, 4, 6] },
+    { suffix: 'aug7', intervals: [0, 4, 8, 10], steps: [0, 2, 4, 6] },
+    { suffix: '7sus4', intervals: [0, 5, 7, 10], steps: [0, 3, 4, 6] },
+    { suffix: '6', intervals: [0, 4, 7, 9], steps: [0, 2, 4, 5] },
+    { suffix: 'm6', intervals: [0, 3, 7, 9], steps: [0, 2, 4, 5] },
+    { suffix: 'add9', intervals: [0, 2, 4, 7], steps: [0, 1, 2, 4] },
+    { suffix: 'madd9', intervals: [0, 2, 3, 7], steps: [0, 1, 2, 4] },
+    { suffix: '9', intervals: [0, 2, 4, 7, 10], steps: [0, 1, 2, 4, 6] },
+    { suffix: 'maj9', intervals: [0, 2, 4, 7, 11], steps: [0, 1, 2, 4, 6] },
+    { suffix: 'm9', intervals: [0, 2, 3, 7, 10], steps: [0, 1, 2, 4, 6] },
+    { suffix: '7b9', intervals: [0, 1, 4, 7, 10], steps: [0, 1, 2, 4, 6] },
+    { suffix: '7#9', intervals: [0, 3, 4, 7, 10], steps: [0, 1, 2, 4, 6] },
+    { suffix: '5', intervals: [0, 7], steps: [0, 4] }
+];
+
+export const INTERVAL_NAMES = ['unison', 'minor 2nd', 'major 2nd', 'minor 3rd', 'major 3rd', 'perfect 4th',
+    'tritone', 'perfect 5th', 'minor 6th', 'major 6th', 'minor 7th', 'major 7th'];
+
+// Accidental the key signature gives a letter (index into STAFF_LETTERS)
+function keySignatureAccidental(letter, fifths) {
+    const position = LETTER_FIFTHS[letter];
+    if (fifths > 0 && position + 7 <= fifths + 5) return 1; // Sharps are added F, C, G, D, A, E, B
+    if (fifths < 0 && position - 7 >= fifths - 1) return -1; // Flats are added B, E, A, D, G, C, F
+    return 0;
+}
+
+// How far a spelling sits outside the key's seven notes on the line of fifths (0 when diatonic)
+function spellingDistance(spelling, fifths) {
+    const position = LETTER_FIFTHS[spelling.letter] + 7 * spelling.accidental;
+    return Math.max(0, fifths - 1 - position, position - (fifths + 5));
+}
+
+// Spell a letter so it sounds as the pitch class: { letter, accidental }
+function spellOnLetter(pitchClass, letter) {
+    let accidental = (pitchClass - LETTER_PITCHES[letter] + 12) % 12;
+    if (accidental > 6) accidental -= 12;
+    return { letter, accidental };
+}
+
+// Spelling of a lone pitch class closest to the key; ties go to sharps in sharp keys
+function spellPitchClass(pitchClass, fifths) {
+    let best = null;
+    STAFF_LETTERS.forEach((name, letter) => {
+        const spelling = spellOnLetter(pitchClass, letter);
+        if (Math.abs(spelling.accidental) > 1) return;
+
+        const distance = spellingDistance(spelling, fifths);
+        const preferred = fifths > 0 ? spelling.accidental > 0 : spelling.accidental < 0;
+        if (!best || distance < best.distance || (distance === best.distance && preferred)) {
+            best = { ...spelling, distance };
+        }
+    });
+    return { letter: best.letter, accidental: best.accidental };
+}
+
+// Chord in a set of MIDI notes: { root, type, bass } as pitch classes, or null. Root position
+// and complete chords are preferred, but a seventh or ninth chord may leave out its fifth.
+function identifyChord(midis) {
+    const pitchClasses = Array.from(new Set(midis.map(midi => midi % 12)));
+    if (pitchClasses.length < 2) return null;
+
+    const bass = Math.min(...midis) % 12;
+    let best = null;
+    pitchClasses.forEach((root) => {
+        const intervals = pitchClasses.map(pitchClass => (pitchClass - root + 12) % 12).sort((a, b) => a - b);
+        CHORD_TYPES.forEach((type, index) => {
+            const noFifth = type.intervals.filter(interval => interval !== 7);
+            let cost;
+            if (intervals.join() === type.intervals.join()) {
+                cost = index;
+            } else if (type.intervals.length >= 4 && noFifth.length < type.intervals.length &&
+                intervals.join() === noFifth.join()) {
+                cost = index + 200;
+            } else {
+                return;
+            }
+            if (root !== bass) cost += 100;
+
+            if (!best || cost < best.cost) {
+                best = { root, type, bass, cost };
+            }
+        });
+    });
+
+    return best && { root: best.root, type: best.type, bass: best.bass };
+}
+
+// Spell a chord's notes from its root letter. The root is spelled closest to the key, and
+// between equally close roots the one keeping the whole chord closest wins.
+// Returns a Map of pitch class -> { letter, accidental }.
+function spellChord(chord, fifths) {
+    let best = null;
+    STAFF_LETTERS.forEach((name, letter) => {
+        const root = spellOnLetter(chord.root, letter);
+        if (Math.abs(root.accidental) > 1) return;
+
+        const spellings = new Map();
+        let cost = 100 * spellingDistance(root, fifths);
+        chord.type.intervals.forEach((interval, index) => {
+            const spelling = spellOnLetter((chord.root + interval) % 12, (letter + chord.type.steps[index]) % 7);
+            spellings.set((chord.root + interval) % 12, spelling);
+            cost += spellingDistance(spelling, fifths) + (Math.abs(spelling.accidental) > 1 ? 10 : 0);
+        });
+
+        const preferred = fifths > 0 ? root.accidental > 0 : root.accidental < 0;
+        if (!best || cost < best.cost || (cost === best.cost && preferred)) {
+            best = { spellings, cost };
+        }
+    });
+    return best.spellings;
+}
+
+function spellingName(spelling) {
+    const accidental = spelling.accidental > 0 ? '#'.repeat(spelling.accidental) : 'b'.repeat(-spelling.accidental);
+    return `${STAFF_LETTERS[spelling.letter]}${accidental}`;
+}
+
+// Spell and name a set of held notes: { notes: [{ midi, letter, accidental, octave, step }], name, chord }
+export function describeNotes(midis, fifths) {
+    const sorted = Array.from(new Set(midis)).sort((a, b) => a - b);
+    const chord = identifyChord(sorted);
+    const chordSpellings = chord ? spellChord(chord, fifths) : new Map();
+
+    const notes = sorted.map((midi) => {
+        const spelling = chordSpellings.get(midi % 12) || spellPitchClass(midi % 12, fifths);
+        const octave = Math.floor((midi - LETTER_PITCHES[spelling.letter] - spelling.accidental) / 12) - 1;
+        return { midi, ...spelling, octave, step: octave * 7 + spelling.letter };
+    });
+
+    let name = '';
+    if (chord) {
+        const root = chordSpellings.get(chord.root);
+        name = `${spellingName(root)}${chord.type.suffix}`;
+        if (chord.bass !== chord.root) name += `/${spellingName(chordSpellings.get(chord.bass))}`;
+    } else if (notes.length === 2) {
+        const interval = INTERVAL_NAMES[(notes[1].midi - notes[0].midi) % 12];
+        name = `${spellingName(notes[0])}-${spellingName(notes[1])} (${interval})`;
+    } else if (notes.length === 1) {
+        name = `${spellingName(notes[0])}${notes[0].octave}`;
+    }
+
+    return { notes, name, chord };
+}
+
+// Notation View
+// Live grand staff of the held notes and a transcript that scrolls a bar at a time
+export class NotationView {
+    constructor(audioEngine, keyboardManager) {
+        this.audioEngine = audioEngine;
+        this.storageKey = 'webkeys.notation';
+        this.fifths = 0;
+        this.barsShown = 4;
+        this.heldNotes = new Set(); // MIDI notes sounding now
+        this.events = []; // Transcript: { time, midis, name } in seconds from transcriptStart, with the chord then held
+        this.transcriptStart = null;
+
+        keyboardManager.addNoteListener((type, event) => this.handleNote(type, event));
+
+        this.load();
+        this.initControls();
+        this.render();
+    }
+
+    initControls() {
+        this.staff = document.getElementById('notation-staff');
+        this.transcript = document.getElementById('notation-transcript');
+        this.chordText = document.getElementById('notation-chord');
+
+        const keySelect = document.getElementById('notation-key');
+        KEY_SIGNATURES.forEach(key => keySelect.add(new Option(key.name, key.fifths)));
+        keySelect.value = this.fifths;
+        keySelect.addEventListener('change', (e) => {
+            this.fifths = parseInt(e.target.value);
+            this.save();
+            this.render();
+        });
+
+        const barsSelect = document.getElementById('notation-bars');
+        barsSelect.value = this.barsShown;
+        barsSelect.addEventListener('change', (e) => {
+            this.barsShown = parseInt(e.target.value);
+            this.save();
+            this.render();
+        });
+
+        document.getElementById('notation-clear-button').addEventListener('click', () => {
+            this.events = [];
+            this.transcriptStart = null;
+            this.render();
+        });
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                if (KEY_SIGNATURES.some(key => key.fifths === saved.fifths)) this.fifths = saved.fifths;
+                if ([2, 4, 8].includes(saved.barsShown)) this.barsShown = saved.barsShown;
+            }
+        } catch (error) {
+            console.error('Error reading notation settings from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ fifths: this.fifths, barsShown: this.barsShown }));
+        } catch (error) {
+            console.error('Error saving notation settings to localStorage:', error);
+        }
+    }
+
+    handleNote(type, event) {
+        const midi = noteToMidi(event.note, event.octave);
+        if (type === 'noteoff') {
+            this.heldNotes.delete(midi);
+            this.render();
+            return;
+        }
+
+        this.heldNotes.add(midi);
+        const now = performance.now() / 1000;
+        if (this.transcriptStart === null) this.transcriptStart = now;
+        const time = now - this.transcriptStart;
+
+        // Notes struck together are written as one chord
+        const last = this.events[this.events.length - 1];
+        if (last && time - last.time < CHORD_GROUP_TIME) {
+            last.midis.push(midi);
+        } else {
+            this.events.push({ time, midis: [midi], name: '' });
+        }
+        const held = describeNotes(Array.from(this.heldNotes), this.fifths);
+        this.events[this.events.length - 1].name = held.chord ? held.name : '';
+
+        this.render();
+    }
+
+    getBarLength() {
+        return 4 * 60 / this.audioEngine.tempo;
+    }
+
+    render() {
+        const held = describeNotes(Array.from(this.heldNotes), this.fifths);
+        this.chordText.textContent = held.name || '-';
+        this.renderStaff(held.notes);
+        this.renderTranscript();
+    }
+
+    // The held notes as one chord after the clefs and key signature
+    renderStaff(notes) {
+        const svg = this.staff;
+        svg.innerHTML = '';
+        const width = 200;
+        svg.setAttribute('viewBox', `0 0 ${width} ${STAFF_HEIGHT}`);
+
+        const start = this.drawStaves(svg, width);
+        this.drawChord(svg, start + (width - start) / 2, notes, note => note.accidental !== keySignatureAccidental(note.letter, this.fifths), false);
+    }
+
+    // The last few bars of notes, each chord placed by when it was played
+    renderTranscript() {
+        const svg = this.transcript;
+        svg.innerHTML = '';
+        const width = 800;
+        svg.setAttribute('viewBox', `0 0 ${width} ${STAFF_HEIGHT}`);
+
+        const start = this.drawStaves(svg, width);
+        const barLength = this.getBarLength();
+        const lastEvent = this.events[this.events.length - 1];
+        const currentBar = lastEvent ? Math.floor(lastEvent.time / barLength) : 0;
+        const firstBar = Math.max(0, currentBar - this.barsShown + 1);
+        const barWidth = (width - start - 4) / this.barsShown;
+
+        // Drop notes that have scrolled off
+        this.events = this.events.filter(event => event.time >= firstBar * barLength);
+
+        for (let bar = 0; bar < this.barsShown; bar++) {
+            const x = start + (bar + 1) * barWidth;
+            this.drawLine(svg, x, TREBLE_TOP, x, BASS_TOP + 4 * STAFF_SPACE, 1);
+            this.drawText(svg, start + bar * barWidth + 4, TREBLE_TOP - 4 * STAFF_SPACE, `${firstBar + bar + 1}`, 9, 'notation-bar-number');
+        }
+
+        // Accidentals last until the end of their bar
+        let bar = -1;
+        let barAccidentals = new Map();
+        let lastName = '';
+        this.events.forEach((event) => {
+            const eventBar = Math.floor(event.time / barLength);
+            if (eventBar !== bar) {
+                bar = eventBar;
+                barAccidentals = new Map();
+            }
+
+            const position = (event.time - eventBar * barLength) / barLength;
+            const x = start + (eventBar - firstBar) * barWidth + 18 + position * (barWidth - 28);
+            const { notes } = describeNotes(event.midis, this.fifths);
+            this.drawChord(svg, x, notes, (note) => {
+                const key = note.step;
+                const current = barAccidentals.has(key) ? barAccidentals.get(key) : keySignatureAccidental(note.letter, this.fifths);
+                barAccidentals.set(key, note.accidental);
+                return note.accidental !== current;
+            }, true);
+
+            if (event.name && event.name !== lastName) {
+                this.drawText(svg, x - 6, TREBLE_TOP - 2 * STAFF_SPACE, event.name, 11, 'notation-chord-label');
+            }
+            lastName = event.name;
+        });
+    }
+
+    // Grand staff with clefs and key signature; returns the x where notes can start
+    drawStaves(svg, width) {
+        [TREBLE_TOP, BASS_TOP].forEach((top) => {
+            for (let line = 0; line < 5; line++) {
+                this.drawLine(svg, 0, top + line * STAFF_SPACE, width, top + line * STAFF_SPACE, 1);
+            }
+        });
+        this.drawLine(svg, 0.5, TREBLE_TOP, 0.5, BASS_TOP + 4 * STAFF_SPACE, 1);
+
+        this.drawText(svg, 4, TREBLE_TOP + 4 * STAFF_SPACE + 6, '\u{1D11E}', 6 * STAFF_SPACE, 'notation-clef');
+        this.drawText(svg, 4, BASS_TOP + 3 * STAFF_SPACE + 2, '\u{1D122}', 4 * STAFF_SPACE, 'notation-clef');
+
+        // Sharps or flats in their usual places, the bass staff two octaves below the treble
+        const count = Math.abs(this.fifths);
+        const trebleSteps = this.fifths > 0 ? [38, 35, 39, 36, 33, 37, 34] : [34, 37, 33, 36, 32, 35, 31];
+        for (let i = 0; i < count; i++) {
+            const x = 36 + i * 8;
+            const glyph = ACCIDENTAL_GLYPHS[this.fifths > 0 ? 1 : -1];
+            this.drawAccidental(svg, x, this.stepY(trebleSteps[i], 'treble'), glyph);
+            this.drawAccidental(svg, x, this.stepY(trebleSteps[i] - 14, 'bass'), glyph);
+        }
+
+        return 44 + count * 8;
+    }
+
+    stepY(step, staff) {
+        return staff === 'treble'
+            ? TREBLE_TOP + (38 - step) * STAFF_SPACE / 2 // F5 is the top treble line
+            : BASS_TOP + (26 - step) * STAFF_SPACE / 2; // A3 is the top bass line
+    }
+
+    // Noteheads with ledger lines and accidentals; notes from middle C up go on the treble staff
+    drawChord(svg, x, notes, showAccidental, filled) {
+        const headWidth = STAFF_SPACE * 1.3;
+        ['treble', 'bass'].forEach((staff) => {
+            const staffNotes = notes.filter(note => (note.midi >= 60) === (staff === 'treble'));
+            if (staffNotes.length === 0) return;
+
+            // Ledger lines above and below the staff
+            const [bottomLine, topLine] = staff === 'treble' ? [30, 38] : [18, 26];
+            const lowest = staffNotes[0].step;
+            const highest = staffNotes[staffNotes.length - 1].step;
+            for (let step = bottomLine - 2; step >= lowest; step -= 2) {
+                const y = this.stepY(step, staff);
+                this.drawLine(svg, x - headWidth, y, x + headWidth * 2, y, 1);
+            }
+            for (let step = topLine + 2; step <= highest; step += 2) {
+                const y = this.stepY(step, staff);
+                this.drawLine(svg, x - headWidth, y, x + headWidth * 2, y, 1);
+            }
+
+            // A note a step above its neighbour goes on the other side of the stem
+            let previous = null;
+            const accidentals = [];
+            staffNotes.forEach((note) => {
+                const shifted = previous !== null && note.step - previous.step <= 1 && !previous.shifted;
+                previous = { step: note.step, shifted };
+                const y = this.stepY(note.step, staff);
+
+                const head = this.createElement('ellipse', {
+                    cx: x + (shifted ? headWidth : 0),
+                    cy: y,
+                    rx: headWidth / 2,
+                    ry: STAFF_SPACE * 0.42,
+                    transform: `rotate(-20 ${x + (shifted ? headWidth : 0)} ${y})`,
+                    class: filled ? 'notation-note filled' : 'notation-note'
+                });
+                svg.appendChild(head);
+
+                if (showAccidental(note)) {
+                    accidentals.push({ step: note.step, y, glyph: ACCIDENTAL_GLYPHS[note.accidental] });
+                }
+            });
+
+            // Stagger accidentals that would collide, top down
+            const placed = [];
+            accidentals.reverse().forEach((accidental) => {
+                let column = 0;
+                while (placed.some(other => other.column === column && Math.abs(other.step - accidental.step) < 6)) {
+                    column++;
+                }
+                placed.push({ ...accidental, column });
+                this.drawAccidental(svg, x - headWidth - 2 - column * 9, accidental.y, accidental.glyph);
+            });
+        });
+    }
+
+    drawAccidental(svg, x, y, glyph) {
+        this.drawText(svg, x - 4, y + STAFF_SPACE * 0.6, glyph, STAFF_SPACE * 2, 'notation-accidental');
+    }
+
+    drawLine(svg, x1, y1, x2, y2, width) {
+        svg.appendChild(this.createElement('line', { x1, y1, x2, y2, 'stroke-width': width, class: 'notation-line' }));
+    }
+
+    drawText(svg, x, y, text, size, className) {
+        const element = this.createElement('text', { x, y, 'font-size': size, class: className });
+        element.textContent = text;
+        svg.appendChild(element);
+    }
+
+    createElement(tag, attributes) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+}
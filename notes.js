@@ -0,0 +1,40 @@
+// Note helpers
+// Note names and MIDI note numbers, shared by the engine and every panel
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Convert note name and octave to a MIDI note number (A4 = 69)
+export function noteToMidi(note, octave) {
+    return (octave + 1) * 12 + NOTE_NAMES.indexOf(note);
+}
+
+// Convert a MIDI note number to note name and octave
+export function midiToNote(midi) {
+    return {
+        note: NOTE_NAMES[midi % 12],
+        octave: Math.floor(midi / 12) - 1
+    };
+}
+
+// Parse a note name like "C4", "F#2" or "Bb-1" to a MIDI note number (null if it isn't one)
+export function parseNoteName(text) {
+    const match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(text.trim());
+    if (!match) return null;
+
+    const [, letter, accidental, octave] = match;
+    const offset = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+    const midi = noteToMidi(letter.toUpperCase(), parseInt(octave)) + offset;
+    return midi >= 0 && midi <= 127 ? midi : null;
+}
+
+// Split a "note-octave" id such as "C#-4" back into { note, octave }. Only the first "-"
+// separates them, so negative octaves ("C--1") survive.
+export function parseNoteId(noteId) {
+    const separator = noteId.indexOf('-');
+    return { note: noteId.slice(0, separator), octave: parseInt(noteId.slice(separator + 1)) };
+}
+
+// Note name as a screen reader should say it, e.g. "C sharp 4"
+export function spokenNoteName(note, octave) {
+    return `${note[0]}${note.includes('#') ? ' sharp' : ''} ${octave}`;
+}
@@ -0,0 +1,526 @@
+// Presets
+// A patch is { format, version, name, settings } where settings come from AudioEngine.getSettings()
+
+import { NOTE_NAMES } from './notes.js';
+import { TEMPERAMENTS } from './tuning.js';
+import { SYNC_DIVISIONS } from './effects.js';
+import { LFO_WAVEFORMS, LFO_COUNT, MAX_BEND_RANGE } from './modulation.js';
+import { downloadBlob } from './controls.js';
+
+const PATCH_FORMAT = 'webkeys-patch';
+const PATCH_VERSION = 2;
+
+// Migrations from each older version to the next, keyed by the version they upgrade from
+const PATCH_MIGRATIONS = {
+    // Version 2 added tuning; older patches were always 12-TET at A=440
+    1: settings => ({
+        ...settings,
+        tuning: { referencePitch: 440, temperament: '12-tet', root: 'C', scale: null, keyboardMap: null }
+    })
+};
+
+// Allowed shape of each engine setting
+const PATCH_SCHEMA = {
+    waveform: { type: 'enum', values: ['sine', 'square', 'sawtooth', 'triangle'] },
+    volume: { type: 'number', min: 0, max: 1 },
+    octave: { type: 'integer', min: 0, max: 5 },
+    attack: { type: 'number', min: 0, max: 1000 },
+    decay: { type: 'number', min: 0, max: 2000 },
+    sustain: { type: 'number', min: 0, max: 1 },
+    release: { type: 'number', min: 0, max: 2000 },
+    envelopeCurve: { type: 'enum', values: ['linear', 'exponential'] },
+    maxPolyphony: { type: 'integer', min: 1, max: 32 },
+    stealMode: { type: 'enum', values: ['oldest', 'quietest'] },
+    tempo: { type: 'number', min: 40, max: 240 },
+    bendRange: { type: 'integer', min: 1, max: MAX_BEND_RANGE },
+    lfos: { type: 'lfos' },
+    effects: { type: 'effects' },
+    tuning: { type: 'tuning' }
+};
+
+// Factory presets only list what differs from the engine defaults
+export const FACTORY_PRESETS = [
+    { name: 'Init', settings: {} },
+    {
+        name: 'Soft Pad',
+        settings: {
+            waveform: 'triangle', attack: 600, decay: 800, sustain: 0.7, release: 1500,
+            effects: { effects: { chorus: { bypassed: false, mix: 0.5, params: {} }, reverb: { bypassed: false, mix: 0.45, params: { size: 4 } } } }
+        }
+    },
+    {
+        name: 'Pluck',
+        settings: {
+            waveform: 'sawtooth', attack: 0, decay: 250, sustain: 0, release: 300, envelopeCurve: 'exponential',
+            effects: { effects: { filter: { bypassed: false, mix: 1, params: { cutoff: 600, resonance: 4, envAmount: 3, envDecay: 250 } } } }
+        }
+    },
+    {
+        name: 'Organ',
+        settings: { waveform: 'square', attack: 10, decay: 0, sustain: 1, release: 80, volume: 0.35 }
+    },
+    {
+        name: 'Echo Lead',
+        settings: {
+            waveform: 'sawtooth', attack: 20, decay: 200, sustain: 0.8, release: 250,
+            effects: { effects: { delay: { bypassed: false, mix: 0.35, params: { sync: '1/8d', feedback: 0.45 } } } }
+        }
+    },
+    {
+        name: 'Tremolo Keys',
+        settings: {
+            waveform: 'triangle', attack: 5, decay: 1200, sustain: 0.4, release: 400,
+            lfos: [{ waveform: 'triangle', rate: 5, sync: '1/8', depths: { pitch: 0, amplitude: 0.5, filter: 0 } }]
+        }
+    },
+    {
+        name: 'Fuzz Bass',
+        settings: {
+            waveform: 'square', octave: 0, attack: 5, decay: 300, sustain: 0.6, release: 150,
+            effects: { effects: { distortion: { bypassed: false, mix: 1, params: { drive: 70, tone: 3000 } } } }
+        }
+    }
+];
+
+export class PresetManager {
+    constructor(audioEngine, controlPanel) {
+        this.audioEngine = audioEngine;
+        this.controlPanel = controlPanel;
+        this.storageKey = 'webkeys.presets';
+        this.defaults = audioEngine.getSettings(); // Engine settings before anything is loaded
+        this.userPresets = this.loadUserPresets();
+
+        this.initControls();
+        this.renderPresetList();
+
+        // Open a patch shared through the URL
+        this.loadFromHash();
+        window.addEventListener('hashchange', () => this.loadFromHash());
+    }
+
+    initControls() {
+        this.presetSelect = document.getElementById('preset-select');
+        this.nameInput = document.getElementById('preset-name');
+        this.statusText = document.getElementById('preset-status');
+
+        this.presetSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.loadPreset(e.target.value);
+            }
+        });
+
+        document.getElementById('preset-save-button').addEventListener('click', () => this.saveCurrent());
+        document.getElementById('preset-delete-button').addEventListener('click', () => this.deleteCurrent());
+        document.getElementById('preset-export-button').addEventListener('click', () => this.exportCurrent());
+        document.getElementById('preset-share-button').addEventListener('click', () => this.shareCurrent());
+
+        const fileInput = document.getElementById('preset-file-input');
+        document.getElementById('preset-import-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importFile(e.target.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    setStatus(text) {
+        this.statusText.textContent = text;
+    }
+
+    // Rebuild the preset dropdown with factory and user groups
+    renderPresetList(selected = '') {
+        this.presetSelect.innerHTML = '';
+        this.presetSelect.add(new Option('Choose a preset...', ''));
+
+        const factoryGroup = document.createElement('optgroup');
+        factoryGroup.label = 'Factory';
+        FACTORY_PRESETS.forEach((preset) => {
+            factoryGroup.appendChild(new Option(preset.name, `factory:${preset.name}`));
+        });
+        this.presetSelect.appendChild(factoryGroup);
+
+        const userNames = Object.keys(this.userPresets).sort();
+        if (userNames.length > 0) {
+            const userGroup = document.createElement('optgroup');
+            userGroup.label = 'My Presets';
+            userNames.forEach(name => userGroup.appendChild(new Option(name, `user:${name}`)));
+            this.presetSelect.appendChild(userGroup);
+        }
+
+        this.presetSelect.value = selected;
+    }
+
+    loadUserPresets() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            const presets = {};
+            Object.keys(stored).forEach((name) => {
+                try {
+                    presets[name] = this.normalizePatch(stored[name]);
+                } catch (error) {
+                    console.error(`Skipping invalid stored preset "${name}":`, error);
+                }
+            });
+            return presets;
+        } catch (error) {
+            console.error('Error reading presets from localStorage:', error);
+            return {};
+        }
+    }
+
+    saveUserPresets() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.userPresets));
+        } catch (error) {
+            console.error('Error saving presets to localStorage:', error);
+            this.setStatus('Could not save presets');
+        }
+    }
+
+    // Current engine state as a patch
+    createPatch(name) {
+        return {
+            format: PATCH_FORMAT,
+            version: PATCH_VERSION,
+            name,
+            settings: this.audioEngine.getSettings()
+        };
+    }
+
+    // Factory preset as a full patch (defaults plus its overrides)
+    getFactoryPatch(name) {
+        const preset = FACTORY_PRESETS.find(p => p.name === name);
+        if (!preset) return null;
+
+        const settings = this.mergeSettings(this.defaults, preset.settings);
+        return { format: PATCH_FORMAT, version: PATCH_VERSION, name: preset.name, settings };
+    }
+
+    // Deep merge of plain objects; arrays and values from `overrides` replace those in `base`
+    mergeSettings(base, overrides) {
+        const merged = { ...base };
+        Object.keys(overrides).forEach((key) => {
+            const value = overrides[key];
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            merged[key] = isObject && base[key] && typeof base[key] === 'object'
+                ? this.mergeSettings(base[key], value)
+                : value;
+        });
+        return merged;
+    }
+
+    loadPreset(value) {
+        const [source, ...rest] = value.split(':');
+        const name = rest.join(':');
+        const patch = source === 'factory' ? this.getFactoryPatch(name) : this.userPresets[name];
+        if (!patch) return;
+
+        this.applyPatch(patch);
+        this.nameInput.value = source === 'user' ? name : '';
+    }
+
+    applyPatch(patch) {
+        this.audioEngine.applySettings(patch.settings);
+        this.controlPanel.updateControls();
+        this.setStatus(`Loaded "${patch.name}"`);
+    }
+
+    saveCurrent() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.setStatus('Enter a name to save');
+            this.nameInput.focus();
+            return;
+        }
+
+        this.userPresets[name] = this.createPatch(name);
+        this.saveUserPresets();
+        this.renderPresetList(`user:${name}`);
+        this.setStatus(`Saved "${name}"`);
+    }
+
+    deleteCurrent() {
+        const value = this.presetSelect.value;
+        if (!value.startsWith('user:')) {
+            this.setStatus('Only your own presets can be deleted');
+            return;
+        }
+
+        const name = value.slice('user:'.length);
+        delete this.userPresets[name];
+        this.saveUserPresets();
+        this.renderPresetList();
+        this.setStatus(`Deleted "${name}"`);
+    }
+
+    exportCurrent() {
+        const name = this.nameInput.value.trim() || 'WebKeys Patch';
+        const json = JSON.stringify(this.createPatch(name), null, 2);
+        const filename = `${name.replace(/[^a-z0-9-_]+/gi, '_')}.webkeys.json`;
+        downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    }
+
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            // Accept a single patch or a list of patches
+            // Every patch is validated, and the last one applied, before any is kept
+            const patches = (Array.isArray(data) ? data : [data]).map(patch => this.normalizePatch(patch));
+            const last = patches[patches.length - 1];
+            this.applyPatch(last);
+
+            patches.forEach((patch) => {
+                this.userPresets[patch.name] = patch;
+            });
+            this.saveUserPresets();
+
+            this.renderPresetList(`user:${last.name}`);
+            this.nameInput.value = last.name;
+        } catch (error) {
+            console.error('Error importing preset:', error);
+            this.setStatus(`Import failed: ${error.message}`);
+        }
+    }
+
+    // Put the current patch in the URL hash and copy the link
+    async shareCurrent() {
+        const name = this.nameInput.value.trim() || 'Shared Patch';
+        const hash = `patch=${this.encodePatch(this.createPatch(name))}`;
+        history.replaceState(null, '', `#${hash}`);
+
+        try {
+            await navigator.clipboard.writeText(location.href);
+            this.setStatus('Link copied to clipboard');
+        } catch (error) {
+            this.setStatus('Link is in the address bar');
+        }
+    }
+
+    loadFromHash() {
+        const match = location.hash.match(/patch=([A-Za-z0-9_-]+)/);
+        if (!match) return;
+
+        try {
+            const patch = this.normalizePatch(this.decodePatch(match[1]));
+            this.applyPatch(patch);
+            this.nameInput.value = patch.name;
+        } catch (error) {
+            console.error('Error loading patch from URL:', error);
+            this.setStatus('The shared patch link is invalid');
+        }
+    }
+
+    // URL-safe base64 of the patch JSON
+    encodePatch(patch) {
+        const bytes = new TextEncoder().encode(JSON.stringify(patch));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodePatch(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    // Validate, migrate and fill in a patch from storage, a file or a URL
+    normalizePatch(patch) {
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+            throw new Error('Patch must be an object');
+        }
+        if (patch.format !== undefined && patch.format !== PATCH_FORMAT) {
+            throw new Error(`Unknown patch format "${patch.format}"`);
+        }
+        if (!patch.settings || typeof patch.settings !== 'object') {
+            throw new Error('Patch has no settings');
+        }
+
+        const version = patch.version === undefined ? 1 : patch.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid patch version "${patch.version}"`);
+        }
+        if (version > PATCH_VERSION) {
+            throw new Error(`Patch version ${version} is newer than this app supports (${PATCH_VERSION})`);
+        }
+
+        let settings = patch.settings;
+        for (let from = version; from < PATCH_VERSION; from++) {
+            settings = PATCH_MIGRATIONS[from](settings);
+        }
+
+        this.validateSettings(settings);
+
+        return {
+            format: PATCH_FORMAT,
+            version: PATCH_VERSION,
+            name: typeof patch.name === 'string' && patch.name.trim() ? patch.name.trim() : 'Untitled',
+            settings: this.mergeSettings(this.defaults, settings)
+        };
+    }
+
+    // Throw if any known setting is out of range or the wrong type
+    validateSettings(settings) {
+        const problems = [];
+
+        Object.keys(PATCH_SCHEMA).forEach((key) => {
+            if (!(key in settings)) return; // Missing settings fall back to defaults
+            const rule = PATCH_SCHEMA[key];
+            const value = settings[key];
+
+            if (rule.type === 'enum' && !rule.values.includes(value)) {
+                problems.push(`${key} must be one of ${rule.values.join(', ')}`);
+            } else if (rule.type === 'number' || rule.type === 'integer') {
+                const isValid = typeof value === 'number' && Number.isFinite(value) &&
+                    (rule.type === 'number' || Number.isInteger(value));
+                if (!isValid || value < rule.min || value > rule.max) {
+                    problems.push(`${key} must be a ${rule.type} from ${rule.min} to ${rule.max}`);
+                }
+            } else if (rule.type === 'effects') {
+                problems.push(...this.validateEffects(value));
+            } else if (rule.type === 'tuning') {
+                problems.push(...this.validateTuning(value));
+            } else if (rule.type === 'lfos') {
+                problems.push(...this.validateLfos(value));
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+    }
+
+    validateTuning(tuning) {
+        const problems = [];
+        if (!tuning || typeof tuning !== 'object') {
+            return ['tuning must be an object'];
+        }
+        if (typeof tuning.referencePitch !== 'number' || tuning.referencePitch < 100 || tuning.referencePitch > 1000) {
+            problems.push('tuning.referencePitch must be a number from 100 to 1000');
+        }
+        if (!NOTE_NAMES.includes(tuning.root)) {
+            problems.push('tuning.root must be a note name');
+        }
+        if (tuning.temperament !== 'scala' && !TEMPERAMENTS[tuning.temperament]) {
+            problems.push(`tuning.temperament must be one of ${Object.keys(TEMPERAMENTS).join(', ')}, scala`);
+        }
+
+        const scale = tuning.scale;
+        const hasScale = scale && Array.isArray(scale.cents) && scale.cents.length > 0 &&
+            scale.cents.every(cents => typeof cents === 'number' && Number.isFinite(cents));
+        if (scale !== null && scale !== undefined && !hasScale) {
+            problems.push('tuning.scale must list its cents values');
+        }
+        if (tuning.temperament === 'scala' && !hasScale) {
+            problems.push('tuning.scale is required for the scala temperament');
+        }
+
+        const map = tuning.keyboardMap;
+        if (map !== null && map !== undefined) {
+            const fields = ['size', 'firstNote', 'lastNote', 'middleNote', 'referenceNote', 'octaveDegree'];
+            // The mapping needs an entry (or null) for every key in the pattern
+            const isValid = fields.every(field => Number.isInteger(map[field])) && map.size >= 0 &&
+                typeof map.referenceFrequency === 'number' && map.referenceFrequency > 0 &&
+                Array.isArray(map.mapping) && map.mapping.length === map.size &&
+                map.mapping.every(entry => entry === null || Number.isInteger(entry));
+            if (!isValid) {
+                problems.push('tuning.keyboardMap is not a valid keyboard mapping');
+            }
+        }
+
+        return problems;
+    }
+
+    validateEffects(effects) {
+        const problems = [];
+        if (!effects || typeof effects !== 'object') {
+            return ['effects must be an object'];
+        }
+        if (effects.order !== undefined) {
+            const rack = this.audioEngine.effectsRack;
+            if (!Array.isArray(effects.order) || !effects.order.every(id => typeof id === 'string' && rack.getEffect(id))) {
+                problems.push('effects.order must be a list of effect names');
+            } else if (new Set(effects.order).size !== effects.order.length) {
+                problems.push('effects.order must list each effect only once');
+            }
+        }
+
+        Object.keys(effects.effects || {}).forEach((id) => {
+            const effect = effects.effects[id];
+            if (!effect || typeof effect !== 'object') {
+                problems.push(`effects.${id} must be an object`);
+                return;
+            }
+            if (effect.bypassed !== undefined && typeof effect.bypassed !== 'boolean') {
+                problems.push(`effects.${id}.bypassed must be true or false`);
+            }
+            if (effect.mix !== undefined && (typeof effect.mix !== 'number' || effect.mix < 0 || effect.mix > 1)) {
+                problems.push(`effects.${id}.mix must be a number from 0 to 1`);
+            }
+            if (effect.params !== undefined && (typeof effect.params !== 'object' || effect.params === null)) {
+                problems.push(`effects.${id}.params must be an object`);
+                return;
+            }
+            problems.push(...this.validateEffectParams(id, effect.params || {}));
+        });
+
+        return problems;
+    }
+
+    // Check parameter values against the effect's own definitions; the rack ignores effects and
+    // parameters it doesn't know, so those are left alone
+    validateEffectParams(id, params) {
+        const known = this.audioEngine.effectsRack.getEffect(id);
+        if (!known) return [];
+
+        const problems = [];
+        Object.keys(params).forEach((param) => {
+            const def = known.paramDefs.find(candidate => candidate.id === param);
+            if (!def) return;
+
+            const value = params[param];
+            if (def.options) {
+                if (!def.options.some(option => option.value === value)) {
+                    problems.push(`effects.${id}.params.${param} must be one of ${def.options.map(option => option.value).join(', ')}`);
+                }
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value < def.min || value > def.max) {
+                problems.push(`effects.${id}.params.${param} must be a number from ${def.min} to ${def.max}`);
+            }
+        });
+        return problems;
+    }
+
+    // Each listed LFO must be complete; LFOs left off the list go back to their defaults
+    validateLfos(lfos) {
+        if (!Array.isArray(lfos) || lfos.length > LFO_COUNT) {
+            return [`lfos must be a list of up to ${LFO_COUNT} LFOs`];
+        }
+
+        const problems = [];
+        const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+        lfos.forEach((lfo, index) => {
+            if (!lfo || typeof lfo !== 'object') {
+                problems.push(`lfos[${index}] must be an object`);
+                return;
+            }
+            if (!LFO_WAVEFORMS.includes(lfo.waveform)) {
+                problems.push(`lfos[${index}].waveform must be one of ${LFO_WAVEFORMS.join(', ')}`);
+            }
+            if (!inRange(lfo.rate, 0.1, 20)) {
+                problems.push(`lfos[${index}].rate must be a number from 0.1 to 20`);
+            }
+            if (lfo.sync !== 'off' && !SYNC_DIVISIONS[lfo.sync]) {
+                problems.push(`lfos[${index}].sync must be off or one of ${Object.keys(SYNC_DIVISIONS).join(', ')}`);
+            }
+            const depths = lfo.depths || {};
+            if (!inRange(depths.pitch, 0, 1200) || !inRange(depths.amplitude, 0, 1) || !inRange(depths.filter, 0, 4800)) {
+                problems.push(`lfos[${index}].depths must give pitch (0-1200 cents), amplitude (0-1) and filter (0-4800 cents)`);
+            }
+        });
+
+        return problems;
+    }
+}
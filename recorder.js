@@ -0,0 +1,334 @@
+// Performance Recorder
+// Records what's played on the keyboard as takes and plays them back through the keyboard zones
+
+import { Scheduler } from './scheduler.js';
+
+export class PerformanceRecorder {
+    constructor(audioEngine, keyboardManager, keyboardZones) {
+        this.audioEngine = audioEngine;
+        this.keyboardManager = keyboardManager;
+        this.keyboardZones = keyboardZones; // Playback sounds in the zones like the live keyboard
+        this.takes = []; // Each take: { events: [{ time, type, note, octave, velocity }], duration }
+        this.currentTake = null; // Take being recorded
+        this.recordStart = 0; // Audio clock time that take times are measured from
+        this.isRecording = false;
+        this.isPlaying = false;
+        this.loop = false;
+        this.length = 0; // Sequence length in seconds (longest take)
+        this.heldNotes = new Map(); // Notes held while recording, by noteId
+        this.playingNotes = new Map(); // noteId -> { note, octave, voices } for voices playback started
+
+        // Playback position
+        this.playEvents = [];
+        this.playStart = 0;
+        this.loopOffset = 0;
+        this.eventIndex = 0;
+
+        this.scheduler = new Scheduler(audioEngine, (windowStart, windowEnd) => {
+            this.scheduleEvents(windowStart, windowEnd);
+        });
+
+        this.keyboardManager.addNoteListener((type, event) => this.recordEvent(type, event));
+
+        this.initControls();
+        this.updateStatus();
+    }
+
+    initControls() {
+        this.recordButton = document.getElementById('record-button');
+        this.playButton = document.getElementById('play-button');
+        this.statusText = document.getElementById('recorder-status');
+
+        this.recordButton.addEventListener('click', () => this.record());
+        this.playButton.addEventListener('click', () => this.play());
+        document.getElementById('stop-button').addEventListener('click', () => this.stop());
+        document.getElementById('undo-button').addEventListener('click', () => this.undo());
+        document.getElementById('clear-button').addEventListener('click', () => this.clear());
+        document.getElementById('loop-toggle').addEventListener('change', (e) => {
+            this.loop = e.target.checked;
+        });
+    }
+
+    getCurrentTime() {
+        return this.audioEngine.audioContext.currentTime;
+    }
+
+    // Start recording a new take; existing takes play underneath (overdub)
+    record() {
+        if (this.isRecording) return;
+
+        this.audioEngine.resumeContext();
+
+        if (this.takes.length > 0 && !this.isPlaying) {
+            this.play();
+        }
+
+        this.isRecording = true;
+        this.currentTake = { events: [], duration: 0 };
+        this.recordStart = this.isPlaying ? this.playStart : this.getCurrentTime();
+        this.updateStatus();
+    }
+
+    // Capture a note event from the keyboard into the current take
+    recordEvent(type, event) {
+        if (!this.isRecording) return;
+
+        const noteId = `${event.note}-${event.octave}`;
+        const time = Math.max(0, this.getCurrentTime() - this.recordStart);
+
+        if (type === 'noteon') {
+            this.heldNotes.set(noteId, { note: event.note, octave: event.octave });
+        } else if (this.heldNotes.has(noteId)) {
+            this.heldNotes.delete(noteId);
+        } else {
+            return; // Note was already held before recording started
+        }
+
+        this.currentTake.events.push({
+            time,
+            type,
+            note: event.note,
+            octave: event.octave,
+            velocity: event.velocity
+        });
+    }
+
+    // Finish the current take and add it to the stack
+    stopRecording() {
+        if (!this.isRecording) return;
+
+        const endTime = Math.max(0, this.getCurrentTime() - this.recordStart);
+
+        // Close any notes still held
+        this.heldNotes.forEach(({ note, octave }) => {
+            this.currentTake.events.push({ time: endTime, type: 'noteoff', note, octave, velocity: 0 });
+        });
+        this.heldNotes.clear();
+
+        const take = this.currentTake;
+        take.duration = endTime;
+
+        // Overdubs on a loop are folded back into the loop length
+        if (this.loop && this.length > 0 && this.takes.length > 0) {
+            take.events = this.foldIntoLoop(take.events, this.length);
+            take.duration = this.length;
+        }
+
+        this.isRecording = false;
+        this.currentTake = null;
+
+        if (take.events.length > 0) {
+            this.takes.push(take);
+            this.refreshPlayback();
+        }
+        this.updateStatus();
+    }
+
+    // Wrap note on/off pairs recorded over several loop passes into a single pass
+    foldIntoLoop(events, length) {
+        const folded = [];
+        const openNotes = new Map();
+
+        events.forEach((event) => {
+            const noteId = `${event.note}-${event.octave}`;
+            if (event.type === 'noteon') {
+                openNotes.set(noteId, event);
+                return;
+            }
+
+            const noteOn = openNotes.get(noteId);
+            if (!noteOn) return;
+            openNotes.delete(noteId);
+
+            const start = noteOn.time % length;
+            const end = Math.min(start + (event.time - noteOn.time), length);
+            folded.push({ ...noteOn, time: start });
+            folded.push({ ...event, time: end });
+        });
+
+        return this.sortEvents(folded);
+    }
+
+    // Sort by time, with note offs before note ons at the same instant
+    sortEvents(events) {
+        return events.sort((a, b) => {
+            if (a.time !== b.time) return a.time - b.time;
+            return a.type === 'noteoff' ? -1 : b.type === 'noteoff' ? 1 : 0;
+        });
+    }
+
+    // Merge every take into one playback list
+    buildPlayEvents() {
+        this.length = this.takes.reduce((max, take) => Math.max(max, take.duration), 0);
+        return this.sortEvents(this.takes.flatMap(take => take.events));
+    }
+
+    play() {
+        if (this.isPlaying || this.takes.length === 0) return;
+
+        this.audioEngine.resumeContext();
+
+        this.playEvents = this.buildPlayEvents();
+        this.playStart = this.getCurrentTime() + 0.05;
+        this.loopOffset = 0;
+        this.eventIndex = 0;
+        this.isPlaying = true;
+
+        this.scheduler.start();
+        this.updateStatus();
+    }
+
+    // Schedule every event that falls within the scheduler's window
+    scheduleEvents(windowStart, windowEnd) {
+        while (true) {
+            if (this.eventIndex >= this.playEvents.length) {
+                const endTime = this.playStart + this.loopOffset + this.length;
+
+                if (this.loop && this.length > 0) {
+                    if (endTime >= windowEnd) return;
+                    // Wrap around to the start of the sequence
+                    this.eventIndex = 0;
+                    this.loopOffset += this.length;
+                    continue;
+                }
+
+                this.scheduler.stop();
+                this.scheduler.runAt(endTime, () => this.stopPlayback());
+                return;
+            }
+
+            const event = this.playEvents[this.eventIndex];
+            const time = this.playStart + this.loopOffset + event.time;
+            if (time >= windowEnd) return;
+
+            this.scheduleEvent(event, Math.max(time, this.getCurrentTime()));
+            this.eventIndex++;
+        }
+    }
+
+    scheduleEvent(event, time) {
+        const { note, octave } = event;
+        const noteId = `${note}-${octave}`;
+
+        // Only voices playback started are released, so a note the player is holding at the same
+        // pitch (e.g. while overdubbing) keeps sounding
+        if (event.type === 'noteon') {
+            const voices = this.keyboardZones.playVoices(note, octave, event.velocity, time);
+            if (voices.length === 0) return;
+            this.playingNotes.set(noteId, { note, octave, voices });
+            this.scheduler.runAt(time, () => this.keyboardManager.setKeyHighlight(note, octave, true));
+        } else {
+            const playing = this.playingNotes.get(noteId);
+            if (!playing) return;
+            playing.voices.forEach(voice => voice.release(time));
+            this.playingNotes.delete(noteId);
+            this.scheduler.runAt(time, () => this.keyboardManager.setKeyHighlight(note, octave, false));
+        }
+    }
+
+    // Pick up changed takes mid-playback without restarting
+    refreshPlayback() {
+        if (!this.isPlaying) return;
+
+        this.playEvents = this.buildPlayEvents();
+
+        const position = this.scheduler.scheduledUntil - this.playStart - this.loopOffset;
+        this.eventIndex = this.playEvents.findIndex(event => event.time >= position);
+        if (this.eventIndex === -1) {
+            this.eventIndex = this.playEvents.length;
+        }
+        if (!this.scheduler.isRunning() && this.loop) {
+            this.scheduler.start();
+        }
+    }
+
+    stopPlayback() {
+        this.scheduler.stop();
+        this.scheduler.cancelPending();
+        this.stopPlayingNotes();
+
+        this.isPlaying = false;
+        this.updateStatus();
+    }
+
+    stop() {
+        this.stopRecording();
+        this.stopPlayback();
+    }
+
+    // Remove the last take (or abandon the one being recorded)
+    undo() {
+        if (this.isRecording) {
+            this.isRecording = false;
+            this.currentTake = null;
+            this.heldNotes.clear();
+        } else {
+            this.takes.pop();
+        }
+
+        if (this.takes.length === 0) {
+            this.stopPlayback();
+            this.length = 0;
+        } else {
+            // Drop the key highlights queued for notes already scheduled, as stopPlayback does. That
+            // also drops a queued end of playback, so a finished scheduler is restarted to queue it again.
+            this.scheduler.cancelPending();
+            this.stopPlayingNotes();
+            this.refreshPlayback();
+            if (this.isPlaying && !this.scheduler.isRunning()) {
+                this.scheduler.start();
+            }
+        }
+        this.updateStatus();
+    }
+
+    // Replace all takes with a single imported sequence
+    loadSequence(events, duration) {
+        this.stop();
+        this.takes = [{ events: this.sortEvents(events.slice()), duration }];
+        this.length = duration;
+        this.updateStatus();
+    }
+
+    // All takes merged into one sequence: { events, duration }
+    getSequence() {
+        const events = this.buildPlayEvents();
+        return { events, duration: this.length };
+    }
+
+    // Note events of each take, one list per take
+    getTracks() {
+        return this.takes.map(take => take.events);
+    }
+
+    clear() {
+        this.stop();
+        this.takes = [];
+        this.length = 0;
+        this.updateStatus();
+    }
+
+    // Release notes currently sounding from playback
+    stopPlayingNotes() {
+        const now = this.getCurrentTime();
+        this.playingNotes.forEach(({ note, octave, voices }) => {
+            voices.forEach(voice => voice.release(now));
+            this.keyboardManager.setKeyHighlight(note, octave, false);
+        });
+        this.playingNotes.clear();
+    }
+
+    updateStatus() {
+        let state = 'Stopped';
+        if (this.isRecording) {
+            state = this.takes.length > 0 ? 'Overdubbing' : 'Recording';
+        } else if (this.isPlaying) {
+            state = 'Playing';
+        }
+
+        const takes = `${this.takes.length} take${this.takes.length === 1 ? '' : 's'}`;
+        this.statusText.textContent = `${state} | ${takes} | ${this.length.toFixed(1)}s`;
+        this.recordButton.classList.toggle('active', this.isRecording);
+        this.playButton.classList.toggle('active', this.isPlaying);
+    }
+}
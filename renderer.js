@@ -0,0 +1,190 @@
+// WAV Renderer
+// Renders the recorder's sequence faster than realtime through an OfflineAudioContext
+// using a second AudioEngine configured like the live one, plus an offline zone B engine
+
+import { AudioEngine } from './engine.js';
+import { KeyboardZones } from './zones.js';
+import { downloadBlob } from './controls.js';
+
+export class WavRenderer {
+    constructor(audioEngine, recorder, keyboardZones) {
+        this.audioEngine = audioEngine;
+        this.recorder = recorder;
+        this.keyboardZones = keyboardZones;
+        this.isRendering = false;
+        this.cancelled = false;
+        this.progressSteps = 100; // Number of progress updates per render
+
+        this.initControls();
+    }
+
+    initControls() {
+        this.renderButton = document.getElementById('render-button');
+        this.cancelButton = document.getElementById('render-cancel-button');
+        this.progressBar = document.getElementById('render-progress');
+        this.statusText = document.getElementById('render-status');
+        this.sampleRateSelect = document.getElementById('render-sample-rate');
+        this.bitDepthSelect = document.getElementById('render-bit-depth');
+
+        this.renderButton.addEventListener('click', () => {
+            this.renderToFile(parseInt(this.sampleRateSelect.value), parseInt(this.bitDepthSelect.value));
+        });
+        this.cancelButton.addEventListener('click', () => this.cancel());
+        this.cancelButton.disabled = true;
+    }
+
+    async renderToFile(sampleRate, bitDepth) {
+        if (this.isRendering) return;
+
+        const sequence = this.recorder.getSequence();
+        if (sequence.events.length === 0) {
+            alert('Nothing recorded to render yet');
+            return;
+        }
+
+        this.setRendering(true);
+        this.setProgress(0, 'Rendering...');
+
+        try {
+            const buffer = await this.render(sequence, sampleRate);
+            if (buffer) {
+                const wav = WavRenderer.encodeWav(buffer, bitDepth);
+                downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'webkeys-performance.wav');
+                this.setProgress(1, 'Done');
+            } else {
+                this.setProgress(0, 'Cancelled');
+            }
+        } catch (error) {
+            console.error('Error rendering audio:', error);
+            this.setProgress(0, 'Render failed');
+        } finally {
+            this.setRendering(false);
+        }
+    }
+
+    // Render a sequence to an AudioBuffer, or null if cancelled
+    render(sequence, sampleRate) {
+        const settings = this.audioEngine.getSettings();
+        const zoneSettings = this.keyboardZones.getSettings();
+        // Let the last notes and any effect tails ring out
+        const release = Math.max(settings.release, zoneSettings.patch.release);
+        const tail = release / 1000 + this.audioEngine.effectsRack.getTailTime() + 0.5;
+        const duration = sequence.duration + tail;
+        const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        const engine = new AudioEngine(context);
+        engine.applySettings(settings);
+        engine.setInstrument(this.audioEngine.instrument); // Sample buffers can be shared between contexts
+
+        // Zones laid out like the live ones, with zone B on its own offline engine
+        const zones = new KeyboardZones(null, new AudioEngine(context, engine));
+        zones.applySettings(zoneSettings);
+
+        const playing = new Map(); // noteId -> voices started
+        sequence.events.forEach((event) => {
+            const noteId = `${event.note}-${event.octave}`;
+            if (event.type === 'noteon') {
+                // A key already sounding is left as it is, as on the live keyboard
+                if (playing.has(noteId)) return;
+                playing.set(noteId, zones.playVoices(event.note, event.octave, event.velocity, event.time));
+            } else if (playing.has(noteId)) {
+                playing.get(noteId).forEach(voice => voice.release(event.time));
+                playing.delete(noteId);
+            }
+        });
+
+        this.cancelled = false;
+
+        return new Promise((resolve, reject) => {
+            // Suspend at regular points to report progress and allow cancelling
+            if (typeof context.suspend === 'function') {
+                const step = duration / this.progressSteps;
+                for (let i = 1; i < this.progressSteps; i++) {
+                    const time = i * step;
+                    context.suspend(time).then(() => {
+                        if (this.cancelled) {
+                            // Leave the context suspended; it's garbage collected once dropped
+                            resolve(null);
+                            return;
+                        }
+                        this.setProgress(time / duration, 'Rendering...');
+                        context.resume();
+                    });
+                }
+            }
+
+            context.startRendering().then(resolve, reject);
+        });
+    }
+
+    cancel() {
+        if (this.isRendering) {
+            this.cancelled = true;
+        }
+    }
+
+    setRendering(isRendering) {
+        this.isRendering = isRendering;
+        this.renderButton.disabled = isRendering;
+        this.cancelButton.disabled = !isRendering;
+    }
+
+    setProgress(fraction, status) {
+        this.progressBar.value = fraction;
+        this.statusText.textContent = status;
+    }
+
+    // Encode an AudioBuffer as interleaved PCM WAV (16 or 24 bit)
+    static encodeWav(buffer, bitDepth) {
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = buffer.length * blockAlign;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(buffer.getChannelData(channel));
+        }
+
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                const value = Math.round(sample * maxValue);
+
+                if (bitDepth === 24) {
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                } else {
+                    view.setInt16(offset, value, true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return view.buffer;
+    }
+}
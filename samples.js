@@ -0,0 +1,296 @@
+// Sample Instruments
+// Multisampled instruments built from local audio files. Each zone maps a sample to a key and
+// velocity range with the note it was recorded at, and optional loop points.
+
+import { NOTE_NAMES } from './notes.js';
+
+let nextInstrumentId = 1;
+
+class SampleInstrument {
+    constructor(name, zones) {
+        this.id = `sample-${nextInstrumentId++}`;
+        this.name = name;
+        // Zones: { name, buffer, rootNote, lowKey, highKey, lowVelocity, highVelocity, loop, loopStart, loopEnd }
+        // with keys as MIDI notes, velocities 1-127 and loop points in seconds
+        this.zones = zones;
+    }
+
+    // Zone for a MIDI note and velocity (0-1), falling back to the nearest zone if none cover it
+    findZone(midi, velocity) {
+        if (this.zones.length === 0) return null;
+
+        const level = Math.max(1, Math.round(velocity * 127));
+        const inRange = this.zones.filter(zone => midi >= zone.lowKey && midi <= zone.highKey);
+        const candidates = inRange.length > 0 ? inRange : this.zones;
+
+        // Prefer the right velocity layer, then the closest root note
+        const score = zone => (level >= zone.lowVelocity && level <= zone.highVelocity ? 0 : 1000) +
+            Math.abs(midi - zone.rootNote);
+        return candidates.reduce((best, zone) => (score(zone) < score(best) ? zone : best));
+    }
+
+    // Lay samples out across the keyboard: one velocity layer per distinct velocity, and key
+    // ranges split halfway between neighbouring root notes within each layer
+    static autoMap(name, samples) {
+        const velocities = Array.from(new Set(samples.map(sample => sample.velocity))).sort((a, b) => a - b);
+        const zones = [];
+
+        velocities.forEach((velocity, layer) => {
+            const lowVelocity = layer === 0 ? 1 : velocities[layer - 1] + 1;
+            const highVelocity = layer === velocities.length - 1 ? 127 : velocity;
+            const layerSamples = samples.filter(sample => sample.velocity === velocity)
+                .sort((a, b) => a.rootNote - b.rootNote);
+
+            layerSamples.forEach((sample, index) => {
+                const previous = layerSamples[index - 1];
+                const next = layerSamples[index + 1];
+                zones.push({
+                    name: sample.name,
+                    buffer: sample.buffer,
+                    rootNote: sample.rootNote,
+                    lowKey: previous ? Math.floor((previous.rootNote + sample.rootNote) / 2) + 1 : 0,
+                    highKey: next ? Math.floor((sample.rootNote + next.rootNote) / 2) : 127,
+                    lowVelocity,
+                    highVelocity,
+                    loop: sample.loopEnd > sample.loopStart,
+                    loopStart: sample.loopStart,
+                    loopEnd: sample.loopEnd
+                });
+            });
+        });
+
+        return new SampleInstrument(name, zones);
+    }
+
+    // Root note from a file name such as "Piano_C#4_v80.wav", or null
+    static rootFromFilename(filename) {
+        const matches = Array.from(filename.replace(/\.[^.]*$/, '').matchAll(/(?:^|[^A-Za-z])([A-Ga-g])([#b]?)(-?\d)(?!\d)/g));
+        if (matches.length === 0) return null;
+
+        const [, letter, accidental, octave] = matches[matches.length - 1];
+        const semitone = NOTE_NAMES.indexOf(letter.toUpperCase()) + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+        const midi = (parseInt(octave) + 1) * 12 + semitone;
+        return midi >= 0 && midi <= 127 ? midi : null;
+    }
+
+    // Velocity (1-127) from a file name such as "Piano_C4_v80.wav", or null
+    static velocityFromFilename(filename) {
+        const match = filename.match(/(?:^|[^A-Za-z])v(?:el)?(\d{1,3})(?!\d)/i);
+        if (!match) return null;
+        const velocity = parseInt(match[1]);
+        return velocity >= 1 && velocity <= 127 ? velocity : null;
+    }
+
+    // Root note and first loop from a WAV file's 'smpl' chunk, if it has one
+    static parseWavMetadata(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const metadata = { rootNote: null, loopStart: 0, loopEnd: 0 };
+        const readId = offset => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+
+        if (arrayBuffer.byteLength < 12 || readId(0) !== 'RIFF' || readId(8) !== 'WAVE') {
+            return metadata;
+        }
+
+        let sampleRate = 0;
+        let offset = 12;
+        while (offset + 8 <= arrayBuffer.byteLength) {
+            const id = readId(offset);
+            const size = view.getUint32(offset + 4, true);
+            const data = offset + 8;
+
+            if (id === 'fmt ' && size >= 8) {
+                sampleRate = view.getUint32(data + 4, true);
+            } else if (id === 'smpl' && size >= 36 && data + 36 <= arrayBuffer.byteLength) {
+                metadata.rootNote = Math.min(127, view.getUint32(data + 12, true));
+                const loops = view.getUint32(data + 28, true);
+                if (loops > 0 && sampleRate > 0 && data + 60 <= arrayBuffer.byteLength) {
+                    // Loop start and (inclusive) end are in sample frames
+                    metadata.loopStart = view.getUint32(data + 44, true) / sampleRate;
+                    metadata.loopEnd = (view.getUint32(data + 48, true) + 1) / sampleRate;
+                }
+            }
+
+            offset = data + size + (size % 2); // Chunks are padded to an even length
+        }
+
+        return metadata;
+    }
+}
+
+// Sample Library
+// Loads audio files as instruments, lists them in the waveform/instrument control and edits zones
+export class SampleLibrary {
+    constructor(audioEngine, controlPanel) {
+        this.audioEngine = audioEngine;
+        this.controlPanel = controlPanel;
+        this.initControls();
+        this.update();
+    }
+
+    initControls() {
+        this.waveformSelect = document.getElementById('waveform');
+        this.statusText = document.getElementById('sample-status');
+        this.zoneTable = document.getElementById('sample-zones');
+        this.removeButton = document.getElementById('sample-remove-button');
+
+        const fileInput = document.getElementById('sample-file-input');
+        document.getElementById('sample-load-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            this.loadFiles(files);
+        });
+
+        this.removeButton.addEventListener('click', () => {
+            if (!this.audioEngine.instrument) return;
+            this.audioEngine.removeInstrument(this.audioEngine.instrument);
+            this.controlPanel.updateControls();
+        });
+
+        this.waveformSelect.addEventListener('change', () => this.update());
+
+        // Accept audio files dropped anywhere on the page
+        document.addEventListener('drop', (e) => {
+            const files = Array.from(e.dataTransfer.files).filter(file => SampleLibrary.isAudioFile(file));
+            if (files.length > 0) {
+                e.preventDefault();
+                this.loadFiles(files);
+            }
+        });
+    }
+
+    static isAudioFile(file) {
+        if (/\.midi?$/i.test(file.name)) return false; // Handled by the MIDI file import
+        return file.type.startsWith('audio/') || /\.(wav|aiff?|flac|ogg|mp3|m4a)$/i.test(file.name);
+    }
+
+    // Decode files into a new instrument and select it
+    async loadFiles(files) {
+        if (files.length === 0) return;
+        this.setStatus(`Loading ${files.length} file${files.length === 1 ? '' : 's'}...`);
+
+        const samples = [];
+        for (const file of files) {
+            try {
+                const data = await file.arrayBuffer();
+                const metadata = SampleInstrument.parseWavMetadata(data);
+                // decodeAudioData detaches the buffer, so metadata is read first
+                const buffer = await this.audioEngine.audioContext.decodeAudioData(data);
+                samples.push({
+                    name: file.name,
+                    buffer,
+                    rootNote: metadata.rootNote ?? SampleInstrument.rootFromFilename(file.name) ?? 60,
+                    velocity: SampleInstrument.velocityFromFilename(file.name) ?? 127,
+                    loopStart: metadata.loopStart,
+                    loopEnd: Math.min(metadata.loopEnd, buffer.duration)
+                });
+            } catch (error) {
+                console.error(`Error loading sample ${file.name}:`, error);
+            }
+        }
+
+        if (samples.length === 0) {
+            this.setStatus('No playable audio in those files');
+            return;
+        }
+
+        const name = files.length === 1 ? files[0].name.replace(/\.[^.]*$/, '') : `${samples.length} samples`;
+        const instrument = SampleInstrument.autoMap(name, samples);
+        this.audioEngine.addInstrument(instrument);
+        this.audioEngine.setInstrument(instrument);
+        this.controlPanel.updateControls();
+
+        const failed = files.length - samples.length;
+        if (failed > 0) {
+            this.setStatus(`${failed} file${failed === 1 ? '' : 's'} could not be decoded`);
+        }
+    }
+
+    setStatus(text) {
+        this.statusText.textContent = text;
+    }
+
+    // Refresh the instrument list in the waveform control and the zone editor
+    update() {
+        let group = this.waveformSelect.querySelector('optgroup');
+        if (group) group.remove();
+
+        if (this.audioEngine.instruments.size > 0) {
+            group = document.createElement('optgroup');
+            group.label = 'Samples';
+            this.audioEngine.instruments.forEach(instrument => group.appendChild(new Option(instrument.name, instrument.id)));
+            this.waveformSelect.appendChild(group);
+        }
+
+        const instrument = this.audioEngine.instrument;
+        this.waveformSelect.value = instrument ? instrument.id : this.audioEngine.waveform;
+        this.removeButton.disabled = !instrument;
+        this.renderZones(instrument);
+
+        this.setStatus(instrument ? `${instrument.zones.length} zone${instrument.zones.length === 1 ? '' : 's'}` :
+            'Drop audio files on the page to make an instrument');
+    }
+
+    // Editable table of the instrument's zones
+    renderZones(instrument) {
+        this.zoneTable.innerHTML = '';
+        this.zoneTable.hidden = !instrument;
+        if (!instrument) return;
+
+        const header = this.zoneTable.insertRow();
+        ['Sample', 'Root', 'Low Key', 'High Key', 'Low Vel', 'High Vel', 'Loop', 'Loop Start (s)', 'Loop End (s)'].forEach((text) => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        instrument.zones.forEach((zone) => {
+            const row = this.zoneTable.insertRow();
+            row.insertCell().textContent = zone.name;
+
+            const numberInput = (key, min, max, step = 1) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                Object.assign(input, { min, max, step, value: zone[key] });
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (Number.isFinite(value)) {
+                        zone[key] = Math.min(max, Math.max(min, value));
+                    }
+                    input.value = zone[key];
+                    if (key === 'loopStart' || key === 'loopEnd') this.fixLoop(zone, row);
+                });
+                row.insertCell().appendChild(input);
+                return input;
+            };
+
+            numberInput('rootNote', 0, 127).title = 'MIDI note the sample was recorded at';
+            numberInput('lowKey', 0, 127);
+            numberInput('highKey', 0, 127);
+            numberInput('lowVelocity', 1, 127);
+            numberInput('highVelocity', 1, 127);
+
+            const loop = document.createElement('input');
+            loop.type = 'checkbox';
+            loop.checked = zone.loop;
+            loop.addEventListener('change', () => {
+                zone.loop = loop.checked;
+                this.fixLoop(zone, row);
+            });
+            row.insertCell().appendChild(loop);
+
+            const duration = Number(zone.buffer.duration.toFixed(3));
+            numberInput('loopStart', 0, duration, 0.001);
+            numberInput('loopEnd', 0, duration, 0.001);
+        });
+    }
+
+    // A loop needs its end after its start; otherwise it's switched off
+    fixLoop(zone, row) {
+        if (zone.loop && zone.loopEnd <= zone.loopStart) {
+            zone.loop = false;
+            row.querySelector('input[type="checkbox"]').checked = false;
+            this.setStatus(`${zone.name}: loop end must be after loop start`);
+        }
+    }
+}
@@ -0,0 +1,58 @@
+// Scheduler
+// Lookahead scheduler: a short timer wakes up regularly and hands out windows of
+// audio clock time so events can be scheduled sample-accurately ahead of playback
+export class Scheduler {
+    constructor(audioEngine, callback) {
+        this.audioEngine = audioEngine;
+        this.callback = callback; // Called with (windowStart, windowEnd) in audio clock seconds
+        this.lookahead = 0.1; // Seconds scheduled ahead of the audio clock
+        this.interval = 25; // Milliseconds between wake-ups
+        this.timer = null;
+        this.scheduledUntil = 0;
+        this.pendingCallbacks = new Set(); // Timeouts queued with runAt
+    }
+
+    start() {
+        this.stop();
+        this.audioEngine.resumeContext();
+        this.scheduledUntil = this.audioEngine.audioContext.currentTime;
+        this.timer = setInterval(() => this.tick(), this.interval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    tick() {
+        const windowEnd = this.audioEngine.audioContext.currentTime + this.lookahead;
+        if (windowEnd <= this.scheduledUntil) return;
+
+        const windowStart = this.scheduledUntil;
+        this.scheduledUntil = windowEnd;
+        this.callback(windowStart, windowEnd);
+    }
+
+    // Run a UI callback when the audio clock reaches a scheduled time
+    runAt(time, callback) {
+        const delay = (time - this.audioEngine.audioContext.currentTime) * 1000;
+        const id = setTimeout(() => {
+            this.pendingCallbacks.delete(id);
+            callback();
+        }, Math.max(0, delay));
+        this.pendingCallbacks.add(id);
+    }
+
+    // Drop UI callbacks that haven't run yet
+    cancelPending() {
+        this.pendingCallbacks.forEach(id => clearTimeout(id));
+        this.pendingCallbacks.clear();
+    }
+}
@@ -0,0 +1,438 @@
+// Step Sequencer
+// Grid sequencer with up to 32 steps per pattern. Patterns chain into a song order that
+// loops at the engine tempo, scheduled through the same AudioEngine voices as live play.
+
+import { noteToMidi, midiToNote } from './notes.js';
+import { Scheduler } from './scheduler.js';
+
+const SEQUENCER_PATTERNS = 'ABCDEFGH'; // Pattern slots, named by letter in the song order
+const SEQUENCER_MAX_STEPS = 32;
+const SEQUENCER_STEPS_PER_BEAT = 4; // Steps are 1/16 notes
+const SEQUENCER_ROWS = 24; // Two octaves of pitches shown in the grid
+
+// A step plays one note; a tied step holds the previous step's note instead of playing its own
+function createSequencerStep() {
+    return { note: null, velocity: 0.8, gate: 0.5, tie: false };
+}
+
+function createSequencerPattern(length = 16) {
+    return {
+        length,
+        steps: Array.from({ length: SEQUENCER_MAX_STEPS }, createSequencerStep)
+    };
+}
+
+export class StepSequencer {
+    constructor(audioEngine, keyboardManager, keyboardZones) {
+        this.audioEngine = audioEngine;
+        this.keyboardManager = keyboardManager;
+        this.keyboardZones = keyboardZones; // Steps sound in the zones like the live keyboard
+        this.storageKey = 'webkeys.sequencer';
+        this.patterns = Array.from({ length: SEQUENCER_PATTERNS.length }, () => createSequencerPattern());
+        this.song = [0]; // Pattern indices in play order
+        this.editPattern = 0; // Pattern shown in the grid
+        this.selectedStep = 0;
+        this.gridOctave = 3; // Lowest octave shown in the grid
+        this.stepRecord = false;
+
+        // Playback position
+        this.isPlaying = false;
+        this.songPosition = 0;
+        this.stepIndex = 0;
+        this.nextStepTime = 0;
+        this.playingNotes = new Map(); // noteId -> { note, octave, endTime, voices } for voices the sequencer started
+        this.playhead = null; // { songPosition, pattern, step } currently heard
+
+        this.scheduler = new Scheduler(audioEngine, (windowStart, windowEnd) => {
+            this.scheduleSteps(windowEnd);
+        });
+
+        // Step record: played notes are written into the selected step
+        this.keyboardManager.addNoteListener((type, event) => {
+            if (type === 'noteon' && this.stepRecord) {
+                this.recordStep(noteToMidi(event.note, event.octave), event.velocity);
+            }
+        });
+
+        this.load();
+        this.initControls();
+        this.renderGrid();
+        this.updateStepControls();
+        this.updateStatus();
+    }
+
+    initControls() {
+        this.playButton = document.getElementById('seq-play-button');
+        this.recordButton = document.getElementById('seq-record-button');
+        this.statusText = document.getElementById('seq-status');
+        this.grid = document.getElementById('sequencer-grid');
+        this.patternSelect = document.getElementById('seq-pattern');
+        this.lengthSelect = document.getElementById('seq-length');
+        this.songInput = document.getElementById('seq-song');
+        this.velocityInput = document.getElementById('seq-velocity');
+        this.gateInput = document.getElementById('seq-gate');
+        this.tieInput = document.getElementById('seq-tie');
+
+        SEQUENCER_PATTERNS.split('').forEach((name, index) => this.patternSelect.add(new Option(name, index)));
+
+        this.playButton.addEventListener('click', () => this.play());
+        document.getElementById('seq-stop-button').addEventListener('click', () => this.stop());
+        this.recordButton.addEventListener('click', () => {
+            this.stepRecord = !this.stepRecord;
+            this.recordButton.classList.toggle('active', this.stepRecord);
+        });
+
+        this.patternSelect.addEventListener('change', (e) => {
+            this.editPattern = parseInt(e.target.value);
+            this.selectedStep = Math.min(this.selectedStep, this.patterns[this.editPattern].length - 1);
+            this.lengthSelect.value = this.patterns[this.editPattern].length;
+            this.renderGrid();
+            this.updateStepControls();
+        });
+
+        this.lengthSelect.addEventListener('change', (e) => {
+            const pattern = this.patterns[this.editPattern];
+            pattern.length = parseInt(e.target.value);
+            this.selectedStep = Math.min(this.selectedStep, pattern.length - 1);
+            this.save();
+            this.renderGrid();
+            this.updateStepControls();
+        });
+
+        document.getElementById('seq-clear-button').addEventListener('click', () => {
+            this.patterns[this.editPattern] = createSequencerPattern(this.patterns[this.editPattern].length);
+            this.save();
+            this.renderGrid();
+            this.updateStepControls();
+        });
+
+        this.songInput.addEventListener('change', (e) => {
+            try {
+                this.song = StepSequencer.parseSong(e.target.value);
+                this.songPosition = Math.min(this.songPosition, this.song.length - 1);
+                this.save();
+                this.updateStatus();
+            } catch (error) {
+                this.statusText.textContent = error.message;
+            }
+            this.songInput.value = this.formatSong();
+        });
+
+        const octaveValue = document.getElementById('seq-octave-value');
+        document.getElementById('seq-octave').addEventListener('input', (e) => {
+            this.gridOctave = parseInt(e.target.value);
+            octaveValue.textContent = `${this.gridOctave}-${this.gridOctave + 1}`;
+            this.renderGrid();
+        });
+
+        // Selected step settings
+        const velocityValue = document.getElementById('seq-velocity-value');
+        this.velocityInput.addEventListener('input', (e) => {
+            this.getSelectedStep().velocity = e.target.value / 100;
+            velocityValue.textContent = `${e.target.value}%`;
+            this.save();
+        });
+
+        const gateValue = document.getElementById('seq-gate-value');
+        this.gateInput.addEventListener('input', (e) => {
+            this.getSelectedStep().gate = e.target.value / 100;
+            gateValue.textContent = `${e.target.value}%`;
+            this.save();
+        });
+
+        this.tieInput.addEventListener('change', (e) => {
+            this.getSelectedStep().tie = e.target.checked;
+            this.save();
+            this.renderGrid();
+        });
+
+        // Clicking a cell selects its step and toggles that pitch on it
+        this.grid.addEventListener('click', (e) => {
+            const cell = e.target.closest('.seq-cell');
+            if (!cell) return;
+
+            this.selectedStep = parseInt(cell.dataset.step);
+            if (cell.dataset.midi !== undefined) {
+                const step = this.getSelectedStep();
+                const midi = parseInt(cell.dataset.midi);
+                if (step.note === midi && !step.tie) {
+                    step.note = null;
+                } else {
+                    step.note = midi;
+                    step.tie = false;
+                }
+                this.save();
+            }
+            this.renderGrid();
+            this.updateStepControls();
+        });
+
+        this.patternSelect.value = this.editPattern;
+        this.lengthSelect.value = this.patterns[this.editPattern].length;
+        this.songInput.value = this.formatSong();
+    }
+
+    getSelectedStep() {
+        return this.patterns[this.editPattern].steps[this.selectedStep];
+    }
+
+    // Write a played note into the selected step and move on to the next
+    recordStep(midi, velocity) {
+        const pattern = this.patterns[this.editPattern];
+        Object.assign(pattern.steps[this.selectedStep], { note: midi, velocity, tie: false });
+        this.selectedStep = (this.selectedStep + 1) % pattern.length;
+        this.save();
+        this.renderGrid();
+        this.updateStepControls();
+    }
+
+    // Parse a song order such as "A A B C" into pattern indices
+    static parseSong(text) {
+        const names = text.toUpperCase().replace(/[\s,]+/g, '').split('');
+        if (names.length === 0) {
+            throw new Error('The song needs at least one pattern');
+        }
+        return names.map((name) => {
+            const index = SEQUENCER_PATTERNS.indexOf(name);
+            if (index === -1) {
+                throw new Error(`Unknown pattern "${name}" (use ${SEQUENCER_PATTERNS[0]}-${SEQUENCER_PATTERNS[SEQUENCER_PATTERNS.length - 1]})`);
+            }
+            return index;
+        });
+    }
+
+    formatSong() {
+        return this.song.map(index => SEQUENCER_PATTERNS[index]).join(' ');
+    }
+
+    play() {
+        if (this.isPlaying) return;
+
+        this.audioEngine.resumeContext();
+        this.isPlaying = true;
+        this.songPosition = 0;
+        this.stepIndex = 0;
+        this.nextStepTime = this.audioEngine.audioContext.currentTime + 0.05;
+
+        this.scheduler.start();
+        this.updateStatus();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+
+        this.scheduler.stop();
+        this.scheduler.cancelPending();
+
+        // Cut off notes still sounding from the sequencer. Their release is already scheduled for
+        // the end of the step, so they are faded out now instead.
+        const now = this.audioEngine.audioContext.currentTime;
+        this.playingNotes.forEach(({ note, octave, endTime, voices }) => {
+            if (endTime > now) voices.forEach(voice => voice.steal(now));
+            this.keyboardManager.setKeyHighlight(note, octave, false);
+        });
+        this.playingNotes.clear();
+
+        this.isPlaying = false;
+        this.setPlayhead(null);
+        this.updateStatus();
+    }
+
+    // Step length in seconds at the engine's tempo
+    getStepDuration() {
+        return 60 / this.audioEngine.tempo / SEQUENCER_STEPS_PER_BEAT;
+    }
+
+    // Song position after the given one, wrapping at the end of each pattern and the song
+    nextPosition({ songPosition, stepIndex }) {
+        const pattern = this.patterns[this.song[songPosition]];
+        if (stepIndex + 1 < pattern.length) {
+            return { songPosition, stepIndex: stepIndex + 1 };
+        }
+        return { songPosition: (songPosition + 1) % this.song.length, stepIndex: 0 };
+    }
+
+    getStep({ songPosition, stepIndex }) {
+        return this.patterns[this.song[songPosition]].steps[stepIndex];
+    }
+
+    // Schedule every step that starts before the end of the window
+    scheduleSteps(windowEnd) {
+        while (this.nextStepTime < windowEnd) {
+            const position = { songPosition: this.songPosition, stepIndex: this.stepIndex };
+            const duration = this.getStepDuration();
+            const time = this.nextStepTime;
+            const step = this.getStep(position);
+
+            if (step.note !== null && !step.tie) {
+                this.scheduleNote(step, position, time, duration);
+            }
+
+            const playhead = { songPosition: position.songPosition, pattern: this.song[position.songPosition], step: position.stepIndex };
+            this.scheduler.runAt(time, () => this.setPlayhead(playhead));
+
+            const next = this.nextPosition(position);
+            this.songPosition = next.songPosition;
+            this.stepIndex = next.stepIndex;
+            this.nextStepTime += duration;
+        }
+    }
+
+    scheduleNote(step, position, time, duration) {
+        // Tied steps that follow extend the note, possibly into the next pattern
+        let steps = 0;
+        let last = step;
+        let next = this.nextPosition(position);
+        const totalSteps = this.song.reduce((sum, index) => sum + this.patterns[index].length, 0);
+        while (steps < totalSteps - 1 && this.getStep(next).tie) {
+            last = this.getStep(next);
+            next = this.nextPosition(next);
+            steps++;
+        }
+
+        const endTime = time + (steps + Math.max(0.05, last.gate)) * duration;
+        const { note, octave } = midiToNote(step.note);
+        const noteId = `${note}-${octave}`;
+
+        // A note the player is holding at this pitch is left alone, rather than released at endTime
+        const voices = this.keyboardZones.playVoices(note, octave, step.velocity, time);
+        if (voices.length === 0) return;
+        voices.forEach(voice => voice.release(endTime));
+        this.playingNotes.set(noteId, { note, octave, endTime, voices });
+
+        this.scheduler.runAt(time, () => this.keyboardManager.setKeyHighlight(note, octave, true));
+        this.scheduler.runAt(endTime, () => {
+            // A later step may have restarted the same note
+            const playing = this.playingNotes.get(noteId);
+            if (playing && playing.endTime === endTime) {
+                this.playingNotes.delete(noteId);
+                this.keyboardManager.setKeyHighlight(note, octave, false);
+            }
+        });
+    }
+
+    // Mark the step being heard in the grid
+    setPlayhead(playhead) {
+        this.playhead = playhead;
+        this.grid.querySelectorAll('.seq-cell.playing').forEach(cell => cell.classList.remove('playing'));
+        if (playhead && playhead.pattern === this.editPattern) {
+            this.grid.querySelectorAll(`.seq-cell[data-step="${playhead.step}"]`).forEach(cell => cell.classList.add('playing'));
+        }
+        this.updateStatus();
+    }
+
+    // Note a tied step continues, found by walking back to the step that started it
+    getTiedNote(pattern, stepIndex) {
+        for (let i = stepIndex; i >= 0; i--) {
+            if (!pattern.steps[i].tie) return pattern.steps[i].note;
+        }
+        return null;
+    }
+
+    renderGrid() {
+        const pattern = this.patterns[this.editPattern];
+        const lowest = noteToMidi('C', this.gridOctave);
+        this.grid.innerHTML = '';
+        this.grid.style.gridTemplateColumns = `auto repeat(${pattern.length}, 1fr)`;
+
+        const addCell = (className, text = '', dataset = {}) => {
+            const cell = document.createElement('div');
+            cell.className = className;
+            cell.textContent = text;
+            Object.assign(cell.dataset, dataset);
+            this.grid.appendChild(cell);
+            return cell;
+        };
+
+        // Header row: step numbers, click to select a step without changing it
+        addCell('seq-row-label');
+        for (let step = 0; step < pattern.length; step++) {
+            const cell = addCell('seq-cell seq-step-number', step + 1, { step });
+            cell.classList.toggle('selected', step === this.selectedStep);
+        }
+
+        // Highest pitch at the top
+        for (let midi = lowest + SEQUENCER_ROWS - 1; midi >= lowest; midi--) {
+            const { note, octave } = midiToNote(midi);
+            const black = note.includes('#');
+            addCell(`seq-row-label${black ? ' black' : ''}`, `${note}${octave}`);
+
+            for (let stepIndex = 0; stepIndex < pattern.length; stepIndex++) {
+                const step = pattern.steps[stepIndex];
+                const cell = addCell('seq-cell', '', { step: stepIndex, midi });
+                cell.classList.toggle('black', black);
+                cell.classList.toggle('beat', stepIndex % SEQUENCER_STEPS_PER_BEAT === 0);
+                cell.classList.toggle('selected', stepIndex === this.selectedStep);
+                cell.classList.toggle('on', !step.tie && step.note === midi);
+                cell.classList.toggle('tied', step.tie && this.getTiedNote(pattern, stepIndex) === midi);
+            }
+        }
+
+        this.setPlayhead(this.playhead);
+    }
+
+    // Show the selected step's settings
+    updateStepControls() {
+        const step = this.getSelectedStep();
+        this.velocityInput.value = Math.round(step.velocity * 100);
+        document.getElementById('seq-velocity-value').textContent = `${this.velocityInput.value}%`;
+        this.gateInput.value = Math.round(step.gate * 100);
+        document.getElementById('seq-gate-value').textContent = `${this.gateInput.value}%`;
+        this.tieInput.checked = step.tie;
+
+        const note = step.note === null ? 'rest' : `${midiToNote(step.note).note}${midiToNote(step.note).octave}`;
+        document.getElementById('seq-step-label').textContent = `Step ${this.selectedStep + 1}: ${note}`;
+    }
+
+    updateStatus() {
+        if (this.isPlaying && this.playhead) {
+            const { songPosition, pattern } = this.playhead;
+            this.statusText.textContent = `Playing ${SEQUENCER_PATTERNS[pattern]} (${songPosition + 1}/${this.song.length})`;
+        } else {
+            this.statusText.textContent = this.isPlaying ? 'Playing' : 'Stopped';
+        }
+        this.playButton.classList.toggle('active', this.isPlaying);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved) return;
+
+            if (Array.isArray(saved.patterns)) {
+                saved.patterns.slice(0, SEQUENCER_PATTERNS.length).forEach((pattern, index) => {
+                    this.patterns[index] = StepSequencer.normalizePattern(pattern);
+                });
+            }
+            if (Array.isArray(saved.song) && saved.song.length > 0 &&
+                saved.song.every(index => Number.isInteger(index) && index >= 0 && index < SEQUENCER_PATTERNS.length)) {
+                this.song = saved.song;
+            }
+        } catch (error) {
+            console.error('Error reading sequencer patterns from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ patterns: this.patterns, song: this.song }));
+        } catch (error) {
+            console.error('Error saving sequencer patterns to localStorage:', error);
+        }
+    }
+
+    // Fill in anything missing or invalid in a stored pattern
+    static normalizePattern(saved) {
+        const pattern = createSequencerPattern(saved.length === SEQUENCER_MAX_STEPS ? SEQUENCER_MAX_STEPS : 16);
+        if (!Array.isArray(saved.steps)) return pattern;
+
+        saved.steps.slice(0, SEQUENCER_MAX_STEPS).forEach((step, index) => {
+            const target = pattern.steps[index];
+            if (Number.isInteger(step.note) && step.note >= 0 && step.note <= 127) target.note = step.note;
+            if (typeof step.velocity === 'number') target.velocity = Math.min(1, Math.max(0, step.velocity));
+            if (typeof step.gate === 'number') target.gate = Math.min(1, Math.max(0.05, step.gate));
+            target.tie = step.tie === true;
+        });
+        return pattern;
+    }
+}
@@ -0,0 +1,215 @@
+// WebKeys Server
+// Serves the app like start-server.ps1, on every network interface so other machines on the LAN
+// can open it, and runs the jam relay on /jam over WebSocket. Needs only Node: `node server.js [port]`.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JamRelay } from './jam-relay.js';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+const port = parseInt(process.argv[2] || process.env.PORT || '8000');
+
+const MIME_TYPES = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// WebSocket Connection
+// Just the part of RFC 6455 the relay needs: unfragmented text messages, ping and close
+class WebSocketConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.onmessage = null;
+        this.onclose = null;
+
+        socket.on('data', (data) => {
+            this.buffer = Buffer.concat([this.buffer, data]);
+            this.readFrames();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    readFrames() {
+        while (this.buffer.length >= 2 && !this.closed) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Browsers always mask, and never need to fragment the relay's small messages
+            if (!masked || !fin || length > MAX_MESSAGE_SIZE) {
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x1) {
+                if (this.onmessage) this.onmessage(payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                this.close(1000);
+            } else if (opcode === 0x9) {
+                this.writeFrame(0xa, payload);
+            }
+        }
+    }
+
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(payload.length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(text) {
+        if (!this.closed) this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.onclose) this.onclose();
+    }
+}
+
+async function serveFile(request, response) {
+    let localPath;
+    try {
+        localPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Unparseable targets (e.g. "//[") and malformed escapes alike
+        response.writeHead(400).end('400 - Bad Request');
+        console.log(`${request.method} ${request.url} - 400`);
+        return;
+    }
+    if (localPath === '/') {
+        localPath = '/index.html';
+    }
+
+    // Stay inside the app folder, and out of hidden files and folders such as .git, which
+    // would otherwise be readable from anywhere on the network
+    const filePath = normalize(join(root, localPath));
+    const isHidden = localPath.split(/[\\/]/).some(segment => segment.startsWith('.'));
+    if (isHidden || !filePath.startsWith(root.endsWith(sep) ? root : root + sep)) {
+        response.writeHead(403).end('403 - Forbidden');
+        return;
+    }
+
+    try {
+        const content = await readFile(filePath);
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': content.length
+        });
+        response.end(request.method === 'HEAD' ? undefined : content);
+        console.log(`${request.method} ${localPath} - 200`);
+    } catch (error) {
+        response.writeHead(404).end('404 - File Not Found');
+        console.log(`${request.method} ${localPath} - 404`);
+    }
+}
+
+const relay = new JamRelay();
+const server = createServer((request, response) => {
+    serveFile(request, response).catch((error) => {
+        console.error('Error serving request:', error);
+        response.writeHead(500).end();
+    });
+});
+
+// Jam players connect to ws://<host>:<port>/jam
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    let pathname;
+    try {
+        pathname = new URL(request.url, 'http://localhost').pathname;
+    } catch (error) {
+        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    if (pathname !== '/jam' || !key ||
+        (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const connection = new WebSocketConnection(socket);
+    const player = relay.addPlayer(connection);
+    connection.onmessage = text => relay.handleMessage(player, text);
+    connection.onclose = () => relay.removePlayer(player);
+});
+
+server.listen(port, () => {
+    console.log('========================================');
+    console.log('WebKeys Server Running!');
+    console.log('========================================');
+    console.log(`Open your browser and go to: http://localhost:${port}/`);
+    Object.values(networkInterfaces()).flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .forEach(address => console.log(`Other players on your network: http://${address.address}:${port}/`));
+    console.log('Press Ctrl+C to stop the server');
+    console.log('========================================');
+});
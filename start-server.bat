@@ -1,6 +1,6 @@
-@echo off
-echo Starting WebKeys Server...
-echo.
-powershell -ExecutionPolicy Bypass -File "%~dp0start-server.ps1"
-pause
-
+@echo off
+echo Starting WebKeys Server...
+echo.
+powershell -ExecutionPolicy Bypass -File "%~dp0start-server.ps1"
+pause
+
@@ -1,70 +1,77 @@
-# Simple HTTP Server for WebKeys
-$port = 8000
-$url = "http://localhost:$port/"
-
-# Create HTTP Listener
-$listener = New-Object System.Net.HttpListener
-$listener.Prefixes.Add($url)
-$listener.Start()
-
-Write-Host "========================================" -ForegroundColor Green
-Write-Host "WebKeys Server Running!" -ForegroundColor Green
-Write-Host "========================================" -ForegroundColor Green
-Write-Host "Open your browser and go to: $url" -ForegroundColor Yellow
-Write-Host "Press Ctrl+C to stop the server" -ForegroundColor Gray
-Write-Host "========================================" -ForegroundColor Green
-Write-Host ""
-
-# MIME type mapping
-function Get-MimeType {
-    param($filePath)
-    $ext = [System.IO.Path]::GetExtension($filePath).ToLower()
-    $mimeTypes = @{
-        '.html' = 'text/html'
-        '.css'  = 'text/css'
-        '.js'   = 'application/javascript'
-        '.json' = 'application/json'
-        '.png'  = 'image/png'
-        '.jpg'  = 'image/jpeg'
-        '.gif'  = 'image/gif'
-        '.svg'  = 'image/svg+xml'
-    }
-    return $mimeTypes[$ext] ?? 'application/octet-stream'
-}
-
-# Handle requests
-try {
-    while ($listener.IsListening) {
-        $context = $listener.GetContext()
-        $request = $context.Request
-        $response = $context.Response
-        
-        $localPath = $request.Url.LocalPath
-        if ($localPath -eq '/' -or $localPath -eq '') {
-            $localPath = '/index.html'
-        }
-        
-        $filePath = Join-Path $PSScriptRoot $localPath.TrimStart('/')
-        
-        if (Test-Path $filePath -PathType Leaf) {
-            $content = [System.IO.File]::ReadAllBytes($filePath)
-            $response.ContentLength64 = $content.Length
-            $response.ContentType = Get-MimeType $filePath
-            $response.StatusCode = 200
-            $response.OutputStream.Write($content, 0, $content.Length)
-            Write-Host "$($request.HttpMethod) $localPath - 200" -ForegroundColor Green
-        } else {
-            $response.StatusCode = 404
-            $notFound = [System.Text.Encoding]::UTF8.GetBytes("404 - File Not Found")
-            $response.ContentLength64 = $notFound.Length
-            $response.OutputStream.Write($notFound, 0, $notFound.Length)
-            Write-Host "$($request.HttpMethod) $localPath - 404" -ForegroundColor Red
-        }
-        
-        $response.Close()
-    }
-} finally {
-    $listener.Stop()
-    Write-Host "`nServer stopped." -ForegroundColor Yellow
-}
-
+# Simple HTTP Server for WebKeys
+$port = 8000
+$url = "http://localhost:$port/"
+
+# With Node.js installed, run server.js instead: it is open to the LAN and hosts jam sessions
+if (Get-Command node -ErrorAction SilentlyContinue) {
+    node (Join-Path $PSScriptRoot 'server.js') $port
+    exit $LASTEXITCODE
+}
+Write-Host "Node.js not found - serving files only, without jam sessions" -ForegroundColor Gray
+
+# Create HTTP Listener
+$listener = New-Object System.Net.HttpListener
+$listener.Prefixes.Add($url)
+$listener.Start()
+
+Write-Host "========================================" -ForegroundColor Green
+Write-Host "WebKeys Server Running!" -ForegroundColor Green
+Write-Host "========================================" -ForegroundColor Green
+Write-Host "Open your browser and go to: $url" -ForegroundColor Yellow
+Write-Host "Press Ctrl+C to stop the server" -ForegroundColor Gray
+Write-Host "========================================" -ForegroundColor Green
+Write-Host ""
+
+# MIME type mapping
+function Get-MimeType {
+    param($filePath)
+    $ext = [System.IO.Path]::GetExtension($filePath).ToLower()
+    $mimeTypes = @{
+        '.html' = 'text/html'
+        '.css'  = 'text/css'
+        '.js'   = 'application/javascript'
+        '.json' = 'application/json'
+        '.png'  = 'image/png'
+        '.jpg'  = 'image/jpeg'
+        '.gif'  = 'image/gif'
+        '.svg'  = 'image/svg+xml'
+    }
+    return $mimeTypes[$ext] ?? 'application/octet-stream'
+}
+
+# Handle requests
+try {
+    while ($listener.IsListening) {
+        $context = $listener.GetContext()
+        $request = $context.Request
+        $response = $context.Response
+        
+        $localPath = $request.Url.LocalPath
+        if ($localPath -eq '/' -or $localPath -eq '') {
+            $localPath = '/index.html'
+        }
+        
+        $filePath = Join-Path $PSScriptRoot $localPath.TrimStart('/')
+        
+        if (Test-Path $filePath -PathType Leaf) {
+            $content = [System.IO.File]::ReadAllBytes($filePath)
+            $response.ContentLength64 = $content.Length
+            $response.ContentType = Get-MimeType $filePath
+            $response.StatusCode = 200
+            $response.OutputStream.Write($content, 0, $content.Length)
+            Write-Host "$($request.HttpMethod) $localPath - 200" -ForegroundColor Green
+        } else {
+            $response.StatusCode = 404
+            $notFound = [System.Text.Encoding]::UTF8.GetBytes("404 - File Not Found")
+            $response.ContentLength64 = $notFound.Length
+            $response.OutputStream.Write($notFound, 0, $notFound.Length)
+            Write-Host "$($request.HttpMethod) $localPath - 404" -ForegroundColor Red
+        }
+        
+        $response.Close()
+    }
+} finally {
+    $listener.Stop()
+    Write-Host "`nServer stopped." -ForegroundColor Yellow
+}
+
@@ -0,0 +1,12 @@
+#!/bin/sh
+# Starts the WebKeys server (and the jam relay) on Linux and macOS; needs Node.js
+cd "$(dirname "$0")" || exit 1
+
+if ! command -v node >/dev/null 2>&1; then
+    echo "Node.js is needed to run the WebKeys server: https://nodejs.org/"
+    exit 1
+fi
+
+echo "Starting WebKeys Server..."
+echo
+exec node server.js "$@"
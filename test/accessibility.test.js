@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describePlayed, speakValue } from '../accessibility.js';
+
+test('struck notes are announced as a chord, an interval or a note', () => {
+    assert.equal(describePlayed([60, 64, 67]), 'C major: C 4, E 4, G 4');
+    assert.equal(describePlayed([64, 67, 72]), 'C major over E: E 4, G 4, C 5');
+    assert.equal(describePlayed([61, 65, 68], -5), 'D flat major: D flat 4, F 4, A flat 4');
+    assert.equal(describePlayed([60, 64]), 'C 4, E 4, major 3rd');
+    assert.equal(describePlayed([60, 72]), 'C 4, C 5, octave');
+    assert.equal(describePlayed([66], 2), 'F sharp 4');
+});
+
+test('slider readouts are spoken with their units and note names', () => {
+    assert.equal(speakValue('200ms'), '200 milliseconds');
+    assert.equal(speakValue('2.5kHz'), '2.5 kilohertz');
+    assert.equal(speakValue('440.0 Hz'), '440.0 hertz');
+    assert.equal(speakValue('120 BPM'), '120 beats per minute');
+    assert.equal(speakValue('50%'), '50 percent');
+    assert.equal(speakValue('C#4'), 'C sharp 4');
+    assert.equal(speakValue('3-4'), '3-4');
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioEngine } from '../engine.js';
+import { MockAudioContext } from './mock-audio-context.js';
+
+// An engine on a mock context, with every event it emits collected by type
+function createEngine() {
+    const context = new MockAudioContext();
+    const engine = new AudioEngine(context);
+    const events = { noteon: [], noteoff: [], paramchange: [] };
+    Object.keys(events).forEach(type => engine.on(type, event => events[type].push(event)));
+    return { context, engine, events };
+}
+
+test('playNote starts a voice at the tuned frequency and emits noteon', () => {
+    const { context, engine, events } = createEngine();
+    context.advance(1);
+
+    engine.playNote('A', 4, 0.8);
+
+    const voice = engine.activeNotes.get('A-4');
+    assert.ok(voice);
+    assert.equal(voice.source.frequency.value, 440);
+    assert.equal(voice.source.startTime, 1);
+    assert.deepEqual(events.noteon, [{ note: 'A', octave: 4, midi: 69, velocity: 0.8, time: 1 }]);
+});
+
+test('stopNote releases the voice, emits noteoff and cleans up once the release has finished', () => {
+    const { context, engine, events } = createEngine();
+    engine.setRelease(200);
+
+    engine.playNote('C', 4);
+    engine.stopNote('C', 4);
+    engine.stopNote('C', 4);
+
+    assert.deepEqual(events.noteoff, [{ note: 'C', octave: 4, midi: 60, time: 0 }]);
+    assert.equal(engine.voices.size, 1);
+
+    context.advance(0.1);
+    assert.equal(engine.voices.size, 1, 'still sounding during the release');
+
+    context.advance(0.2);
+    assert.equal(engine.voices.size, 0);
+    assert.equal(engine.activeNotes.size, 0);
+});
+
+test('a held note is not started twice', () => {
+    const { engine, events } = createEngine();
+
+    engine.playNote('E', 4);
+    engine.playNote('E', 4);
+
+    assert.equal(engine.voices.size, 1);
+    assert.equal(events.noteon.length, 1);
+});
+
+test('playNote returns the voice it started, so playback can release only its own', () => {
+    const { engine } = createEngine();
+
+    const held = engine.playNote('G', 4);
+    const playback = engine.playNote('G', 4);
+
+    assert.equal(held, engine.activeNotes.get('G-4'));
+    assert.equal(playback, null);
+    assert.equal(held.isReleasing(), false);
+});
+
+test('restriking a releasing note starts a fresh voice and cuts the old one short', () => {
+    const { context, engine, events } = createEngine();
+    engine.setRelease(1000);
+
+    engine.playNote('G', 4);
+    const first = engine.activeNotes.get('G-4');
+    engine.stopNote('G', 4);
+    context.advance(0.1);
+    engine.playNote('G', 4);
+
+    assert.notEqual(engine.activeNotes.get('G-4'), first);
+    assert.ok(first.stolen);
+    assert.equal(events.noteon.length, 2);
+    assert.equal(events.noteoff.length, 1, 'the stolen voice was already released');
+
+    context.advance(0.1);
+    assert.equal(engine.voices.size, 1);
+});
+
+test('the oldest voice is stolen at the polyphony limit and reported as noteoff', () => {
+    const { context, engine, events } = createEngine();
+    engine.setMaxPolyphony(2);
+
+    engine.playNote('C', 4);
+    context.advance(0.1);
+    engine.playNote('D', 4);
+    context.advance(0.1);
+    engine.playNote('E', 4);
+
+    assert.ok(engine.activeNotes.get('C-4').stolen);
+    assert.deepEqual(events.noteoff.map(event => event.note), ['C']);
+    const sounding = Array.from(engine.voices).filter(voice => voice.isSoundingAt(context.currentTime));
+    assert.equal(sounding.length, 2);
+});
+
+test('releasing voices are stolen before held ones, and quietest mode takes the softest', () => {
+    const { context, engine } = createEngine();
+    engine.setMaxPolyphony(2);
+    engine.setStealMode('quietest');
+    engine.setRelease(1000);
+
+    engine.playNote('C', 4, 0.3);
+    engine.playNote('D', 4, 1);
+    context.advance(0.1);
+    engine.playNote('E', 4, 0.6);
+    assert.ok(engine.activeNotes.get('C-4').stolen);
+
+    engine.stopNote('D', 4);
+    context.advance(0.1);
+    engine.playNote('F', 4, 0.1);
+    assert.ok(engine.activeNotes.get('D-4').stolen, 'the releasing voice goes first even though it is louder');
+    assert.ok(!engine.activeNotes.get('E-4').stolen);
+});
+
+test('notes can be scheduled ahead on the audio clock', () => {
+    const { engine, events } = createEngine();
+
+    engine.playNote('A', 3, 1, 2);
+    engine.stopNote('A', 3, 2.5);
+
+    const voice = engine.activeNotes.get('A-3');
+    assert.equal(voice.source.startTime, 2);
+    assert.equal(events.noteon[0].time, 2);
+    assert.equal(events.noteoff[0].time, 2.5);
+});
+
+test('exponential envelopes never ramp all the way to zero', () => {
+    const { context, engine } = createEngine();
+    engine.setEnvelopeCurve('exponential');
+
+    engine.playNote('C', 5);
+    context.advance(0.5);
+    assert.doesNotThrow(() => engine.stopNote('C', 5));
+});
+
+test('stopAllNotes releases every held note', () => {
+    const { engine, events } = createEngine();
+
+    ['C', 'E', 'G'].forEach(note => engine.playNote(note, 4));
+    engine.stopAllNotes();
+
+    assert.deepEqual(events.noteoff.map(event => event.note).sort(), ['C', 'E', 'G']);
+});
+
+test('setParam applies a setting and emits paramchange', () => {
+    const { engine, events } = createEngine();
+
+    engine.setParam('waveform', 'square');
+    engine.setParam('volume', 0.25);
+
+    assert.equal(engine.waveform, 'square');
+    assert.equal(engine.masterGain.gain.value, 0.25);
+    assert.deepEqual(events.paramchange, [
+        { name: 'waveform', value: 'square' },
+        { name: 'volume', value: 0.25 }
+    ]);
+});
+
+test('setParam rejects unknown parameters', () => {
+    const { engine } = createEngine();
+    assert.throws(() => engine.setParam('wavefrom', 'square'), TypeError);
+});
+
+test('applySettings restores a getSettings snapshot on another engine', () => {
+    const { engine } = createEngine();
+    engine.setParam('attack', 50);
+    engine.setParam('stealMode', 'quietest');
+    engine.setParam('tempo', 90);
+
+    const { engine: copy, events } = createEngine();
+    copy.applySettings(engine.getSettings());
+
+    assert.deepEqual(copy.getSettings(), engine.getSettings());
+    assert.ok(events.paramchange.some(event => event.name === 'tempo' && event.value === 90));
+});
+
+test('an effect order naming an effect twice still chains each effect once', () => {
+    const { engine } = createEngine();
+    const rack = engine.effectsRack;
+    const [first, second] = rack.effects.map(effect => effect.id);
+
+    rack.setOrder([second, second, first]);
+
+    const ids = rack.effects.map(effect => effect.id);
+    assert.deepEqual(ids.slice(0, 2), [second, first]);
+    assert.equal(new Set(ids).size, ids.length);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventEmitter } from '../events.js';
+
+test('listeners receive events of their type until removed', () => {
+    const emitter = new EventEmitter(['noteon', 'noteoff']);
+    const received = [];
+    const listener = event => received.push(event);
+
+    const remove = emitter.on('noteon', listener);
+    emitter.emit('noteon', 1);
+    emitter.emit('noteoff', 2);
+    remove();
+    emitter.emit('noteon', 3);
+
+    assert.deepEqual(received, [1]);
+});
+
+test('once listeners are called a single time', () => {
+    const emitter = new EventEmitter(['noteon']);
+    let calls = 0;
+
+    emitter.once('noteon', () => calls++);
+    emitter.emit('noteon');
+    emitter.emit('noteon');
+
+    assert.equal(calls, 1);
+});
+
+test('unknown event types are rejected', () => {
+    const emitter = new EventEmitter(['noteon']);
+
+    assert.throws(() => emitter.on('note-on', () => {}), TypeError);
+    assert.throws(() => emitter.emit('noteof'), TypeError);
+});
+
+test('a failing listener does not stop the others', (t) => {
+    const emitter = new EventEmitter(['noteon']);
+    const logged = t.mock.method(console, 'error', () => {});
+    let called = false;
+
+    emitter.on('noteon', () => {
+        throw new Error('listener failed');
+    });
+    emitter.on('noteon', () => {
+        called = true;
+    });
+    emitter.emit('noteon');
+
+    assert.ok(called);
+    assert.equal(logged.mock.callCount(), 1);
+});
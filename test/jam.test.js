@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JamRelay, PLAYER_COLORS } from '../jam-relay.js';
+import { JamSession } from '../jam.js';
+
+// A relay player whose outgoing messages are collected
+function connect(relay) {
+    const received = [];
+    const player = relay.addPlayer({ send: text => received.push(JSON.parse(text)) });
+    return { player, received, send: message => relay.handleMessage(player, JSON.stringify(message)) };
+}
+
+test('players in a room are told who is there, who joins and who leaves', () => {
+    const relay = new JamRelay();
+    const alice = connect(relay);
+    const bob = connect(relay);
+
+    alice.send({ type: 'join', room: 'abcd', name: 'Alice', patch: { waveform: 'square' } });
+    bob.send({ type: 'join', room: 'ABCD', name: 'Bob' });
+
+    const welcome = bob.received[0];
+    assert.equal(welcome.type, 'welcome');
+    assert.equal(welcome.room, 'ABCD');
+    assert.deepEqual(welcome.players.map(player => [player.name, player.patch]), [['Alice', { waveform: 'square' }]]);
+    assert.notEqual(welcome.color, welcome.players[0].color);
+    assert.equal(alice.received.at(-1).type, 'join');
+    assert.equal(alice.received.at(-1).player.name, 'Bob');
+
+    relay.removePlayer(bob.player);
+    assert.deepEqual(alice.received.at(-1), { type: 'leave', id: bob.player.id });
+
+    relay.removePlayer(alice.player);
+    assert.equal(relay.rooms.size, 0);
+});
+
+test('notes go to the rest of the room only, with just the note fields', () => {
+    const relay = new JamRelay();
+    const alice = connect(relay);
+    const bob = connect(relay);
+    const carol = connect(relay);
+    alice.send({ type: 'join', room: 'ROOM1' });
+    bob.send({ type: 'join', room: 'ROOM1' });
+    carol.send({ type: 'join', room: 'ROOM2' });
+    const before = { alice: alice.received.length, carol: carol.received.length };
+
+    bob.send({ type: 'note', event: 'noteon', note: 'C#', octave: 4, velocity: 2, time: 1000, extra: 'dropped' });
+    bob.send({ type: 'note', event: 'noteon', note: 'H', octave: 4, time: 1000 });
+
+    assert.deepEqual(alice.received.slice(before.alice), [
+        { type: 'note', from: bob.player.id, event: 'noteon', note: 'C#', octave: 4, velocity: 1, time: 1000 }
+    ]);
+    assert.equal(carol.received.length, before.carol);
+});
+
+test('bad room codes and messages before joining are refused', () => {
+    const relay = new JamRelay();
+    const alice = connect(relay);
+
+    alice.send({ type: 'join', room: 'no' });
+    alice.send({ type: 'note', event: 'noteon', note: 'C', octave: 4, time: 0 });
+    relay.handleMessage(alice.player, 'null');
+
+    assert.deepEqual(alice.received.map(message => message.type), ['error', 'error', 'error']);
+    assert.equal(relay.rooms.size, 0);
+});
+
+test('a player refused by a full room stays in the room they were in', () => {
+    const relay = new JamRelay();
+    PLAYER_COLORS.forEach(() => connect(relay).send({ type: 'join', room: 'FULL' }));
+    const alice = connect(relay);
+    alice.send({ type: 'join', room: 'HOME' });
+
+    alice.send({ type: 'join', room: 'FULL' });
+
+    assert.deepEqual(alice.received.at(-1), { type: 'error', message: 'Room FULL is full' });
+    assert.equal(alice.player.room, 'HOME');
+    assert.ok(relay.rooms.get('HOME').has(alice.player));
+});
+
+// Socket stand-in that answers pings from a relay clock running `offset` ms ahead
+class FakeSocket {
+    constructor(relay, offset) {
+        this.readyState = 1;
+        this.listeners = {};
+        this.relay = relay;
+        this.relayPlayer = relay.addPlayer({ send: text => this.dispatch('message', { data: text }) });
+        relay.now = () => performance.now() + offset;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    dispatch(type, event = {}) {
+        if (this.listeners[type]) this.listeners[type](event);
+    }
+
+    send(text) {
+        this.relay.handleMessage(this.relayPlayer, text);
+    }
+
+    close() {
+        this.readyState = 3;
+        this.relay.removePlayer(this.relayPlayer);
+    }
+}
+
+test('a session joins a room and syncs its clock to the relay', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const relay = new JamRelay();
+    let socket = null;
+    const session = new JamSession('ws://test/jam', {
+        WebSocket: class {
+            constructor() {
+                socket = new FakeSocket(relay, 5000);
+                return socket;
+            }
+        }
+    });
+    const statuses = [];
+    session.on('status', status => statuses.push(status));
+
+    session.join('JAM1', 'Alice', null);
+    socket.dispatch('open');
+
+    assert.equal(session.room, 'JAM1');
+    assert.ok(Math.abs(session.serverNow() - (performance.now() + 5000)) < 50);
+    assert.equal(statuses.at(-1).connected, true);
+
+    session.leave();
+    assert.equal(session.room, null);
+    assert.equal(relay.rooms.size, 0);
+    assert.equal(statuses.at(-1).connected, false);
+});
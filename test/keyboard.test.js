@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { placeRange, DEFAULT_KEYBOARD_RANGE, PIANO_RANGE } from '../keyboard.js';
+
+test('the range moves by an octave for each octave step', () => {
+    assert.deepEqual(placeRange(DEFAULT_KEYBOARD_RANGE, 2, 2), { low: 36, high: 95 });
+    assert.deepEqual(placeRange(DEFAULT_KEYBOARD_RANGE, 2, 0), { low: 12, high: 71 });
+    assert.deepEqual(placeRange(DEFAULT_KEYBOARD_RANGE, 2, 4), { low: 60, high: 119 });
+});
+
+test('the range stops at the last whole octave inside MIDI notes 0-127', () => {
+    assert.deepEqual(placeRange(DEFAULT_KEYBOARD_RANGE, 2, 5), { low: 60, high: 119 });
+    assert.deepEqual(placeRange(DEFAULT_KEYBOARD_RANGE, 2, -3), { low: 0, high: 59 });
+    assert.deepEqual(placeRange(PIANO_RANGE, 2, 4), { low: 33, high: 120 });
+});
+
+test('moving back to the octave a range was set at restores it exactly', () => {
+    const range = { low: 28, high: 103 };
+    assert.deepEqual(placeRange(range, 3, 3), range);
+    assert.deepEqual(placeRange(range, 3, 9), { low: 52, high: 127 });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLayoutMapping, cleanKeyMapping } from '../keymaps.js';
+import { NOTE_NAMES } from '../notes.js';
+
+test('no two keys of a built-in layout play the same note', () => {
+    ['piano', 'home', 'classic'].forEach((layoutId) => {
+        const notes = Object.values(createLayoutMapping(layoutId)).map(({ note, octaveOffset }) => `${note}${octaveOffset}`);
+        assert.equal(new Set(notes).size, notes.length, layoutId);
+    });
+});
+
+test('the piano layout covers every semitone of its three octaves without gaps', () => {
+    const mapping = createLayoutMapping('piano');
+    const semitones = Object.values(mapping).map(({ note, octaveOffset }) => NOTE_NAMES.indexOf(note) + octaveOffset * 12);
+    const low = Math.min(...semitones);
+    const high = Math.max(...semitones);
+    assert.equal(semitones.length, high - low + 1);
+});
+
+test('malformed entries are dropped from a stored custom mapping', () => {
+    const cleaned = cleanKeyMapping({
+        KeyA: { note: 'C#', isBlack: false, octaveOffset: 1 },
+        KeyB: { note: 'H', octaveOffset: 0 },
+        KeyC: { note: 'D', octaveOffset: '1' },
+        KeyD: null
+    });
+
+    assert.deepEqual(cleaned, { KeyA: { note: 'C#', isBlack: true, octaveOffset: 1 } });
+    assert.equal(cleanKeyMapping({ KeyB: 'C' }), null);
+    assert.equal(cleanKeyMapping('piano'), null);
+});
@@ -0,0 +1,180 @@
+// Mock AudioContext
+// Just enough of the Web Audio API for the engine to build its graph and play voices in Node.
+// The clock only moves when a test calls advance(), which also ends the sources stopped by then.
+
+export class MockAudioParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = []; // Automation in the order it was scheduled: { type, value, time }
+    }
+
+    setValueAtTime(value, time) {
+        this.events.push({ type: 'set', value, time });
+        return this;
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.events.push({ type: 'linear', value, time });
+        return this;
+    }
+
+    // Like the real thing, an exponential ramp can't reach zero
+    exponentialRampToValueAtTime(value, time) {
+        if (value <= 0) {
+            throw new RangeError(`exponentialRampToValueAtTime needs a positive value, got ${value}`);
+        }
+        this.events.push({ type: 'exponential', value, time });
+        return this;
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        this.events.push({ type: 'target', value, time, timeConstant });
+        return this;
+    }
+
+    cancelScheduledValues(time) {
+        this.events = this.events.filter(event => event.time < time);
+        return this;
+    }
+}
+
+export class MockAudioNode {
+    constructor(context, params = {}) {
+        this.context = context;
+        this.connections = new Set();
+        Object.entries(params).forEach(([name, value]) => {
+            this[name] = new MockAudioParam(value);
+        });
+    }
+
+    connect(destination) {
+        this.connections.add(destination);
+        return destination;
+    }
+
+    // With no destination every connection goes, like the real thing
+    disconnect(destination) {
+        if (destination === undefined) {
+            this.connections.clear();
+        } else if (!this.connections.delete(destination)) {
+            throw new Error('disconnect() from a destination that is not connected');
+        }
+    }
+}
+
+// Oscillators and buffer sources: start once, stop any number of times, end when the clock passes the stop time
+export class MockScheduledSource extends MockAudioNode {
+    constructor(context, params) {
+        super(context, params);
+        this.startTime = null;
+        this.stopTime = Infinity;
+        this.ended = false;
+        this.onended = null;
+    }
+
+    start(time = 0, offset = 0) {
+        if (this.startTime !== null) {
+            throw new Error('start() called more than once');
+        }
+        this.startTime = time;
+        this.startOffset = offset;
+        this.context.sources.add(this);
+    }
+
+    stop(time = 0) {
+        if (this.startTime === null) {
+            throw new Error('stop() called before start()');
+        }
+        this.stopTime = time;
+    }
+}
+
+export class MockAudioContext {
+    constructor({ sampleRate = 44100 } = {}) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = new MockAudioNode(this);
+        this.sources = new Set(); // Started sources that haven't ended yet
+    }
+
+    // Move the clock on, firing onended for every source stopped by the new time
+    advance(seconds) {
+        this.currentTime += seconds;
+        Array.from(this.sources)
+            .filter(source => source.stopTime <= this.currentTime)
+            .forEach((source) => {
+                this.sources.delete(source);
+                source.ended = true;
+                if (source.onended) source.onended();
+            });
+    }
+
+    createGain() {
+        return new MockAudioNode(this, { gain: 1 });
+    }
+
+    createBiquadFilter() {
+        const filter = new MockAudioNode(this, { frequency: 350, detune: 0, Q: 1, gain: 0 });
+        filter.type = 'lowpass';
+        return filter;
+    }
+
+    createDelay() {
+        return new MockAudioNode(this, { delayTime: 0 });
+    }
+
+    createStereoPanner() {
+        return new MockAudioNode(this, { pan: 0 });
+    }
+
+    createConvolver() {
+        const convolver = new MockAudioNode(this);
+        convolver.buffer = null;
+        return convolver;
+    }
+
+    createWaveShaper() {
+        const shaper = new MockAudioNode(this);
+        shaper.curve = null;
+        return shaper;
+    }
+
+    createOscillator() {
+        const oscillator = new MockScheduledSource(this, { frequency: 440, detune: 0 });
+        oscillator.type = 'sine';
+        return oscillator;
+    }
+
+    createBufferSource() {
+        const source = new MockScheduledSource(this, { playbackRate: 1, detune: 0 });
+        source.buffer = null;
+        source.loop = false;
+        return source;
+    }
+
+    createConstantSource() {
+        return new MockScheduledSource(this, { offset: 1 });
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        return {
+            numberOfChannels,
+            length,
+            sampleRate,
+            duration: length / sampleRate,
+            getChannelData: channel => channels[channel]
+        };
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    close() {
+        this.state = 'closed';
+        return Promise.resolve();
+    }
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioEngine } from '../engine.js';
+import { MockAudioContext } from './mock-audio-context.js';
+
+function createEngine() {
+    const context = new MockAudioContext();
+    const engine = new AudioEngine(context);
+    return { context, engine };
+}
+
+test('sounding voices are connected to the pitch, filter and amplitude buses until they end', () => {
+    const { context, engine } = createEngine();
+    const { buses } = engine.modulation;
+
+    engine.playNote('A', 4);
+    const voice = engine.activeNotes.get('A-4');
+    assert.ok(buses.pitch.connections.has(voice.source.detune));
+    assert.ok(buses.filter.connections.has(voice.brightness.detune));
+    assert.ok(buses.amplitude.connections.has(voice.tremolo.gain));
+
+    engine.stopNote('A', 4);
+    context.advance(1);
+    assert.ok(!buses.pitch.connections.has(voice.source.detune));
+    assert.ok(!buses.filter.connections.has(voice.brightness.detune));
+    assert.ok(!buses.amplitude.connections.has(voice.tremolo.gain));
+});
+
+test('pitch bend and mod wheel glide to their new values and emit paramchange', () => {
+    const { context, engine } = createEngine();
+    const changes = [];
+    engine.on('paramchange', event => changes.push(event));
+    context.advance(1);
+
+    engine.setBendRange(12);
+    engine.setParam('pitchBend', -0.5);
+    engine.setParam('modWheel', 2);
+
+    const { bend, vibratoDepth } = engine.modulation;
+    assert.deepEqual(bend.offset.events.at(-1), { type: 'target', value: -600, time: 1, timeConstant: 0.01 });
+    assert.equal(vibratoDepth.gain.events.at(-1).type, 'target');
+    assert.equal(engine.modulation.modWheel, 1, 'clamped to the top of the wheel');
+    assert.deepEqual(changes.map(change => change.name), ['bendRange', 'pitchBend', 'modWheel']);
+});
+
+test('synced LFOs follow the tempo, and amplitude depth keeps the level at or below unity', () => {
+    const { engine } = createEngine();
+    const [lfo] = engine.modulation.lfos;
+
+    lfo.setSync('1/4');
+    engine.setTempo(90);
+    assert.equal(lfo.source.frequency.value, 1.5);
+
+    lfo.setDepth('amplitude', 0.6);
+    assert.equal(lfo.depthGains.amplitude.gain.value, 0.3);
+    assert.equal(lfo.amplitudeOffset.offset.value, -0.3);
+
+    lfo.setWaveform('random');
+    assert.equal(lfo.source.loop, true);
+    assert.equal(lfo.source.playbackRate.value, 0.05);
+});
+
+test('LFO settings and bend range are part of the engine settings', () => {
+    const { engine } = createEngine();
+    engine.setBendRange(7);
+    engine.modulation.lfos[1].applySettings({ waveform: 'square', rate: 3, sync: 'off', depths: { pitch: 0, amplitude: 0, filter: 1200 } });
+
+    const copy = createEngine().engine;
+    copy.applySettings(engine.getSettings());
+
+    assert.equal(copy.modulation.bendRange, 7);
+    assert.deepEqual(copy.getSettings().lfos, engine.getSettings().lfos);
+    assert.equal(copy.modulation.lfos[1].source.type, 'square');
+});
+
+test('keyboard zone engines share the output engine\'s modulation', () => {
+    const { engine } = createEngine();
+    const zoneEngine = new AudioEngine(engine.audioContext, engine);
+
+    zoneEngine.playNote('C', 3);
+
+    assert.equal(zoneEngine.modulation, engine.modulation);
+    assert.ok(engine.modulation.buses.pitch.connections.has(zoneEngine.activeNotes.get('C-3').source.detune));
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { noteToMidi, midiToNote, parseNoteName, parseNoteId, spokenNoteName } from '../notes.js';
+
+test('note helpers convert between names and MIDI numbers', () => {
+    assert.equal(noteToMidi('A', 4), 69);
+    assert.equal(noteToMidi('C', -1), 0);
+    assert.deepEqual(midiToNote(61), { note: 'C#', octave: 4 });
+});
+
+test('note names parse with sharps, flats and negative octaves', () => {
+    assert.equal(parseNoteName('A0'), 21);
+    assert.equal(parseNoteName(' c8 '), 108);
+    assert.equal(parseNoteName('F#2'), 42);
+    assert.equal(parseNoteName('Bb3'), 58);
+    assert.equal(parseNoteName('C-1'), 0);
+});
+
+test('anything that is not a MIDI note parses to null', () => {
+    assert.equal(parseNoteName('H2'), null);
+    assert.equal(parseNoteName('C'), null);
+    assert.equal(parseNoteName('Cb-1'), null);
+    assert.equal(parseNoteName('A9'), null);
+});
+
+test('note ids split back into a note and octave, negative octaves included', () => {
+    assert.deepEqual(parseNoteId('C#-4'), { note: 'C#', octave: 4 });
+    assert.deepEqual(parseNoteId('C--1'), { note: 'C', octave: -1 });
+});
+
+test('spoken note names say sharps in words', () => {
+    assert.equal(spokenNoteName('C#', 4), 'C sharp 4');
+    assert.equal(spokenNoteName('A', 0), 'A 0');
+    assert.equal(spokenNoteName('C', -1), 'C -1');
+});
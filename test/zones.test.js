@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyboardZones } from '../zones.js';
+import { AudioEngine } from '../engine.js';
+import { MockAudioContext } from './mock-audio-context.js';
+
+// Note output that records what it was asked to play
+function createOutput() {
+    return {
+        played: [],
+        stopped: [],
+        playNote(note, octave) {
+            this.played.push(`${note}${octave}`);
+        },
+        stopNote(note, octave) {
+            this.stopped.push(`${note}${octave}`);
+        }
+    };
+}
+
+test('split mode sends notes below the split point to zone B', () => {
+    const a = createOutput();
+    const b = createOutput();
+    const zones = new KeyboardZones(a, b);
+    zones.setMode('split');
+    zones.setSplitPoint(60);
+
+    zones.playNote('B', 3);
+    zones.playNote('C', 4);
+
+    assert.deepEqual(a.played, ['C4']);
+    assert.deepEqual(b.played, ['B3']);
+});
+
+test('layer mode plays both zones with their own transpose', () => {
+    const a = createOutput();
+    const b = createOutput();
+    const zones = new KeyboardZones(a, b);
+    zones.setMode('layer');
+    zones.setTranspose('b', -1);
+
+    zones.playNote('E', 4);
+
+    assert.deepEqual(a.played, ['E4']);
+    assert.deepEqual(b.played, ['E3']);
+});
+
+test('a note stops where it started even if the zones changed while it was held', () => {
+    const a = createOutput();
+    const b = createOutput();
+    const zones = new KeyboardZones(a, b);
+    zones.setMode('split');
+
+    zones.playNote('G', 3);
+    zones.setMode('off');
+    zones.stopNote('G', 3);
+
+    assert.deepEqual(b.stopped, ['G3']);
+    assert.deepEqual(a.stopped, []);
+});
+
+test('playback voices go through the zones straight to the engines', () => {
+    const engine = new AudioEngine(new MockAudioContext());
+    const zoneEngine = new AudioEngine(engine.audioContext, engine);
+    const chords = createOutput();
+    const zones = new KeyboardZones(chords, zoneEngine);
+    zones.setMode('layer');
+    zones.setTranspose('b', 1);
+
+    const voices = zones.playVoices('C', 4);
+
+    assert.equal(voices.length, 2);
+    assert.equal(engine.activeNotes.get('C-4'), voices[0]);
+    assert.equal(zoneEngine.activeNotes.get('C-5'), voices[1]);
+    assert.deepEqual(chords.played, []);
+});
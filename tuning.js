@@ -0,0 +1,330 @@
+// Tuning
+// Maps MIDI note numbers to frequencies for 12-note temperaments or Scala (.scl/.kbm) scales
+
+import { NOTE_NAMES } from './notes.js';
+
+// Twelve-note temperaments in cents above the root
+export const TEMPERAMENTS = {
+    '12-tet': {
+        name: 'Equal (12-TET)',
+        cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    'just': {
+        name: 'Just Intonation',
+        cents: [0, 111.731, 203.910, 315.641, 386.314, 498.045, 590.224, 701.955, 813.686, 884.359, 1017.596, 1088.269]
+    },
+    'pythagorean': {
+        name: 'Pythagorean',
+        cents: [0, 90.225, 203.910, 294.135, 407.820, 498.045, 611.730, 701.955, 792.180, 905.865, 996.090, 1109.775]
+    },
+    'meantone': {
+        name: 'Quarter-comma Meantone',
+        cents: [0, 76.049, 193.157, 310.265, 386.314, 503.422, 579.471, 696.578, 772.627, 889.735, 1006.843, 1082.892]
+    },
+    'werckmeister': {
+        name: 'Werckmeister III',
+        cents: [0, 90.225, 192.180, 294.135, 390.225, 498.045, 588.270, 696.090, 792.180, 888.270, 996.090, 1092.180]
+    }
+};
+
+export class Tuning {
+    constructor() {
+        this.referencePitch = 440; // Frequency of A4 (MIDI 69)
+        this.temperament = '12-tet'; // A key of TEMPERAMENTS, or 'scala'
+        this.root = 'C'; // Note the temperament is built on
+        this.scale = null; // Loaded .scl: { description, cents } where cents lists degrees 1..n (last is the period)
+        this.keyboardMap = null; // Loaded .kbm, see parseKbm
+    }
+
+    setReferencePitch(referencePitch) {
+        this.referencePitch = referencePitch;
+    }
+
+    setTemperament(temperament) {
+        if (temperament === 'scala' && !this.scale) {
+            throw new Error('Load a Scala .scl file first');
+        }
+        if (temperament !== 'scala' && !TEMPERAMENTS[temperament]) {
+            throw new Error(`Unknown temperament "${temperament}"`);
+        }
+        this.temperament = temperament;
+    }
+
+    setRoot(root) {
+        this.root = root;
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.temperament = 'scala';
+    }
+
+    setKeyboardMap(keyboardMap) {
+        this.keyboardMap = keyboardMap;
+    }
+
+    // Frequency in Hz for a MIDI note number, or 0 if the note is unmapped
+    frequencyForMidi(midi) {
+        if (this.temperament === 'scala') {
+            return this.scalaFrequency(midi);
+        }
+
+        // Cents above a root, with A4 pinned to the reference pitch
+        const table = TEMPERAMENTS[this.temperament].cents;
+        const rootMidi = 60 + NOTE_NAMES.indexOf(this.root);
+        const centsFromRoot = (n) => {
+            const steps = n - rootMidi;
+            return Math.floor(steps / 12) * 1200 + table[((steps % 12) + 12) % 12];
+        };
+
+        return this.referencePitch * Math.pow(2, (centsFromRoot(midi) - centsFromRoot(69)) / 1200);
+    }
+
+    // Scala mapping: keys map onto scale degrees through the .kbm (or linearly from middle C)
+    scalaFrequency(midi) {
+        const map = this.keyboardMap || {
+            size: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: 60,
+            referenceNote: 69,
+            referenceFrequency: this.referencePitch,
+            octaveDegree: 0,
+            mapping: []
+        };
+
+        if (midi < map.firstNote || midi > map.lastNote) return 0;
+
+        const cents = this.scalaCentsForKey(midi, map);
+        const referenceCents = this.scalaCentsForKey(map.referenceNote, map);
+        if (cents === null || referenceCents === null) return 0;
+
+        return map.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+    }
+
+    // Cents of a key relative to the map's middle note, or null if the key is unmapped
+    scalaCentsForKey(midi, map) {
+        const offset = midi - map.middleNote;
+
+        if (map.size === 0) {
+            return this.scalaDegreeCents(offset);
+        }
+
+        const repeat = Math.floor(offset / map.size);
+        const degree = map.mapping[((offset % map.size) + map.size) % map.size];
+        if (degree === null) return null;
+
+        const octaveDegree = map.octaveDegree || this.scale.cents.length;
+        return repeat * this.scalaDegreeCents(octaveDegree) + this.scalaDegreeCents(degree);
+    }
+
+    // Cents of any scale degree, repeating the scale at its period
+    scalaDegreeCents(degree) {
+        const size = this.scale.cents.length;
+        const period = this.scale.cents[size - 1];
+        const index = ((degree % size) + size) % size;
+        const step = index === 0 ? 0 : this.scale.cents[index - 1];
+        return Math.floor(degree / size) * period + step;
+    }
+
+    getSettings() {
+        return {
+            referencePitch: this.referencePitch,
+            temperament: this.temperament,
+            root: this.root,
+            scale: this.scale,
+            keyboardMap: this.keyboardMap
+        };
+    }
+
+    applySettings(settings) {
+        this.referencePitch = settings.referencePitch;
+        this.root = settings.root;
+        this.scale = settings.scale || null;
+        this.keyboardMap = settings.keyboardMap || null;
+        this.setTemperament(settings.temperament);
+    }
+
+    // Lines of a Scala file without comments
+    static dataLines(text) {
+        return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    }
+
+    // Parse a Scala .scl scale file
+    static parseScl(text) {
+        const lines = Tuning.dataLines(text);
+        if (lines.length < 2) {
+            throw new Error('Scale file is missing its description or note count');
+        }
+
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Scale file has an invalid note count');
+        }
+
+        const pitchLines = lines.slice(2).map(line => line.trim()).filter(line => line.length > 0);
+        if (pitchLines.length < count) {
+            throw new Error(`Scale file lists ${pitchLines.length} of ${count} notes`);
+        }
+
+        const cents = pitchLines.slice(0, count).map((line) => {
+            const value = line.split(/\s+/)[0];
+            if (value.includes('.')) {
+                // Cents
+                const number = parseFloat(value);
+                if (!Number.isFinite(number)) throw new Error(`Invalid cents value "${value}"`);
+                return number;
+            }
+
+            // Ratio ("3/2") or whole number ("2")
+            const [numerator, denominator = '1'] = value.split('/');
+            const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+            if (!Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid ratio "${value}"`);
+            return 1200 * Math.log2(ratio);
+        });
+
+        return { description, cents };
+    }
+
+    // Parse a Scala .kbm keyboard mapping file
+    static parseKbm(text) {
+        const lines = Tuning.dataLines(text).map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length < 7) {
+            throw new Error('Keyboard mapping file is missing header values');
+        }
+
+        const integer = (line, name) => {
+            const value = parseInt(line, 10);
+            if (!Number.isInteger(value)) throw new Error(`Keyboard mapping has an invalid ${name}`);
+            return value;
+        };
+
+        const size = integer(lines[0], 'map size');
+        if (size < 0) {
+            throw new Error('Keyboard mapping has an invalid map size');
+        }
+        const map = {
+            size,
+            firstNote: integer(lines[1], 'first note'),
+            lastNote: integer(lines[2], 'last note'),
+            middleNote: integer(lines[3], 'middle note'),
+            referenceNote: integer(lines[4], 'reference note'),
+            referenceFrequency: parseFloat(lines[5]),
+            octaveDegree: integer(lines[6], 'octave degree'),
+            mapping: []
+        };
+
+        if (!(map.referenceFrequency > 0)) {
+            throw new Error('Keyboard mapping has an invalid reference frequency');
+        }
+
+        // Missing trailing entries are unmapped, 'x' marks an unmapped key
+        for (let i = 0; i < size; i++) {
+            const entry = lines[7 + i];
+            map.mapping.push(entry === undefined || entry.toLowerCase().startsWith('x') ? null : integer(entry, 'mapping entry'));
+        }
+
+        return map;
+    }
+}
+
+// Tuning Panel
+// Controls for reference pitch, temperament and Scala files
+export class TuningPanel {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.tuning = audioEngine.tuning;
+        this.initControls();
+        this.update();
+    }
+
+    initControls() {
+        this.referenceInput = document.getElementById('reference-pitch');
+        this.referenceValue = document.getElementById('reference-pitch-value');
+        this.temperamentSelect = document.getElementById('temperament');
+        this.rootSelect = document.getElementById('temperament-root');
+        this.statusText = document.getElementById('tuning-status');
+
+        Object.keys(TEMPERAMENTS).forEach((id) => {
+            this.temperamentSelect.add(new Option(TEMPERAMENTS[id].name, id));
+        });
+        this.temperamentSelect.add(new Option('Scala scale', 'scala'));
+        NOTE_NAMES.forEach(note => this.rootSelect.add(new Option(note, note)));
+
+        this.referenceInput.addEventListener('input', (e) => {
+            const referencePitch = parseFloat(e.target.value);
+            if (referencePitch > 0) {
+                this.tuning.setReferencePitch(referencePitch);
+                this.referenceValue.textContent = `${referencePitch.toFixed(1)} Hz`;
+            }
+        });
+
+        this.temperamentSelect.addEventListener('change', (e) => {
+            try {
+                this.tuning.setTemperament(e.target.value);
+            } catch (error) {
+                this.setStatus(error.message);
+            }
+            this.update();
+        });
+
+        this.rootSelect.addEventListener('change', (e) => {
+            this.tuning.setRoot(e.target.value);
+        });
+
+        const sclInput = document.getElementById('scl-file-input');
+        const kbmInput = document.getElementById('kbm-file-input');
+        document.getElementById('scl-load-button').addEventListener('click', () => sclInput.click());
+        document.getElementById('kbm-load-button').addEventListener('click', () => kbmInput.click());
+        sclInput.addEventListener('change', e => this.loadFile(e.target, 'scl'));
+        kbmInput.addEventListener('change', e => this.loadFile(e.target, 'kbm'));
+
+        document.getElementById('kbm-reset-button').addEventListener('click', () => {
+            this.tuning.setKeyboardMap(null);
+            this.update();
+        });
+    }
+
+    async loadFile(input, type) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            if (type === 'scl') {
+                this.tuning.setScale(Tuning.parseScl(text));
+            } else {
+                this.tuning.setKeyboardMap(Tuning.parseKbm(text));
+            }
+            this.update();
+        } catch (error) {
+            console.error(`Error loading ${file.name}:`, error);
+            this.setStatus(`${file.name}: ${error.message}`);
+        }
+    }
+
+    setStatus(text) {
+        this.statusText.textContent = text;
+    }
+
+    // Refresh the controls from the tuning state
+    update() {
+        // A loaded keyboard mapping brings its own reference frequency
+        this.referenceInput.disabled = this.tuning.temperament === 'scala' && this.tuning.keyboardMap !== null;
+        this.referenceInput.value = this.tuning.referencePitch;
+        this.referenceValue.textContent = `${this.tuning.referencePitch.toFixed(1)} Hz`;
+        this.temperamentSelect.value = this.tuning.temperament;
+        this.rootSelect.value = this.tuning.root;
+        this.rootSelect.disabled = this.tuning.temperament === 'scala';
+
+        if (this.tuning.temperament === 'scala') {
+            const scale = this.tuning.scale;
+            const mapping = this.tuning.keyboardMap ? `, ${this.tuning.keyboardMap.size || 'linear'}-key map` : '';
+            this.setStatus(`${scale.description || 'Untitled scale'} (${scale.cents.length} notes${mapping})`);
+        } else {
+            this.setStatus(TEMPERAMENTS[this.tuning.temperament].name);
+        }
+    }
+}
@@ -0,0 +1,230 @@
+// Visualizer
+// Oscilloscope, spectrum analyser and level meter drawn from an AnalyserNode tapped off the master output
+
+const SPECTRUM_MIN_FREQUENCY = 20;
+const SPECTRUM_MIN_DB = -100;
+const SPECTRUM_MAX_DB = 0;
+const METER_MIN_DB = -60;
+const PEAK_HOLD_TIME = 1; // Seconds a spectrum peak holds before falling
+const PEAK_FALL_RATE = 30; // dB per second
+
+export class AudioVisualizer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.frozen = false;
+        this.frameRequest = null;
+        this.lastFrameTime = 0;
+        this.clipped = false; // Latched until the meter is clicked
+        this.peaks = []; // Spectrum peak hold per pixel column: { level, time }
+
+        const context = audioEngine.audioContext;
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.8;
+        audioEngine.masterGain.connect(this.analyser);
+
+        this.timeData = new Float32Array(this.analyser.fftSize);
+        this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+
+        this.initControls();
+        // Constantly moving traces are motion too: with reduced motion asked for, start frozen
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.setFrozen(true);
+        } else {
+            this.start();
+        }
+    }
+
+    initControls() {
+        this.scopeCanvas = document.getElementById('scope-canvas');
+        this.spectrumCanvas = document.getElementById('spectrum-canvas');
+        this.meterCanvas = document.getElementById('meter-canvas');
+        this.freezeButton = document.getElementById('visualizer-freeze-button');
+
+        this.freezeButton.addEventListener('click', () => this.setFrozen(!this.frozen));
+
+        this.meterCanvas.addEventListener('click', () => {
+            this.clipped = false;
+            if (this.frozen) this.drawMeter();
+        });
+    }
+
+    setFrozen(frozen) {
+        this.frozen = frozen;
+        this.freezeButton.classList.toggle('active', frozen);
+        if (frozen) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.frameRequest !== null) return;
+        this.lastFrameTime = performance.now();
+        this.frameRequest = requestAnimationFrame(time => this.drawFrame(time));
+    }
+
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+
+    drawFrame(time) {
+        const elapsed = (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+
+        this.drawScope();
+        this.drawSpectrum(time / 1000, elapsed);
+        this.drawMeter();
+
+        this.frameRequest = requestAnimationFrame(next => this.drawFrame(next));
+    }
+
+    // Match the canvas backing store to its displayed size and return a cleared 2D context
+    prepareCanvas(canvas) {
+        const scale = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * scale);
+        const height = Math.round(canvas.clientHeight * scale);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#222';
+        context.fillRect(0, 0, width, height);
+        return context;
+    }
+
+    // Waveform, starting at the first rising zero crossing so periodic sounds stand still
+    drawScope() {
+        const canvas = this.scopeCanvas;
+        const context = this.prepareCanvas(canvas);
+        const { width, height } = canvas;
+        const data = this.timeData;
+        const windowLength = data.length / 2;
+
+        let trigger = 0;
+        for (let i = 1; i < windowLength; i++) {
+            if (data[i - 1] < 0 && data[i] >= 0) {
+                trigger = i;
+                break;
+            }
+        }
+
+        // Centre line
+        context.strokeStyle = '#444';
+        context.beginPath();
+        context.moveTo(0, height / 2);
+        context.lineTo(width, height / 2);
+        context.stroke();
+
+        context.strokeStyle = '#8fa0ff';
+        context.lineWidth = Math.max(1, height / 100);
+        context.beginPath();
+        for (let i = 0; i < windowLength; i++) {
+            const x = (i / (windowLength - 1)) * width;
+            const y = (0.5 - data[trigger + i] / 2) * height;
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    }
+
+    // Log-frequency spectrum in dB with falling peak hold
+    drawSpectrum(now, elapsed) {
+        const canvas = this.spectrumCanvas;
+        const context = this.prepareCanvas(canvas);
+        const { width, height } = canvas;
+        const nyquist = this.analyser.context.sampleRate / 2;
+        const binWidth = nyquist / this.frequencyData.length;
+        const range = SPECTRUM_MAX_DB - SPECTRUM_MIN_DB;
+        const toY = level => height * (1 - (Math.max(SPECTRUM_MIN_DB, level) - SPECTRUM_MIN_DB) / range);
+        const frequencyAt = x => SPECTRUM_MIN_FREQUENCY * Math.pow(nyquist / SPECTRUM_MIN_FREQUENCY, x / width);
+
+        if (this.peaks.length !== width) {
+            this.peaks = Array.from({ length: width }, () => ({ level: SPECTRUM_MIN_DB, time: 0 }));
+        }
+
+        // Grid lines at 100 Hz, 1 kHz and 10 kHz
+        context.strokeStyle = '#3a3a3a';
+        [100, 1000, 10000].forEach((frequency) => {
+            const x = width * Math.log(frequency / SPECTRUM_MIN_FREQUENCY) / Math.log(nyquist / SPECTRUM_MIN_FREQUENCY);
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.stroke();
+        });
+
+        for (let x = 0; x < width; x++) {
+            // Loudest bin under this pixel column
+            const firstBin = Math.floor(frequencyAt(x) / binWidth);
+            const lastBin = Math.max(firstBin, Math.floor(frequencyAt(x + 1) / binWidth));
+            let level = SPECTRUM_MIN_DB;
+            for (let bin = firstBin; bin <= lastBin && bin < this.frequencyData.length; bin++) {
+                level = Math.max(level, this.frequencyData[bin]);
+            }
+
+            const y = toY(level);
+            context.fillStyle = '#667eea';
+            context.fillRect(x, y, 1, height - y);
+
+            const peak = this.peaks[x];
+            if (level >= peak.level) {
+                peak.level = level;
+                peak.time = now;
+            } else if (now - peak.time > PEAK_HOLD_TIME) {
+                peak.level = Math.max(level, peak.level - PEAK_FALL_RATE * elapsed);
+            }
+            context.fillStyle = '#ffd35c';
+            context.fillRect(x, toY(peak.level), 1, Math.max(1, height / 100));
+        }
+    }
+
+    // Peak and RMS bars in dBFS, with a latching clip light
+    drawMeter() {
+        const canvas = this.meterCanvas;
+        const context = this.prepareCanvas(canvas);
+        const { width, height } = canvas;
+
+        let peak = 0;
+        let sumOfSquares = 0;
+        this.timeData.forEach((sample) => {
+            peak = Math.max(peak, Math.abs(sample));
+            sumOfSquares += sample * sample;
+        });
+        const rms = Math.sqrt(sumOfSquares / this.timeData.length);
+        if (peak >= 1) this.clipped = true;
+
+        const clipWidth = width * 0.12;
+        const barWidth = width - clipWidth - 4;
+        const toWidth = (level) => {
+            const db = level > 0 ? 20 * Math.log10(level) : METER_MIN_DB;
+            return barWidth * Math.min(1, Math.max(0, (db - METER_MIN_DB) / -METER_MIN_DB));
+        };
+
+        const barHeight = height / 2 - 2;
+        context.fillStyle = peak >= 1 ? '#e74c3c' : '#8fa0ff';
+        context.fillRect(0, 0, toWidth(peak), barHeight);
+        context.fillStyle = '#667eea';
+        context.fillRect(0, height / 2 + 2, toWidth(rms), barHeight);
+
+        // -6 dB steps
+        context.fillStyle = '#555';
+        for (let db = METER_MIN_DB + 6; db < 0; db += 6) {
+            context.fillRect(barWidth * (db - METER_MIN_DB) / -METER_MIN_DB, 0, 1, height);
+        }
+
+        context.fillStyle = this.clipped ? '#e74c3c' : '#442222';
+        context.fillRect(width - clipWidth, 0, clipWidth, height);
+    }
+}
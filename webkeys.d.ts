@@ -0,0 +1,160 @@
+// Type declarations for the embeddable WebKeys API (webkeys.js)
+
+export type NoteName = 'C' | 'C#' | 'D' | 'D#' | 'E' | 'F' | 'F#' | 'G' | 'G#' | 'A' | 'A#' | 'B';
+
+export interface NoteOnEvent {
+    note: NoteName;
+    octave: number;
+    midi: number;
+    velocity: number; // 0-1
+    time: number; // Audio clock time the note starts
+}
+
+export interface NoteOffEvent {
+    note: NoteName;
+    octave: number;
+    midi: number;
+    time: number; // Audio clock time the release starts
+}
+
+export interface EngineParams {
+    waveform: OscillatorType;
+    volume: number; // 0-1
+    octave: number; // Lowest visible octave
+    attack: number; // ms
+    decay: number; // ms
+    sustain: number; // 0-1
+    release: number; // ms
+    envelopeCurve: 'linear' | 'exponential';
+    maxPolyphony: number;
+    stealMode: 'oldest' | 'quietest';
+    tempo: number; // BPM
+    bendRange: number; // Semitones either way, 1-24
+    pitchBend: number; // -1 to 1 of the bend range
+    modWheel: number; // 0-1, vibrato depth
+}
+
+export type ParamChangeEvent = {
+    [Name in keyof EngineParams]: { name: Name; value: EngineParams[Name] };
+}[keyof EngineParams];
+
+export interface EngineEventMap {
+    noteon: NoteOnEvent;
+    noteoff: NoteOffEvent;
+    paramchange: ParamChangeEvent;
+}
+
+export class EventEmitter<EventMap extends object> {
+    constructor(eventTypes: Array<keyof EventMap>);
+    on<Type extends keyof EventMap>(type: Type, listener: (event: EventMap[Type]) => void): () => void;
+    off<Type extends keyof EventMap>(type: Type, listener: (event: EventMap[Type]) => void): void;
+    once<Type extends keyof EventMap>(type: Type, listener: (event: EventMap[Type]) => void): () => void;
+    emit<Type extends keyof EventMap>(type: Type, event: EventMap[Type]): void;
+}
+
+export const ENGINE_EVENTS: Array<keyof EngineEventMap>;
+export const ENGINE_PARAMS: { [Name in keyof EngineParams]: string };
+
+export interface LfoSettings {
+    waveform: 'sine' | 'triangle' | 'square' | 'random'; // 'random' is sample & hold
+    rate: number; // Hz, 0.1-20
+    sync: 'off' | '1/2' | '1/4' | '1/4d' | '1/8' | '1/8d' | '1/8t' | '1/16' | '1/16t'; // Note value at the engine tempo
+    depths: { pitch: number; amplitude: number; filter: number }; // Cents, 0-1 and cents
+}
+
+// The wheels are part of the performance, not the patch
+export interface EngineSettings extends Omit<EngineParams, 'pitchBend' | 'modWheel'> {
+    lfos: LfoSettings[];
+    effects: object;
+    tuning: object;
+}
+
+export class Tuning {
+    frequencyForMidi(midi: number): number;
+    getSettings(): object;
+    applySettings(settings: object): void;
+}
+
+export class Voice {
+    readonly frequency: number;
+    readonly velocity: number;
+    readonly startTime: number;
+    isReleasing(): boolean;
+    isSoundingAt(time: number): boolean;
+    levelAt(time: number): number;
+}
+
+export class AudioEngine extends EventEmitter<EngineEventMap> {
+    constructor(context?: BaseAudioContext | null, output?: AudioEngine | null);
+    readonly audioContext: BaseAudioContext | null;
+    readonly masterGain: GainNode;
+    readonly tuning: Tuning;
+    readonly activeNotes: Map<string, Voice>;
+    readonly voices: Set<Voice>;
+    playNote(note: NoteName, octave: number, velocity?: number, time?: number | null): Voice | null; // The voice started, if any
+    stopNote(note: NoteName, octave: number, time?: number | null): void;
+    stopAllNotes(): void;
+    setParam<Name extends keyof EngineParams>(name: Name, value: EngineParams[Name]): void;
+    getSettings(): EngineSettings;
+    applySettings(settings: EngineSettings): void;
+}
+
+export interface KeyRange {
+    low: number; // MIDI note of the lowest key
+    high: number; // MIDI note of the highest key
+}
+
+export const DEFAULT_KEYBOARD_RANGE: KeyRange & { octave: number };
+export const PIANO_RANGE: KeyRange;
+
+export interface KeyboardOptions {
+    computerKeyboard?: boolean; // Default true; leave it on for one keyboard per page
+    pedalButtons?: { sustain: HTMLElement; sostenuto: HTMLElement } | null;
+    range?: KeyRange; // Keys shown at the engine's current octave, default C2-B6
+    zoom?: number; // Key width relative to the width that fits the container, 0.5-3
+}
+
+export class KeyboardManager {
+    constructor(audioEngine: AudioEngine, element: HTMLElement, options?: KeyboardOptions);
+    readonly element: HTMLElement;
+    readonly range: KeyRange; // Keys currently shown, after octave shifts
+    readonly zoom: number;
+    setRange(low: number, high: number): void;
+    setZoom(zoom: number): void;
+    pressNote(note: NoteName, octave: number, velocity?: number, source?: string): void;
+    releaseNote(note: NoteName, octave: number, source?: string): void;
+    setSustain(isDown: boolean): void;
+    setSostenuto(isDown: boolean): void;
+    setRemoteNote(note: NoteName, octave: number, playerId: number, color: string | null, active: boolean): void; // Another player's held note, in their colour
+    destroy(): void;
+}
+
+export interface WebKeysOptions extends KeyboardOptions {
+    audioContext?: AudioContext; // Share one context between several keyboards
+    params?: Partial<EngineParams>;
+}
+
+export class WebKeys {
+    constructor(container: HTMLElement, options?: WebKeysOptions);
+    readonly audioEngine: AudioEngine;
+    readonly keyboard: KeyboardManager;
+    noteOn(note: NoteName, octave: number, velocity?: number): void;
+    noteOff(note: NoteName, octave: number): void;
+    setSustain(isDown: boolean): void;
+    setRange(low: number, high: number): void;
+    setZoom(zoom: number): void;
+    setParam<Name extends keyof EngineParams>(name: Name, value: EngineParams[Name]): void;
+    getSettings(): EngineSettings;
+    on<Type extends keyof EngineEventMap>(type: Type, listener: (event: EngineEventMap[Type]) => void): () => void;
+    off<Type extends keyof EngineEventMap>(type: Type, listener: (event: EngineEventMap[Type]) => void): void;
+    once<Type extends keyof EngineEventMap>(type: Type, listener: (event: EngineEventMap[Type]) => void): () => void;
+    destroy(): void;
+}
+
+export function createWebKeys(container: HTMLElement, options?: WebKeysOptions): WebKeys;
+
+export const NOTE_NAMES: NoteName[];
+export function noteToMidi(note: NoteName, octave: number): number;
+export function midiToNote(midi: number): { note: NoteName; octave: number };
+export function parseNoteName(text: string): number | null;
+export function spokenNoteName(note: NoteName, octave: number): string; // e.g. "C sharp 4", for screen readers
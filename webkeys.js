@@ -0,0 +1,86 @@
+// WebKeys
+// Entry point for embedding: createWebKeys builds an audio engine and an on-screen keyboard in
+// any element. Instances share nothing but the page, so several can be embedded side by side.
+
+import { AudioEngine } from './engine.js';
+import { KeyboardManager } from './keyboard.js';
+
+export { AudioEngine, Voice, ENGINE_EVENTS, ENGINE_PARAMS } from './engine.js';
+export { KeyboardManager, DEFAULT_KEYBOARD_RANGE, PIANO_RANGE } from './keyboard.js';
+export { EventEmitter } from './events.js';
+export { Tuning } from './tuning.js';
+export { NOTE_NAMES, noteToMidi, midiToNote, parseNoteName, spokenNoteName } from './notes.js';
+
+// An embedded keyboard: an AudioEngine and the KeyboardManager playing it
+export class WebKeys {
+    // Options:
+    // audioContext - context to play through, e.g. one shared by every keyboard on the page
+    //   (by default each instance creates its own AudioContext)
+    // params - initial settings by ENGINE_PARAMS name, e.g. { waveform: 'sawtooth', octave: 3 }
+    // computerKeyboard, pedalButtons, range, zoom - passed to the KeyboardManager
+    constructor(container, options = {}) {
+        this.ownsContext = !options.audioContext;
+        this.audioEngine = new AudioEngine(options.audioContext || null);
+        Object.entries(options.params || {}).forEach(([name, value]) => this.audioEngine.setParam(name, value));
+        this.keyboard = new KeyboardManager(this.audioEngine, container, options);
+    }
+
+    // Play a note as if its key were pressed: the key lights up and the pedals apply
+    noteOn(note, octave, velocity = 1) {
+        this.keyboard.pressNote(note, octave, velocity, 'api');
+    }
+
+    noteOff(note, octave) {
+        this.keyboard.releaseNote(note, octave, 'api');
+    }
+
+    setSustain(isDown) {
+        this.keyboard.setSustain(isDown);
+    }
+
+    // Show the keys from one MIDI note to another, e.g. PIANO_RANGE for all 88
+    setRange(low, high) {
+        this.keyboard.setRange(low, high);
+    }
+
+    setZoom(zoom) {
+        this.keyboard.setZoom(zoom);
+    }
+
+    // Change a setting by its ENGINE_PARAMS name
+    setParam(name, value) {
+        this.audioEngine.setParam(name, value);
+    }
+
+    getSettings() {
+        return this.audioEngine.getSettings();
+    }
+
+    // Subscribe to the engine's noteon, noteoff and paramchange events; returns an unsubscribe function
+    on(type, listener) {
+        return this.audioEngine.on(type, listener);
+    }
+
+    off(type, listener) {
+        this.audioEngine.off(type, listener);
+    }
+
+    once(type, listener) {
+        return this.audioEngine.once(type, listener);
+    }
+
+    // Silence the keyboard and remove it from its container
+    destroy() {
+        this.keyboard.destroy();
+        if (this.audioEngine.audioContext) {
+            this.audioEngine.stopAllNotes();
+            if (this.ownsContext) {
+                this.audioEngine.audioContext.close();
+            }
+        }
+    }
+}
+
+export function createWebKeys(container, options = {}) {
+    return new WebKeys(container, options);
+}
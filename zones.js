@@ -0,0 +1,244 @@
+// Keyboard Zones
+// Splits the keyboard at a key or layers two sounds over it. Zone A plays the main patch,
+// zone B a second AudioEngine sharing the main engine's effects and master volume.
+
+import { noteToMidi, midiToNote } from './notes.js';
+
+const ZONE_MODES = ['off', 'split', 'layer'];
+
+export class KeyboardZones {
+    constructor(primaryOutput, zoneEngine) {
+        this.mode = 'off'; // 'off', 'split' (zone B below the split point) or 'layer'
+        this.splitPoint = 60; // First MIDI note of zone A when split
+        this.zones = {
+            a: { output: primaryOutput, transpose: 0 }, // transpose in octaves
+            b: { output: zoneEngine, transpose: 0 }
+        };
+        this.zoneEngine = zoneEngine;
+        this.triggered = new Map(); // "note-octave" of each key -> [{ output, note, octave }] it started
+    }
+
+    // Zones a key plays in the current mode
+    zonesForNote(midi) {
+        if (this.mode === 'layer') return [this.zones.a, this.zones.b];
+        if (this.mode === 'split' && midi < this.splitPoint) return [this.zones.b];
+        return [this.zones.a];
+    }
+
+    // Notes a key sounds in the current layout: the zone ('a' or 'b') and its transposed pitch.
+    // Notes transposed out of the MIDI range are dropped.
+    targetsForNote(note, octave) {
+        const midi = noteToMidi(note, octave);
+        const targets = [];
+        ['a', 'b'].forEach((name) => {
+            const zone = this.zones[name];
+            if (!this.zonesForNote(midi).includes(zone)) return;
+
+            const transposed = midi + zone.transpose * 12;
+            if (transposed < 0 || transposed > 127) return;
+            targets.push({ zone: name, ...midiToNote(transposed) });
+        });
+        return targets;
+    }
+
+    playNote(note, octave, velocity = 1, time = null) {
+        const noteId = `${note}-${octave}`;
+        if (this.triggered.has(noteId)) return;
+
+        const started = this.targetsForNote(note, octave).map((target) => {
+            const output = this.zones[target.zone].output;
+            output.playNote(target.note, target.octave, velocity, time);
+            return { output, note: target.note, octave: target.octave };
+        });
+        this.triggered.set(noteId, started);
+    }
+
+    // Play a note through the zones straight on the engines (zone A on the main engine, skipping
+    // chord memory and the arpeggiator). For recorder and sequencer playback and the WAV render;
+    // returns the voices started so they can be released without touching notes held live.
+    playVoices(note, octave, velocity = 1, time = null) {
+        const engines = { a: this.zoneEngine.output, b: this.zoneEngine };
+        return this.targetsForNote(note, octave)
+            .map(target => engines[target.zone].playNote(target.note, target.octave, velocity, time))
+            .filter(voice => voice);
+    }
+
+    // Stop a key's notes wherever they were sent, even if the zones changed since
+    stopNote(note, octave, time = null) {
+        const noteId = `${note}-${octave}`;
+        const started = this.triggered.get(noteId);
+        if (!started) return;
+
+        this.triggered.delete(noteId);
+        started.forEach(target => target.output.stopNote(target.note, target.octave, time));
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    setSplitPoint(splitPoint) {
+        this.splitPoint = splitPoint;
+    }
+
+    setTranspose(zone, transpose) {
+        this.zones[zone].transpose = transpose;
+    }
+
+    // Zone layout plus zone B's patch, for saving
+    getSettings() {
+        const engine = this.zoneEngine;
+        return {
+            mode: this.mode,
+            splitPoint: this.splitPoint,
+            transpose: { a: this.zones.a.transpose, b: this.zones.b.transpose },
+            levels: { a: engine.output.voiceBus.gain.value, b: engine.voiceBus.gain.value },
+            patch: {
+                waveform: engine.waveform,
+                attack: engine.attack,
+                decay: engine.decay,
+                sustain: engine.sustain,
+                release: engine.release
+            }
+        };
+    }
+
+    applySettings(settings) {
+        const engine = this.zoneEngine;
+        this.setMode(ZONE_MODES.includes(settings.mode) ? settings.mode : 'off');
+        if (Number.isInteger(settings.splitPoint)) this.setSplitPoint(settings.splitPoint);
+        if (settings.transpose) {
+            this.setTranspose('a', settings.transpose.a || 0);
+            this.setTranspose('b', settings.transpose.b || 0);
+        }
+        if (settings.levels) {
+            engine.output.setVoiceLevel(settings.levels.a ?? 1);
+            engine.setVoiceLevel(settings.levels.b ?? 1);
+        }
+        if (settings.patch) {
+            const { waveform, attack, decay, sustain, release } = settings.patch;
+            engine.setWaveform(waveform);
+            engine.setAttack(attack);
+            engine.setDecay(decay);
+            engine.setSustain(sustain);
+            engine.setRelease(release);
+        }
+    }
+}
+
+// Zone Panel
+// Mode, split point and per-zone controls; remembers the zone setup in localStorage
+export class ZonePanel {
+    constructor(keyboardZones, keyboardManager) {
+        this.zones = keyboardZones;
+        this.keyboardManager = keyboardManager;
+        this.storageKey = 'webkeys.zones';
+        this.isPicking = false;
+
+        this.initControls();
+        this.load();
+        this.update();
+    }
+
+    initControls() {
+        this.modeSelect = document.getElementById('zone-mode');
+        this.pickButton = document.getElementById('zone-split-button');
+        this.splitValue = document.getElementById('zone-split-value');
+
+        this.modeSelect.addEventListener('change', (e) => {
+            this.zones.setMode(e.target.value);
+            this.save();
+            this.update();
+        });
+
+        // Pick the split key by clicking it on the keyboard
+        this.pickButton.addEventListener('click', () => this.setPicking(!this.isPicking));
+
+        const engine = this.zones.zoneEngine;
+        this.bindRange('zone-a-transpose', value => this.zones.setTranspose('a', value), value => `${value > 0 ? '+' : ''}${value} oct`);
+        this.bindRange('zone-b-transpose', value => this.zones.setTranspose('b', value), value => `${value > 0 ? '+' : ''}${value} oct`);
+        this.bindRange('zone-a-level', value => engine.output.setVoiceLevel(value / 100), value => `${value}%`);
+        this.bindRange('zone-b-level', value => engine.setVoiceLevel(value / 100), value => `${value}%`);
+        this.bindRange('zone-b-attack', value => engine.setAttack(value), value => `${value}ms`);
+        this.bindRange('zone-b-decay', value => engine.setDecay(value), value => `${value}ms`);
+        this.bindRange('zone-b-sustain', value => engine.setSustain(value / 100), value => `${value}%`);
+        this.bindRange('zone-b-release', value => engine.setRelease(value), value => `${value}ms`);
+
+        document.getElementById('zone-b-waveform').addEventListener('change', (e) => {
+            engine.setWaveform(e.target.value);
+            this.save();
+        });
+    }
+
+    // Wire a range input and its "-value" readout
+    bindRange(id, apply, format) {
+        const input = document.getElementById(id);
+        const display = document.getElementById(`${id}-value`);
+        input.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            apply(value);
+            display.textContent = format(value);
+            this.save();
+        });
+        this.formatters = this.formatters || {};
+        this.formatters[id] = format;
+    }
+
+    setPicking(isPicking) {
+        this.isPicking = isPicking;
+        this.pickButton.classList.toggle('active', isPicking);
+        this.keyboardManager.keyAssignHandler = isPicking ? (key) => {
+            this.zones.setSplitPoint(noteToMidi(key.dataset.note, parseInt(key.dataset.octave)));
+            this.setPicking(false);
+            this.save();
+            this.update();
+        } : null;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.zones.applySettings(saved);
+            }
+        } catch (error) {
+            console.error('Error reading keyboard zones from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.zones.getSettings()));
+        } catch (error) {
+            console.error('Error saving keyboard zones to localStorage:', error);
+        }
+    }
+
+    setControl(id, value) {
+        document.getElementById(id).value = value;
+        const display = document.getElementById(`${id}-value`);
+        if (display) display.textContent = this.formatters[id](value);
+    }
+
+    // Refresh the controls and keyboard markers from the zone state
+    update() {
+        const settings = this.zones.getSettings();
+        const { note, octave } = midiToNote(settings.splitPoint);
+
+        this.modeSelect.value = settings.mode;
+        this.splitValue.textContent = `${note}${octave}`;
+        this.pickButton.disabled = settings.mode !== 'split';
+        document.getElementById('zone-b-waveform').value = settings.patch.waveform;
+
+        this.setControl('zone-a-transpose', settings.transpose.a);
+        this.setControl('zone-b-transpose', settings.transpose.b);
+        this.setControl('zone-a-level', Math.round(settings.levels.a * 100));
+        this.setControl('zone-b-level', Math.round(settings.levels.b * 100));
+        this.setControl('zone-b-attack', settings.patch.attack);
+        this.setControl('zone-b-decay', settings.patch.decay);
+        this.setControl('zone-b-sustain', Math.round(settings.patch.sustain * 100));
+        this.setControl('zone-b-release', settings.patch.release);
+
+        this.keyboardManager.setSplitPoint(settings.mode === 'split' ? settings.splitPoint : null);
+    }
+}